@@ -0,0 +1,221 @@
+import {
+  getAddressBook,
+  saveAddressBookEntry,
+  removeAddressBookEntry,
+  onAddressBookChange,
+  addressBookEntryMatches,
+  getEntryHexInput,
+  getLastSeenHeight,
+  exportAddressBook,
+  importAddressBook
+} from '../../services/addressBook.js';
+import { onReconnect } from '../../services/connectionState.js';
+import { openInRetrieveForm } from '../blobPoster/blobPoster.js';
+import { showToast, downloadFile } from '../../utils/common.js';
+
+/**
+ * Initialize the Address Book tab and the namespace suggestions of every namespace field
+ */
+export function initAddressBookTab() {
+  const addressBookForm = document.getElementById('addressBookForm');
+  if (!addressBookForm) return;
+
+  addressBookForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveEntry();
+  });
+
+  document.getElementById('cancelAddressBookEditBtn').addEventListener('click', resetForm);
+  document.getElementById('addressBookFilter').addEventListener('input', renderAddressBook);
+
+  document.getElementById('exportAddressBookBtn').addEventListener('click', () => {
+    downloadFile(exportAddressBook(), 'namespace-address-book.json', 'application/json');
+  });
+
+  const importFile = document.getElementById('importAddressBookFile');
+  document.getElementById('importAddressBookBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+      const { added, updated, skipped } = importAddressBook(await file.text());
+      showToast(`Imported ${added} new and ${updated} updated namespaces${skipped > 0 ? `, skipped ${skipped} invalid` : ''}`);
+    } catch (error) {
+      showToast(`Error: ${error.message}`);
+    }
+  });
+
+  onAddressBookChange(() => {
+    renderAddressBook();
+    renderSuggestions();
+  });
+  // Last-seen heights are per network, and switching networks reconnects
+  onReconnect(renderAddressBook);
+
+  renderAddressBook();
+  renderSuggestions();
+}
+
+/**
+ * Save the namespace entered in the form
+ */
+function saveEntry() {
+  const errorElement = document.getElementById('addressBookError');
+
+  try {
+    const entry = saveAddressBookEntry({
+      namespace: document.getElementById('addressBookNamespace').value,
+      label: document.getElementById('addressBookLabel').value,
+      tags: document.getElementById('addressBookTags').value,
+      notes: document.getElementById('addressBookNotes').value
+    });
+    errorElement.style.display = 'none';
+    showToast(`Saved ${entry.label}`);
+    resetForm();
+  } catch (error) {
+    errorElement.textContent = error.message;
+    errorElement.style.display = 'block';
+  }
+}
+
+/**
+ * Fill the form with an entry to edit it
+ * @param {Object} entry - Address book entry
+ */
+function editEntry(entry) {
+  const namespaceInput = document.getElementById('addressBookNamespace');
+  namespaceInput.value = entry.base64;
+  namespaceInput.readOnly = true;
+  document.getElementById('addressBookLabel').value = entry.label;
+  document.getElementById('addressBookTags').value = entry.tags.join(', ');
+  document.getElementById('addressBookNotes').value = entry.notes;
+  document.getElementById('cancelAddressBookEditBtn').style.display = 'inline-block';
+  document.getElementById('addressBookLabel').focus();
+}
+
+/**
+ * Clear the form and leave edit mode
+ */
+function resetForm() {
+  document.getElementById('addressBookForm').reset();
+  document.getElementById('addressBookNamespace').readOnly = false;
+  document.getElementById('cancelAddressBookEditBtn').style.display = 'none';
+}
+
+/**
+ * Show the entries matching the filter
+ */
+function renderAddressBook() {
+  const entries = getAddressBook();
+  const filter = document.getElementById('addressBookFilter').value;
+  const shown = entries.filter(entry => addressBookEntryMatches(entry, filter));
+
+  document.getElementById('addressBookCount').textContent = shown.length === entries.length
+    ? `${entries.length} saved namespaces`
+    : `${shown.length} of ${entries.length} saved namespaces`;
+
+  const tbody = document.getElementById('addressBookRows');
+  tbody.innerHTML = '';
+
+  shown.forEach(entry => {
+    const row = document.createElement('tr');
+
+    const labelCell = document.createElement('td');
+    labelCell.textContent = entry.label;
+    row.appendChild(labelCell);
+
+    const namespaceCell = document.createElement('td');
+    namespaceCell.className = 'result-value commitment-cell';
+    namespaceCell.textContent = getEntryHexInput(entry);
+    namespaceCell.title = `Base64: ${entry.base64}`;
+    row.appendChild(namespaceCell);
+
+    const tagsCell = document.createElement('td');
+    entry.tags.forEach(tag => {
+      const badge = document.createElement('span');
+      badge.className = 'badge bg-secondary me-1';
+      badge.textContent = tag;
+      tagsCell.appendChild(badge);
+    });
+    row.appendChild(tagsCell);
+
+    const notesCell = document.createElement('td');
+    notesCell.className = 'small';
+    notesCell.textContent = entry.notes;
+    row.appendChild(notesCell);
+
+    const seenCell = document.createElement('td');
+    const lastSeenHeight = getLastSeenHeight(entry);
+    seenCell.textContent = lastSeenHeight !== null ? String(lastSeenHeight) : '-';
+    row.appendChild(seenCell);
+
+    row.appendChild(createActionCell(entry));
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Create the retrieve, edit and delete buttons of an entry
+ * @param {Object} entry - Address book entry
+ * @returns {HTMLElement} - Table cell
+ */
+function createActionCell(entry) {
+  const actionCell = document.createElement('td');
+  actionCell.className = 'history-actions';
+
+  const addButton = (text, className, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-sm ${className} me-1`;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    actionCell.appendChild(button);
+    return button;
+  };
+
+  const lastSeenHeight = getLastSeenHeight(entry);
+  const retrieveBtn = addButton('Retrieve', 'btn-outline-primary', () => {
+    openInRetrieveForm(lastSeenHeight, getEntryHexInput(entry));
+  });
+  retrieveBtn.disabled = lastSeenHeight === null;
+  retrieveBtn.title = lastSeenHeight === null ? 'No blob seen in this namespace on this network yet' : `Retrieve the blobs at height ${lastSeenHeight}`;
+
+  addButton('Edit', 'btn-outline-secondary', () => editEntry(entry));
+
+  addButton('Delete', 'btn-outline-danger', () => {
+    if (!confirm(`Remove ${entry.label} from the address book?`)) return;
+    removeAddressBookEntry(entry.base64);
+  });
+
+  return actionCell;
+}
+
+/**
+ * Fill the datalists that suggest saved namespaces in the namespace fields
+ */
+function renderSuggestions() {
+  const entries = getAddressBook();
+  fillDatalist('namespaceHexSuggestions', entries, getEntryHexInput);
+  fillDatalist('namespaceBase64Suggestions', entries, entry => entry.base64);
+}
+
+/**
+ * Fill a datalist with one option per entry
+ * @param {string} id - Id of the datalist
+ * @param {Array<Object>} entries - Address book entries
+ * @param {Function} getValue - Returns the value an entry fills in
+ */
+function fillDatalist(id, entries, getValue) {
+  const datalist = document.getElementById(id);
+  if (!datalist) return;
+
+  datalist.innerHTML = '';
+  entries.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = getValue(entry);
+    option.label = entry.tags.length > 0 ? `${entry.label} (${entry.tags.join(', ')})` : entry.label;
+    datalist.appendChild(option);
+  });
+}
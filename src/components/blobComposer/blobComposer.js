@@ -0,0 +1,271 @@
+import { submitBlobs } from '../../services/blob.js';
+import { getActiveNetwork, formatAmount } from '../../services/networks.js';
+import { refreshNodeBalance } from '../nodeInfo/nodeInfo.js';
+import { ensureBalanceCovers } from '../feeEstimator/feeEstimator.js';
+import { recordSubmission } from '../../services/history.js';
+import { validateNamespace, namespaceInputToBase64 } from '../../utils/namespace.js';
+import { isValidBase64, base64ByteLength, textToBase64 } from '../../utils/codec.js';
+import { estimateBlobFee } from '../../utils/blobGas.js';
+import { formatBytes } from '../../utils/common.js';
+
+/**
+ * Initialize the multi-blob composer of the Blob Poster tab
+ */
+export function initBlobComposer() {
+  const rowsContainer = document.getElementById('composerRows');
+  if (!rowsContainer) return;
+
+  // Start with two rows, since one blob is what the main form is for
+  addRow();
+  addRow();
+
+  document.getElementById('addComposerRowBtn').addEventListener('click', () => {
+    addRow();
+  });
+
+  document.getElementById('composerGasPrice').addEventListener('input', updateSummary);
+  document.getElementById('submitComposerBtn').addEventListener('click', submitComposedBlobs);
+}
+
+/**
+ * Add an empty blob row to the composer
+ */
+function addRow() {
+  const rowsContainer = document.getElementById('composerRows');
+
+  const row = document.createElement('div');
+  row.className = 'composer-row';
+
+  const header = document.createElement('div');
+  header.className = 'd-flex justify-content-between align-items-center mb-2';
+  const title = document.createElement('strong');
+  title.className = 'composer-row-title';
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-sm btn-outline-danger';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    updateSummary();
+  });
+  header.append(title, removeBtn);
+
+  const namespaceInput = document.createElement('input');
+  namespaceInput.type = 'text';
+  namespaceInput.className = 'form-control mb-2 composer-namespace';
+  namespaceInput.placeholder = 'Namespace (hex ID, full hex or base64)';
+  namespaceInput.setAttribute('list', 'namespaceHexSuggestions');
+  namespaceInput.autocomplete = 'off';
+
+  const formatSelect = document.createElement('select');
+  formatSelect.className = 'form-select form-select-sm mb-2 composer-format';
+  [['text', 'Text'], ['base64', 'Base64']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
+
+  const dataInput = document.createElement('textarea');
+  dataInput.className = 'form-control composer-data';
+  dataInput.rows = 2;
+  dataInput.placeholder = 'Blob data';
+
+  const status = document.createElement('div');
+  status.className = 'form-text composer-row-status';
+
+  [namespaceInput, formatSelect, dataInput].forEach(input => {
+    input.addEventListener('input', updateSummary);
+  });
+
+  row.append(header, namespaceInput, formatSelect, dataInput, status);
+  rowsContainer.appendChild(row);
+
+  updateSummary();
+}
+
+/**
+ * Read a composer row into a blob
+ * @param {HTMLElement} row - Composer row
+ * @returns {Object} - Blob with base64 encoded namespace and data properties
+ */
+function readRow(row) {
+  const namespaceValue = row.querySelector('.composer-namespace').value.trim();
+  const format = row.querySelector('.composer-format').value;
+  const dataValue = row.querySelector('.composer-data').value;
+
+  if (!namespaceValue) {
+    throw new Error('Namespace is required');
+  }
+
+  const namespace = namespaceInputToBase64(namespaceValue);
+
+  const validation = validateNamespace(namespace);
+  if (!validation.valid) {
+    throw new Error(`Invalid namespace: ${validation.error}`);
+  }
+
+  if (!dataValue) {
+    throw new Error('Data is required');
+  }
+
+  const data = format === 'text' ? textToBase64(dataValue) : dataValue.trim();
+  if (!isValidBase64(data)) {
+    throw new Error('Invalid data format. Must be base64 encoded.');
+  }
+
+  return { namespace, data };
+}
+
+/**
+ * Renumber the rows and update each row's status and the combined size and fee estimates
+ */
+function updateSummary() {
+  const rows = Array.from(document.querySelectorAll('#composerRows .composer-row'));
+  const sizes = [];
+
+  rows.forEach((row, index) => {
+    row.querySelector('.composer-row-title').textContent = `Blob ${index + 1}`;
+    const status = row.querySelector('.composer-row-status');
+
+    // Don't flag rows that haven't been filled in yet
+    if (!row.querySelector('.composer-namespace').value.trim() && !row.querySelector('.composer-data').value) {
+      status.className = 'form-text composer-row-status';
+      status.textContent = '';
+      return;
+    }
+
+    try {
+      const { data } = readRow(row);
+      const size = base64ByteLength(data);
+      sizes.push(size);
+      status.className = 'form-text composer-row-status';
+      status.textContent = formatBytes(size);
+    } catch (error) {
+      status.className = 'form-text composer-row-status text-danger';
+      status.textContent = error.message;
+    }
+  });
+
+  const network = getActiveNetwork();
+  const totalSize = sizes.reduce((total, size) => total + size, 0);
+  const totalSizeElement = document.getElementById('composerTotalSize');
+  totalSizeElement.textContent = `${formatBytes(totalSize)} of ${formatBytes(network.maxBlobSize)}`;
+  totalSizeElement.className = totalSize > network.maxBlobSize ? 'text-danger' : '';
+
+  document.getElementById('composerBlobCount').textContent = rows.length;
+
+  if (sizes.length === 0) {
+    document.getElementById('composerGas').textContent = '-';
+    document.getElementById('composerFee').textContent = '-';
+    return;
+  }
+
+  const { gas, fee } = estimateBlobFee([sizes], getGasPrice());
+  document.getElementById('composerGas').textContent = gas.toLocaleString();
+  document.getElementById('composerFee').textContent = formatAmount(fee, network.denom);
+}
+
+/**
+ * Get the gas price entered for the composer, or the network default
+ * @returns {number} - Gas price in the network's base denom
+ */
+function getGasPrice() {
+  const gasPriceInput = document.getElementById('composerGasPrice');
+  return gasPriceInput.value ? parseFloat(gasPriceInput.value) : getActiveNetwork().gasPrice;
+}
+
+/**
+ * Submit every composed blob in one transaction and show the result table
+ */
+async function submitComposedBlobs() {
+  const errorElement = document.getElementById('composerError');
+  const loadingElement = document.getElementById('composerLoading');
+  const resultElement = document.getElementById('composerResult');
+  const submitBtn = document.getElementById('submitComposerBtn');
+
+  resultElement.style.display = 'none';
+  errorElement.style.display = 'none';
+  errorElement.textContent = '';
+
+  let blobs;
+  try {
+    blobs = Array.from(document.querySelectorAll('#composerRows .composer-row')).map((row, index) => {
+      try {
+        return readRow(row);
+      } catch (error) {
+        throw new Error(`Blob ${index + 1}: ${error.message}`);
+      }
+    });
+  } catch (error) {
+    errorElement.textContent = error.message;
+    errorElement.style.display = 'block';
+    return;
+  }
+
+  loadingElement.style.display = 'block';
+  submitBtn.disabled = true;
+
+  try {
+    const gasPrice = getGasPrice();
+    const { fee } = estimateBlobFee([blobs.map(({ data }) => base64ByteLength(data))], gasPrice);
+    await ensureBalanceCovers(fee);
+
+    const result = await submitBlobs(blobs, {
+      gas_price: gasPrice,
+      is_gas_price_set: true
+    });
+
+    showResult(result);
+
+    // Every blob is recorded with the fee of the whole transaction
+    result.blobs.forEach((blob, index) => {
+      recordSubmission({ ...blob, height: result.height, txHash: result.txHash, data: blobs[index].data, fee, gasPrice, kind: 'composed' });
+    });
+
+    // Refresh the node balance once the submission is processed
+    setTimeout(() => {
+      refreshNodeBalance();
+    }, 5000);
+  } catch (error) {
+    errorElement.textContent = error.message || 'An error occurred while submitting the blobs.';
+    errorElement.style.display = 'block';
+  } finally {
+    loadingElement.style.display = 'none';
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the shared height and each blob's commitment
+ * @param {Object} result - Result of submitBlobs
+ */
+function showResult(result) {
+  document.getElementById('composerResultHeight').textContent = result.height;
+
+  const tbody = document.getElementById('composerResultRows');
+  tbody.innerHTML = '';
+
+  result.blobs.forEach((blob, index) => {
+    const row = document.createElement('tr');
+
+    const cells = [
+      String(index + 1),
+      blob.namespaceHex,
+      formatBytes(blob.size),
+      blob.commitment || 'N/A'
+    ];
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (cellIndex === 3) {
+        cell.className = 'result-value commitment-cell';
+      }
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('composerResult').style.display = 'block';
+}
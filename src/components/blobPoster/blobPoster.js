@@ -1,527 +1,1043 @@
-import { sendRpcRequest } from '../../services/websocket.js';
-import { 
-  isValidBase64, 
-  validateNamespace, 
-  generateRandomNamespace, 
-  createValidNamespace,
-  base64ToHex,
-  encodeToBase64,
-  decodeFromBase64,
+import { getConnectionSettings } from '../../services/connectionSettings.js';
+import { buildHttpUrl } from '../../services/httpTransport.js';
+import { getActiveNetwork, getNamespaceExplorerUrl } from '../../services/networks.js';
+import { submitBlob, retrieveBlobs, retrieveBlobByCommitment, findCommitment } from '../../services/blob.js';
+import { needsChunking, getChunkCount, submitChunkedBlob, parseManifest, reassembleChunkedBlob } from '../../services/chunkedBlob.js';
+import { refreshNodeBalance } from '../nodeInfo/nodeInfo.js';
+import { setProofTarget } from '../inclusionProof/inclusionProof.js';
+import { setShareSquareTarget } from '../shareSquare/shareSquare.js';
+import { showBlobData } from '../blobViewer/blobViewer.js';
+import { estimateSubmissionFee, ensureBalanceCovers } from '../feeEstimator/feeEstimator.js';
+import { recordSubmission } from '../../services/history.js';
+import { recordNamespaceSeen } from '../../services/addressBook.js';
+import {
+  validateNamespace,
+  generateRandomNamespace,
+  createVersionZeroNamespace,
+  namespaceFromBase64,
+  namespaceFromHex,
+  namespaceToBase64,
+  namespaceIdToHex
+} from '../../utils/namespace.js';
+import { createCommitment } from '../../utils/commitment.js';
+import { bytesToHex, bytesToBase64, base64ToBytes, base64ByteLength, isValidBase64, textToBase64, base64ToText } from '../../utils/codec.js';
+import {
   showToast,
   copyToClipboard,
-  isBase64Image,
-  formatBase64ForDisplay
+  setExplorerLink,
+  formatBytes,
+  downloadFile
 } from '../../utils/common.js';
 
+// File last picked or dropped, reloaded when recompression is toggled
+let selectedFile = null;
+
+// Data read from that file, to tell whether the data input still holds it
+let selectedFileData = '';
+
+// Manifest of the last retrieved blob, if it was one
+let fetchedManifest = null;
+
 /**
  * Initialize the Blob Poster tab
  */
 export function initBlobPosterTab() {
-  // DOM Elements
-  const blobForm = document.getElementById('blobForm');
+  setupNamespaceInputs();
+  setupBlobForm();
+  setupCommitmentCalculator();
+  setupRetrieveForm();
+  setupCommandExamples();
+  setupBase64Tools();
+  setupFileUpload();
+}
+
+/**
+ * Set up the namespace type selection, hex previews and the random namespace generator
+ */
+function setupNamespaceInputs() {
   const namespaceTypeRadios = document.querySelectorAll('input[name="namespaceType"]');
   const base64NamespaceInput = document.getElementById('base64NamespaceInput');
-  const hexNamespaceInput = document.getElementById('hexNamespaceInput');
-  const randomNamespaceInput = document.getElementById('randomNamespaceInput');
-  const plainTextNamespaceInput = document.getElementById('plainTextNamespaceInput');
-  const namespaceInputGroups = document.querySelectorAll('.namespace-input-group');
-  const namespacePreview = document.getElementById('namespacePreview');
-  const namespacePreviewHex = document.getElementById('namespacePreviewHex');
-  const namespaceError = document.getElementById('namespaceError');
-  const blobDataInput = document.getElementById('blobData');
-  const resultContainer = document.getElementById('resultContainer');
-  const loadingIndicator = document.getElementById('loadingIndicator');
-  const errorMessage = document.getElementById('errorMessage');
-  const rawTextInput = document.getElementById('rawText');
-  const base64Input = document.getElementById('base64Text');
-  const encodeBtn = document.getElementById('encodeBtn');
-  const decodeBtn = document.getElementById('decodeBtn');
-  const retrieveForm = document.getElementById('retrieveForm');
-  const retrieveHeight = document.getElementById('retrieveHeight');
-  const retrieveNamespace = document.getElementById('retrieveNamespace');
-  const blobResults = document.getElementById('blobResults');
-  const blobDataContainer = document.getElementById('blobDataContainer');
-  const retrieveLoadingIndicator = document.getElementById('retrieveLoadingIndicator');
-  const retrieveErrorMessage = document.getElementById('retrieveErrorMessage');
-  const generateRandomNamespaceBtn = document.getElementById('generateRandomNamespace');
-  
-  // Generate a random namespace
-  const randomNamespace = generateRandomNamespace();
-  if (randomNamespaceInput) {
-    randomNamespaceInput.value = randomNamespace.base64;
-    randomNamespaceInput.setAttribute('data-plaintext', randomNamespace.plaintext);
-    randomNamespaceInput.setAttribute('data-hex', randomNamespace.hex);
-  }
-  
-  // Set up event listeners for namespace type selection
-  if (namespaceTypeRadios) {
-    namespaceTypeRadios.forEach(radio => {
-      radio.addEventListener('change', () => {
-        const selectedType = document.querySelector('input[name="namespaceType"]:checked').value;
-        
-        // Hide all namespace input groups
-        namespaceInputGroups.forEach(group => {
-          group.classList.remove('active');
-        });
-        
-        // Show the selected input group
-        const selectedGroup = document.getElementById(`${selectedType}NamespaceGroup`);
-        if (selectedGroup) {
-          selectedGroup.classList.add('active');
-        }
-        
-        // Hide namespace preview
-        if (namespacePreview) {
-          namespacePreview.classList.remove('active');
-        }
-      });
-    });
-  }
-  
-  // Set up event listener for base64 namespace input
-  if (base64NamespaceInput) {
-    base64NamespaceInput.addEventListener('input', () => {
-      const base64 = base64NamespaceInput.value.trim();
-      if (base64 && isValidBase64(base64)) {
-        const validation = validateNamespace(base64);
-        
-        if (validation.isValid) {
-          // Show namespace preview
-          if (namespacePreview) {
-            namespacePreview.classList.add('active');
-            namespacePreviewHex.textContent = base64ToHex(base64);
-          }
-          
-          // Clear any previous error
-          if (namespaceError) {
-            namespaceError.style.display = 'none';
-          }
-        } else {
-          // Show error
-          if (namespaceError) {
-            namespaceError.textContent = validation.error;
-            namespaceError.style.display = 'block';
-          }
-          
-          // Hide namespace preview
-          if (namespacePreview) {
-            namespacePreview.classList.remove('active');
+  const hexNamespaceInputContainer = document.getElementById('hexNamespaceInput');
+  const plaintextNamespaceInputContainer = document.getElementById('plaintextNamespaceInput');
+  const randomNamespaceInputContainer = document.getElementById('randomNamespaceInput');
+  const namespaceInput = document.getElementById('namespace');
+  const hexNamespaceInput = document.getElementById('hexNamespace');
+  const plaintextNamespaceInput = document.getElementById('plaintextNamespace');
+  const randomNamespaceInput = document.getElementById('randomNamespace');
+  const generateNamespaceBtn = document.getElementById('generateNamespaceBtn');
+  const base64NamespacePreview = document.getElementById('base64NamespacePreview');
+  const base64NamespaceHex = document.getElementById('base64NamespaceHex');
+  const randomNamespaceHex = document.getElementById('randomNamespaceHex');
+
+  if (!namespaceInput) return;
+
+  // Start with a random namespace
+  fillRandomNamespace();
+
+  // Show hex preview of the base64 namespace
+  namespaceInput.addEventListener('input', () => {
+    const hex = getNamespaceIdHex(namespaceInput.value.trim());
+    if (hex) {
+      if (base64NamespaceHex) {
+        base64NamespaceHex.textContent = hex;
+        base64NamespacePreview.classList.add('active');
+      }
+    } else {
+      base64NamespacePreview.classList.remove('active');
+    }
+  });
+
+  // Validate the hex namespace and preview it in base64
+  hexNamespaceInput.addEventListener('input', updateHexNamespacePreview);
+
+  // Validate the plaintext namespace and preview it in hex
+  plaintextNamespaceInput.addEventListener('input', updatePlaintextNamespacePreview);
+
+  // Show the input group of the selected namespace type
+  namespaceTypeRadios.forEach(radio => {
+    radio.addEventListener('change', (event) => {
+      base64NamespaceInput.classList.remove('active');
+      hexNamespaceInputContainer.classList.remove('active');
+      plaintextNamespaceInputContainer.classList.remove('active');
+      randomNamespaceInputContainer.classList.remove('active');
+
+      const selectedType = event.target.value;
+      if (selectedType === 'base64') {
+        base64NamespaceInput.classList.add('active');
+        // Update hex preview if there's a value
+        const hex = getNamespaceIdHex(namespaceInput.value.trim());
+        if (hex) {
+          if (base64NamespaceHex) {
+            base64NamespaceHex.textContent = hex;
+            base64NamespacePreview.classList.add('active');
           }
         }
-      } else {
-        // Hide namespace preview
-        if (namespacePreview) {
-          namespacePreview.classList.remove('active');
-        }
-        
-        // Clear any previous error
-        if (namespaceError) {
-          namespaceError.style.display = 'none';
+      } else if (selectedType === 'hex') {
+        hexNamespaceInputContainer.classList.add('active');
+        updateHexNamespacePreview();
+      } else if (selectedType === 'plaintext') {
+        plaintextNamespaceInputContainer.classList.add('active');
+        // Update hex preview for the current value
+        updatePlaintextNamespacePreview();
+      } else if (selectedType === 'random') {
+        randomNamespaceInputContainer.classList.add('active');
+        // Generate a random namespace if none exists
+        if (!randomNamespaceInput.value) {
+          fillRandomNamespace();
+        } else if (randomNamespaceHex) {
+          // Display the existing hex value
+          randomNamespaceHex.textContent = randomNamespaceInput.getAttribute('data-hex') || '';
         }
       }
     });
+  });
+
+  generateNamespaceBtn.addEventListener('click', fillRandomNamespace);
+}
+
+/**
+ * Get the hex of a base64 namespace's ID for the previews
+ * @param {string} base64 - Base64 encoded namespace
+ * @returns {string} - Hex of the namespace ID, empty if it isn't a namespace
+ */
+function getNamespaceIdHex(base64) {
+  if (!base64) return '';
+
+  try {
+    return namespaceIdToHex(namespaceFromBase64(base64));
+  } catch (error) {
+    return '';
   }
-  
-  // Set up event listener for hex namespace input
-  if (hexNamespaceInput) {
-    hexNamespaceInput.addEventListener('input', () => {
-      // TODO: Implement hex namespace validation and preview
-    });
+}
+
+/**
+ * Validate the hex namespace input and show its base64 form or the validation error
+ */
+function updateHexNamespacePreview() {
+  const hexNamespaceInput = document.getElementById('hexNamespace');
+  const hexNamespaceError = document.getElementById('hexNamespaceError');
+  const hexNamespacePreview = document.getElementById('hexNamespacePreview');
+  const hexNamespaceBase64 = document.getElementById('hexNamespaceBase64');
+
+  hexNamespaceInput.classList.remove('is-invalid');
+  hexNamespacePreview.classList.remove('active');
+
+  const hex = hexNamespaceInput.value.trim();
+  if (!hex) return;
+
+  try {
+    hexNamespaceBase64.textContent = parseHexNamespace(hex);
+    hexNamespacePreview.classList.add('active');
+  } catch (error) {
+    hexNamespaceError.textContent = error.message;
+    hexNamespaceInput.classList.add('is-invalid');
   }
-  
-  // Set up event listener for plain text namespace input
-  if (plainTextNamespaceInput) {
-    plainTextNamespaceInput.addEventListener('input', () => {
-      const plainText = plainTextNamespaceInput.value.trim();
-      if (plainText) {
-        const namespace = createValidNamespace(plainText);
-        
-        // Show namespace preview
-        if (namespacePreview) {
-          namespacePreview.classList.add('active');
-          namespacePreviewHex.textContent = namespace.hex;
-        }
+}
+
+/**
+ * Validate the plaintext namespace input and show its hex form or the validation error
+ */
+function updatePlaintextNamespacePreview() {
+  const plaintextNamespaceInput = document.getElementById('plaintextNamespace');
+  const plaintextNamespaceError = document.getElementById('plaintextNamespaceError');
+  const plaintextNamespacePreview = document.getElementById('plaintextNamespacePreview');
+  const plaintextNamespaceHex = document.getElementById('plaintextNamespaceHex');
+
+  plaintextNamespaceInput.classList.remove('is-invalid');
+  plaintextNamespacePreview.classList.remove('active');
+
+  const plaintext = plaintextNamespaceInput.value.trim();
+  if (!plaintext) return;
+
+  try {
+    plaintextNamespaceHex.textContent = namespaceIdToHex(createVersionZeroNamespace(plaintext));
+    plaintextNamespacePreview.classList.add('active');
+  } catch (error) {
+    // Too long to fit in the 10 user-specified bytes
+    plaintextNamespaceError.textContent = error.message;
+    plaintextNamespaceInput.classList.add('is-invalid');
+  }
+}
+
+/**
+ * Convert a hex namespace to base64 and check that it can hold user data
+ * @param {string} hex - 10-byte user ID or full 29-byte namespace in hex
+ * @returns {string} - Base64 encoded namespace
+ */
+function parseHexNamespace(hex) {
+  const namespace = namespaceToBase64(namespaceFromHex(hex));
+
+  const validation = validateNamespace(namespace);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  return namespace;
+}
+
+/**
+ * Fill the random namespace input with a new random namespace
+ */
+function fillRandomNamespace() {
+  const randomNamespaceInput = document.getElementById('randomNamespace');
+  const randomNamespaceHex = document.getElementById('randomNamespaceHex');
+
+  const randomNamespace = generateRandomNamespace();
+  randomNamespaceInput.value = randomNamespace.base64;
+  randomNamespaceInput.setAttribute('data-plaintext', randomNamespace.plaintext);
+  randomNamespaceInput.setAttribute('data-hex', randomNamespace.hex);
+  if (randomNamespaceHex) {
+    randomNamespaceHex.textContent = randomNamespace.hex;
+  }
+}
+
+/**
+ * Set up the blob submission form
+ */
+function setupBlobForm() {
+  const blobForm = document.getElementById('blobForm');
+  const loadingElement = document.getElementById('loading');
+  const loadingMessage = document.getElementById('loadingMessage');
+  const errorMessageElement = document.getElementById('errorMessage');
+  const resultContainer = document.getElementById('resultContainer');
+
+  if (!blobForm) return;
+
+  blobForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    // Hide previous results and errors
+    resultContainer.style.display = 'none';
+    errorMessageElement.style.display = 'none';
+    errorMessageElement.textContent = '';
+
+    loadingElement.style.display = 'block';
+
+    try {
+      const namespace = getSelectedNamespace();
+
+      const data = document.getElementById('data').value.trim();
+      const gasPriceInput = document.getElementById('gasPrice');
+      const gasPrice = gasPriceInput.value ? parseFloat(gasPriceInput.value) : getActiveNetwork().gasPrice;
+
+      const options = {
+        gas_price: gasPrice,
+        is_gas_price_set: true
+      };
+
+      let fee = null;
+      if (isValidBase64(data)) {
+        fee = estimateSubmissionFee(base64ByteLength(data), gasPrice).fee;
+        await ensureBalanceCovers(fee);
+      }
+
+      let result;
+      if (isValidBase64(data) && needsChunking(base64ByteLength(data))) {
+        // Only name the file in the manifest if the data still comes from it
+        const file = selectedFile && data === selectedFileData ? selectedFile : null;
+
+        result = await submitChunkedBlob(namespace, base64ToBytes(data), options, {
+          name: file ? file.name : '',
+          mimeType: file ? file.type : '',
+          onProgress: (submitted, total) => {
+            loadingMessage.textContent = submitted < total - 1
+              ? `Submitting chunk ${submitted + 1} of ${total - 1}...`
+              : 'Submitting manifest...';
+          }
+        });
       } else {
-        // Hide namespace preview
-        if (namespacePreview) {
-          namespacePreview.classList.remove('active');
-        }
+        result = await submitBlob(namespace, data, options);
       }
-    });
-  }
-  
-  // Set up event listener for generate random namespace button
-  if (generateRandomNamespaceBtn) {
-    generateRandomNamespaceBtn.addEventListener('click', () => {
-      const namespace = generateRandomNamespace();
-      randomNamespaceInput.value = namespace.base64;
-      randomNamespaceInput.setAttribute('data-plaintext', namespace.plaintext);
-      randomNamespaceInput.setAttribute('data-hex', namespace.hex);
-      
-      // Show namespace preview
-      if (namespacePreview) {
-        namespacePreview.classList.add('active');
-        namespacePreviewHex.textContent = namespace.hex;
+
+      updateResultContainer(result);
+
+      const submission = { ...result, data, fee, gasPrice };
+      if (result.manifest) {
+        recordSubmission({ ...submission, kind: 'manifest' });
+      } else {
+        compareSubmittedCommitment(result, data).then(commitment => {
+          recordSubmission({ ...submission, commitment });
+        });
       }
-    });
-  }
-  
-  // Set up event listeners for automatic conversion between raw text and base64
-  let isUpdating = false;
-  
-  if (rawTextInput) {
-    rawTextInput.addEventListener('input', () => {
-      if (isUpdating) return;
-      isUpdating = true;
-      
-      const rawText = rawTextInput.value;
-      if (rawText && base64Input) {
-        base64Input.value = encodeToBase64(rawText);
+    } catch (error) {
+      errorMessageElement.textContent = error.message || 'An error occurred while submitting the blob.';
+      errorMessageElement.style.display = 'block';
+    } finally {
+      loadingElement.style.display = 'none';
+      loadingMessage.textContent = 'Submitting blob data...';
+    }
+  });
+}
+
+/**
+ * Set up the button that computes the commitment of the entered data before submitting it
+ */
+function setupCommitmentCalculator() {
+  const calculateBtn = document.getElementById('calculateCommitmentBtn');
+  const preview = document.getElementById('commitmentPreview');
+  if (!calculateBtn) return;
+
+  calculateBtn.addEventListener('click', async () => {
+    preview.className = 'small commitment-cell';
+
+    try {
+      const namespace = getSelectedNamespace();
+      const data = document.getElementById('data').value.trim();
+      if (!isValidBase64(data)) {
+        throw new Error('Data must be base64 encoded');
       }
-      
-      isUpdating = false;
-    });
-  }
-  
-  if (base64Input) {
-    base64Input.addEventListener('input', () => {
-      if (isUpdating) return;
-      isUpdating = true;
-      
-      const base64 = base64Input.value;
-      if (base64 && isValidBase64(base64) && rawTextInput) {
-        try {
-          rawTextInput.value = decodeFromBase64(base64);
-        } catch (error) {
-          console.error('Error decoding base64:', error);
-          // Leave raw text unchanged if decoding fails
-        }
+
+      if (needsChunking(base64ByteLength(data))) {
+        preview.textContent = `Split into ${getChunkCount(base64ByteLength(data))} chunks on submit, each with its own commitment`;
+        return;
       }
-      
-      isUpdating = false;
-    });
+
+      calculateBtn.disabled = true;
+      preview.textContent = 'Calculating...';
+
+      const { commitment, shareCount } = await computeLocalCommitment(namespace, data);
+      preview.textContent = `${shareCount} share${shareCount === 1 ? '' : 's'}, commitment ${commitment}`;
+    } catch (error) {
+      preview.className = 'small commitment-cell text-danger';
+      preview.textContent = error.message;
+    } finally {
+      calculateBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Compute a blob's share commitment in the browser
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} data - Base64 encoded data
+ * @returns {Promise<Object>} - Object with the base64 encoded commitment and the shareCount
+ */
+async function computeLocalCommitment(namespace, data) {
+  const { commitment, shareCount } = await createCommitment(namespaceFromBase64(namespace), base64ToBytes(data));
+  return { commitment: bytesToBase64(commitment), shareCount };
+}
+
+/**
+ * Show the locally computed commitment of a submitted blob and whether the node has the same one
+ * @param {Object} result - Submission result with height and namespaceBase64 properties
+ * @param {string} data - Base64 encoded data that was submitted
+ * @returns {Promise<string|null>} - Base64 commitment the node reports, or null if it couldn't be found
+ */
+async function compareSubmittedCommitment(result, data) {
+  const commitmentRow = document.getElementById('resultCommitmentRow');
+  const commitmentCheck = document.getElementById('resultCommitmentCheck');
+  if (!commitmentRow) return null;
+
+  commitmentCheck.className = 'small ms-2 text-muted';
+  commitmentCheck.textContent = 'Checking with the node...';
+  commitmentRow.style.display = 'block';
+
+  try {
+    const { commitment } = await computeLocalCommitment(result.namespaceBase64, data);
+    document.getElementById('resultCommitment').textContent = commitment;
+
+    const nodeCommitment = await findCommitment(result.height, result.namespaceBase64, data);
+    showCommitmentCheck(commitmentCheck, commitment, nodeCommitment);
+    return nodeCommitment;
+  } catch (error) {
+    console.error('Error comparing commitments:', error);
+    commitmentCheck.className = 'small ms-2 text-warning';
+    commitmentCheck.textContent = `Could not compare with the node: ${error.message}`;
+    return null;
   }
-  
-  // Set up event listeners for encode/decode buttons
-  if (encodeBtn) {
-    encodeBtn.addEventListener('click', () => {
-      const rawText = rawTextInput.value;
-      if (rawText && base64Input) {
-        base64Input.value = encodeToBase64(rawText);
-      }
-    });
+}
+
+/**
+ * Show whether a local and a node commitment match
+ * @param {HTMLElement} element - Element to show the result in
+ * @param {string} localCommitment - Base64 commitment computed in the browser
+ * @param {string} nodeCommitment - Base64 commitment the node reports
+ */
+function showCommitmentCheck(element, localCommitment, nodeCommitment) {
+  if (localCommitment === nodeCommitment) {
+    element.className = 'small ms-2 text-success';
+    element.textContent = '✓ Matches the local calculation';
+  } else {
+    element.className = 'small ms-2 text-danger';
+    element.textContent = `✗ Local calculation gives ${localCommitment}`;
+  }
+}
+
+/**
+ * Get the namespace of the selected namespace type
+ * @returns {string} - Base64 encoded namespace
+ */
+function getSelectedNamespace() {
+  const selectedType = document.querySelector('input[name="namespaceType"]:checked').value;
+
+  let namespace;
+  if (selectedType === 'base64') {
+    namespace = document.getElementById('namespace').value.trim();
+
+    const validation = validateNamespace(namespace);
+    if (!validation.valid) {
+      throw new Error(`Invalid namespace: ${validation.error}`);
+    }
+  } else if (selectedType === 'hex') {
+    const hex = document.getElementById('hexNamespace').value.trim();
+    if (!hex) {
+      throw new Error('Hex namespace is required');
+    }
+
+    try {
+      namespace = parseHexNamespace(hex);
+    } catch (error) {
+      throw new Error(`Invalid namespace: ${error.message}`);
+    }
+  } else if (selectedType === 'plaintext') {
+    const plaintext = document.getElementById('plaintextNamespace').value.trim();
+    if (!plaintext) {
+      throw new Error('Plaintext namespace is required');
+    }
+
+    // Too long plaintext is rejected rather than silently cut
+    namespace = namespaceToBase64(createVersionZeroNamespace(plaintext));
+  } else if (selectedType === 'random') {
+    namespace = document.getElementById('randomNamespace').value.trim();
+  }
+
+  if (!namespace) {
+    throw new Error('Namespace is required');
+  }
+
+  return namespace;
+}
+
+/**
+ * Update the result container with successful submission details
+ * @param {Object} result - Submission result with height, namespaceHex and namespaceBase64 properties, and a manifest property for chunked data
+ */
+function updateResultContainer(result) {
+  document.getElementById('resultHeight').textContent = result.height;
+  document.getElementById('resultNamespaceHex').textContent = result.namespaceHex;
+  document.getElementById('resultNamespaceBase64').textContent = result.namespaceBase64;
+  document.getElementById('resultCommitmentRow').style.display = 'none';
+
+  const resultManifest = document.getElementById('resultManifest');
+  if (result.manifest) {
+    const { chunks, size } = result.manifest;
+    document.getElementById('resultManifestSummary').textContent =
+      `${formatBytes(size)} in ${chunks.length} chunks at heights ${chunks[0].height}-${chunks[chunks.length - 1].height}. Retrieve the height above to reassemble it.`;
+    resultManifest.style.display = 'block';
+  } else {
+    resultManifest.style.display = 'none';
+  }
+
+  setExplorerLink(document.getElementById('resultNamespaceLink'), getNamespaceExplorerUrl(result.namespaceHex));
+
+  // Set values for retrieval form
+  if (document.getElementById('retrieveHeight')) {
+    document.getElementById('retrieveHeight').value = result.height;
+  }
+  if (document.getElementById('retrieveNamespace')) {
+    document.getElementById('retrieveNamespace').value = result.namespaceHex;
+  }
+  if (document.getElementById('retrieveCommitment')) {
+    document.getElementById('retrieveCommitment').value = '';
+  }
+
+  // Update the command display
+  if (document.getElementById('commandHeight')) {
+    document.getElementById('commandHeight').textContent = result.height;
+  }
+  if (document.getElementById('commandNamespace')) {
+    document.getElementById('commandNamespace').textContent = result.namespaceHex;
+  }
+
+  // Refresh the node balance once the submission is processed
+  setTimeout(() => {
+    refreshNodeBalance();
+  }, 5000);
+
+  document.getElementById('resultContainer').style.display = 'block';
+}
+
+/**
+ * Open the Blob Poster tab and retrieve a blob, or every blob at a height, with the retrieve form
+ * @param {number|string} height - Block height
+ * @param {string} namespaceHex - Namespace in hex
+ * @param {string} commitment - Commitment in hex or base64, empty to list every blob
+ */
+export function openInRetrieveForm(height, namespaceHex, commitment = '') {
+  const retrieveForm = document.getElementById('retrieveForm');
+  if (!retrieveForm) return;
+
+  document.getElementById('blob-poster-tab').click();
+  document.getElementById('retrieveHeight').value = height;
+  document.getElementById('retrieveNamespace').value = namespaceHex;
+  document.getElementById('retrieveCommitment').value = commitment || '';
+
+  retrieveForm.requestSubmit();
+  retrieveForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Set up the blob retrieval form
+ */
+function setupRetrieveForm() {
+  const retrieveForm = document.getElementById('retrieveForm');
+  if (!retrieveForm) return;
+
+  const reassembleBtn = document.getElementById('reassembleBtn');
+  if (reassembleBtn) {
+    reassembleBtn.addEventListener('click', reassembleFetchedManifest);
   }
-  
-  if (decodeBtn) {
-    decodeBtn.addEventListener('click', () => {
-      const base64 = base64Input.value;
-      if (base64 && isValidBase64(base64) && rawTextInput) {
-        try {
-          rawTextInput.value = decodeFromBase64(base64);
-        } catch (error) {
-          console.error('Error decoding base64:', error);
-          showToast('Error decoding base64');
+
+  retrieveForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const height = document.getElementById('retrieveHeight').value.trim();
+    const namespaceHex = document.getElementById('retrieveNamespace').value.trim();
+    const commitment = document.getElementById('retrieveCommitment')?.value.trim() || '';
+
+    if (!height || !namespaceHex) {
+      showToast('Please enter both height and namespace');
+      return;
+    }
+
+    // Clear previous results
+    fetchedManifest = null;
+    const blobResultsContainer = document.getElementById('blobResults');
+    if (blobResultsContainer) {
+      blobResultsContainer.style.display = 'none';
+    }
+
+    showToast('Retrieving blob data...');
+
+    try {
+      // A commitment picks out one blob, otherwise list them all
+      const blobs = commitment
+        ? [await retrieveBlobByCommitment(height, namespaceHex, commitment)].filter(Boolean)
+        : await retrieveBlobs(height, namespaceHex);
+
+      if (blobs.length > 0) {
+        updateBlobList(commitment ? [] : blobs, height, namespaceHex);
+        showRetrievedBlob(blobs[0], height, namespaceHex);
+
+        if (blobResultsContainer) {
+          blobResultsContainer.style.display = 'block';
         }
+
+        showToast(blobs.length > 1 ? `Retrieved ${blobs.length} blobs` : 'Blob retrieved successfully');
       } else {
-        showToast('Invalid base64 input');
+        showToast('No blob found');
       }
-    });
+    } catch (error) {
+      console.error('Error in blob retrieval:', error.message);
+      showToast(`Error: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Show a retrieved blob's details, data and commands
+ * @param {Object} blob - Retrieved blob
+ * @param {string} height - Block height
+ * @param {string} namespaceHex - Namespace in hex, as entered
+ */
+function showRetrievedBlob(blob, height, namespaceHex) {
+  if (document.getElementById('fetchedCommitment')) {
+    document.getElementById('fetchedCommitment').textContent = blob.commitment || 'N/A';
+    checkFetchedCommitment(blob);
   }
-  
-  // Set up event listener for blob submission form
-  if (blobForm) {
-    blobForm.addEventListener('submit', async (event) => {
-      event.preventDefault();
-      
-      // Hide previous results and errors
-      if (resultContainer) resultContainer.style.display = 'none';
-      if (errorMessage) errorMessage.style.display = 'none';
-      
-      // Show loading indicator
-      if (loadingIndicator) loadingIndicator.style.display = 'block';
-      
-      try {
-        // Get namespace based on selected type
-        const selectedType = document.querySelector('input[name="namespaceType"]:checked').value;
-        let namespace;
-        
-        switch (selectedType) {
-          case 'base64':
-            namespace = base64NamespaceInput.value.trim();
-            break;
-          case 'hex':
-            // TODO: Implement hex namespace handling
-            break;
-          case 'plainText':
-            namespace = createValidNamespace(plainTextNamespaceInput.value.trim()).base64;
-            break;
-          case 'random':
-            namespace = randomNamespaceInput.value.trim();
-            break;
-          default:
-            throw new Error('Invalid namespace type');
-        }
-        
-        // Validate namespace
-        const validation = validateNamespace(namespace);
-        if (!validation.isValid) {
-          throw new Error(validation.error);
-        }
-        
-        // Get blob data
-        const blobData = blobDataInput.value.trim();
-        if (!blobData) {
-          throw new Error('Blob data is required');
-        }
-        
-        // Submit blob
-        const result = await submitBlob(namespace, blobData);
-        
-        // Update result container
-        updateResultContainer(result);
-      } catch (error) {
-        console.error('Error submitting blob:', error);
-        
-        // Show error message
-        if (errorMessage) {
-          errorMessage.textContent = error.message;
-          errorMessage.style.display = 'block';
-        }
-      } finally {
-        // Hide loading indicator
-        if (loadingIndicator) loadingIndicator.style.display = 'none';
+  if (document.getElementById('fetchedNamespace')) {
+    document.getElementById('fetchedNamespace').textContent = blob.namespace || 'N/A';
+  }
+  showBlobData(blob.data, blob.index !== undefined ? `blob-${height}-${blob.index}` : `blob-${height}`);
+  updateManifestPanel(blob);
+
+  setExplorerLink(document.getElementById('fetchedNamespaceLink'), getNamespaceExplorerUrl(namespaceHex));
+
+  updateCommandExamples(height, namespaceHex, blob.commitment);
+
+  setProofTarget({ height, namespace: blob.namespace, commitment: blob.commitment });
+  setShareSquareTarget({ height, namespace: blob.namespace, index: blob.index });
+  recordNamespaceSeen(blob.namespace, height);
+
+  // Mark the shown blob in the list
+  document.querySelectorAll('#blobListRows tr').forEach(row => {
+    row.classList.toggle('table-active', row.dataset.commitment === blob.commitment);
+  });
+}
+
+/**
+ * Check a retrieved blob's commitment against one computed from its data
+ * @param {Object} blob - Retrieved blob
+ */
+async function checkFetchedCommitment(blob) {
+  const commitmentCheck = document.getElementById('fetchedCommitmentCheck');
+  if (!commitmentCheck) return;
+
+  commitmentCheck.textContent = '';
+  if (!blob.commitment || !blob.data || !blob.namespace) return;
+
+  try {
+    const { commitment } = await computeLocalCommitment(blob.namespace, blob.data);
+
+    // Skip the result if another blob is shown by now
+    if (document.getElementById('fetchedCommitment').textContent !== blob.commitment) return;
+    showCommitmentCheck(commitmentCheck, commitment, blob.commitment);
+  } catch (error) {
+    console.error('Error computing commitment:', error);
+  }
+}
+
+/**
+ * List every blob retrieved at a height, each with a button to show it
+ * @param {Array} blobs - Retrieved blobs, empty to hide the list
+ * @param {string} height - Block height
+ * @param {string} namespaceHex - Namespace in hex, as entered
+ */
+function updateBlobList(blobs, height, namespaceHex) {
+  const blobList = document.getElementById('blobList');
+  if (!blobList) return;
+
+  const tbody = document.getElementById('blobListRows');
+  tbody.innerHTML = '';
+
+  blobs.forEach((blob, position) => {
+    const row = document.createElement('tr');
+    row.dataset.commitment = blob.commitment;
+
+    const cells = [
+      String(position + 1),
+      blob.index !== undefined ? String(blob.index) : '-',
+      blob.data ? formatBytes(base64ByteLength(blob.data)) : '-',
+      blob.commitment || 'N/A'
+    ];
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (cellIndex === 3) {
+        cell.className = 'result-value commitment-cell';
       }
+      row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'btn btn-sm btn-outline-primary';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => {
+      showRetrievedBlob(blob, height, namespaceHex);
     });
+    actionCell.appendChild(viewBtn);
+    row.appendChild(actionCell);
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('blobListCount').textContent = blobs.length;
+  blobList.style.display = blobs.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Show the manifest panel if a retrieved blob is the manifest of chunked data
+ * @param {Object} blob - Retrieved blob
+ */
+function updateManifestPanel(blob) {
+  const manifestPanel = document.getElementById('manifestPanel');
+  if (!manifestPanel) return;
+
+  const manifest = blob.data ? parseManifest(blob.data) : null;
+  fetchedManifest = manifest ? { manifest, namespace: blob.namespace } : null;
+
+  if (!manifest) {
+    manifestPanel.style.display = 'none';
+    return;
   }
-  
-  // Set up event listener for blob retrieval form
-  if (retrieveForm) {
-    retrieveForm.addEventListener('submit', async (event) => {
-      event.preventDefault();
-      
-      // Hide previous results and errors
-      if (blobResults) blobResults.style.display = 'none';
-      if (retrieveErrorMessage) retrieveErrorMessage.style.display = 'none';
-      
-      // Show loading indicator
-      if (retrieveLoadingIndicator) retrieveLoadingIndicator.style.display = 'block';
-      
-      try {
-        // Get height and namespace
-        const height = parseInt(retrieveHeight.value.trim());
-        const namespaceInput = retrieveNamespace.value.trim();
-        
-        if (isNaN(height) || height <= 0) {
-          throw new Error('Invalid height');
-        }
-        
-        if (!namespaceInput) {
-          throw new Error('Namespace is required');
-        }
-        
-        // Determine if input is hex or base64
-        let namespaceHex;
-        if (/^[0-9A-Fa-f]+$/.test(namespaceInput)) {
-          // Input is hex
-          namespaceHex = namespaceInput.toUpperCase();
-        } else if (isValidBase64(namespaceInput)) {
-          // Input is base64
-          namespaceHex = base64ToHex(namespaceInput);
-        } else {
-          throw new Error('Invalid namespace format (must be hex or base64)');
-        }
-        
-        // Retrieve blob
-        const result = await retrieveBlob(height, namespaceHex);
-        
-        // Show results
-        if (blobResults) blobResults.style.display = 'block';
-        
-        // Display blob data
-        if (blobDataContainer) {
-          // Clear previous content
-          blobDataContainer.innerHTML = '';
-          
-          if (result.data && result.data.length > 0) {
-            result.data.forEach(blob => {
-              const dataDisplay = formatBase64ForDisplay(blob.data);
-              blobDataContainer.innerHTML += dataDisplay.html;
-            });
-          } else {
-            blobDataContainer.innerHTML = '<div class="alert alert-info">No blob data found</div>';
-          }
-        }
-        
-        // Update command examples
-        updateCommandExamples(height, namespaceHex, result.commitment);
-      } catch (error) {
-        console.error('Error retrieving blob:', error);
-        
-        // Show error message
-        if (retrieveErrorMessage) {
-          retrieveErrorMessage.textContent = error.message;
-          retrieveErrorMessage.style.display = 'block';
-        }
-      } finally {
-        // Hide loading indicator
-        if (retrieveLoadingIndicator) retrieveLoadingIndicator.style.display = 'none';
-      }
+
+  const name = manifest.name || 'Unnamed file';
+  document.getElementById('manifestSummary').textContent =
+    `${name} (${manifest.mimeType || 'unknown type'}, ${formatBytes(manifest.size)}) in ${manifest.chunks.length} chunks`;
+  document.getElementById('manifestStatus').textContent = '';
+  manifestPanel.style.display = 'block';
+}
+
+/**
+ * Fetch the chunks of the retrieved manifest, verify them and download the original file
+ */
+async function reassembleFetchedManifest() {
+  if (!fetchedManifest) return;
+
+  const { manifest, namespace } = fetchedManifest;
+  const reassembleBtn = document.getElementById('reassembleBtn');
+  const manifestStatus = document.getElementById('manifestStatus');
+
+  reassembleBtn.disabled = true;
+  try {
+    const bytes = await reassembleChunkedBlob(manifest, namespace, (fetched, total) => {
+      manifestStatus.textContent = `Fetching chunk ${fetched + 1} of ${total}...`;
     });
+
+    manifestStatus.textContent = 'Verified against the manifest hash';
+    downloadFile(bytes, manifest.name || 'blob.bin', manifest.mimeType);
+  } catch (error) {
+    console.error('Error reassembling chunked blob:', error);
+    manifestStatus.textContent = '';
+    showToast(`Error: ${error.message}`);
+  } finally {
+    reassembleBtn.disabled = false;
   }
-  
-  // Add copy functionality for CLI command
+}
+
+/**
+ * Set up the copy buttons of the command examples
+ */
+function setupCommandExamples() {
   const copyCLICommand = document.getElementById('copyCLICommand');
   if (copyCLICommand) {
     copyCLICommand.addEventListener('click', () => {
-      const command = document.getElementById('cliCommand').textContent;
-      copyToClipboard(command);
+      copyToClipboard(document.getElementById('cliCommand').textContent);
     });
   }
-  
-  // Add copy functionality for curl command
+
   const copyCurlCommand = document.getElementById('copyCurlCommand');
   if (copyCurlCommand) {
     copyCurlCommand.addEventListener('click', () => {
-      const command = document.getElementById('curlCommand').textContent;
-      copyToClipboard(command);
+      copyToClipboard(document.getElementById('curlCommand').textContent);
     });
   }
 }
 
 /**
- * Submit a blob to the Celestia network
- * @param {string} namespace - Base64 encoded namespace
- * @param {string} data - Blob data (base64 encoded)
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} - Submission result
+ * Update command examples with the values of a retrieved blob
+ * @param {string} height - Block height
+ * @param {string} namespaceHex - Hex of the namespace's 10 user-specified bytes
+ * @param {string} commitment - Base64 encoded blob commitment
  */
-export async function submitBlob(namespace, data, options = {}) {
+function updateCommandExamples(height, namespaceHex, commitment) {
   try {
-    // Convert namespace to hex if it's not already
-    const namespaceHex = /^[0-9A-Fa-f]+$/.test(namespace) 
-      ? namespace.toUpperCase() 
-      : base64ToHex(namespace);
-    
-    // Prepare params
-    const params = [
-      [{ namespace: namespaceHex, data: data, share_version: 0 }],
-      options
-    ];
-    
-    // Send RPC request
-    const response = await sendRpcRequest('blob.Submit', params);
-    
-    if (response.result) {
-      return {
-        height: response.result.height,
-        hash: response.result.txhash,
-        namespace: namespace,
-        namespaceHex: namespaceHex,
-        data: data
-      };
-    } else {
-      throw new Error('Invalid response from node');
+    // The API takes the full namespace in base64
+    const namespaceBase64 = namespaceToBase64(namespaceFromHex(namespaceHex));
+
+    // For CLI command (uses hex for both namespace and commitment)
+    if (document.getElementById('cliHeight')) {
+      document.getElementById('cliHeight').textContent = height;
+    }
+    if (document.getElementById('cliNamespace')) {
+      document.getElementById('cliNamespace').textContent = namespaceHex;
+    }
+    if (document.getElementById('cliCommitment')) {
+      const commitmentHex = commitment ? bytesToHex(base64ToBytes(commitment)) : '';
+      document.getElementById('cliCommitment').textContent = commitmentHex;
+    }
+
+    // For curl command (uses base64 namespace and commitment)
+    if (document.getElementById('curlHeight')) {
+      document.getElementById('curlHeight').textContent = height;
+    }
+    if (document.getElementById('curlNamespace')) {
+      document.getElementById('curlNamespace').textContent = namespaceBase64;
+    }
+    if (document.getElementById('curlCommitment')) {
+      document.getElementById('curlCommitment').textContent = commitment || '';
+    }
+
+    // Point curl at the configured node, the same endpoint the HTTP fallback uses
+    const connectionSettings = getConnectionSettings();
+    if (document.getElementById('curlUrl')) {
+      document.getElementById('curlUrl').textContent = buildHttpUrl(connectionSettings);
+    }
+    if (document.getElementById('curlAuthHeader')) {
+      document.getElementById('curlAuthHeader').textContent = connectionSettings.token
+        ? '-H "Authorization: Bearer $CELESTIA_NODE_AUTH_TOKEN" '
+        : '';
     }
   } catch (error) {
-    console.error('Error submitting blob:', error);
-    throw error;
+    console.error('Error updating command examples:', error.message);
   }
 }
 
 /**
- * Retrieve a blob by height and namespace
- * @param {number} height - Block height
- * @param {string} namespaceHex - Namespace in hex format
- * @returns {Promise<Object>} - Retrieved blob data
+ * Set up the base64 encoding tools
  */
-export async function retrieveBlob(height, namespaceHex) {
-  try {
-    // Prepare params
-    const params = [
-      height,
-      namespaceHex,
-      { prove: true }
-    ];
-    
-    // Send RPC request
-    const response = await sendRpcRequest('blob.GetAll', params);
-    
-    if (response.result) {
-      return {
-        height: height,
-        namespace: namespaceHex,
-        commitment: response.result.commitment,
-        data: response.result.blobs || []
-      };
-    } else {
-      throw new Error('Invalid response from node');
+function setupBase64Tools() {
+  const rawTextInput = document.getElementById('rawText');
+  const encodedTextOutput = document.getElementById('encodedText');
+
+  if (!rawTextInput || !encodedTextOutput) return;
+
+  // Convert automatically in both directions
+  let isUpdating = false;
+
+  rawTextInput.addEventListener('input', () => {
+    if (isUpdating) return;
+    isUpdating = true;
+
+    const rawText = rawTextInput.value;
+    encodedTextOutput.value = rawText ? textToBase64(rawText) : '';
+
+    isUpdating = false;
+  });
+
+  encodedTextOutput.addEventListener('input', () => {
+    if (isUpdating) return;
+    isUpdating = true;
+
+    const base64 = encodedTextOutput.value.trim();
+    try {
+      rawTextInput.value = base64 ? base64ToText(base64) : '';
+    } catch (error) {
+      // Leave the text empty until the base64 is complete
+      rawTextInput.value = '';
     }
-  } catch (error) {
-    console.error('Error retrieving blob:', error);
-    throw error;
-  }
+
+    isUpdating = false;
+  });
+
+  // Click to copy
+  rawTextInput.addEventListener('click', () => {
+    if (rawTextInput.value) {
+      copyToClipboard(rawTextInput.value);
+    }
+  });
+
+  encodedTextOutput.addEventListener('click', () => {
+    if (encodedTextOutput.value) {
+      copyToClipboard(encodedTextOutput.value);
+    }
+  });
 }
 
 /**
- * Update the result container with successful submission details
- * @param {Object} result - Submission result
+ * Set up the file picker and drop zone, which fill the data input with the file's bytes
  */
-function updateResultContainer(result) {
-  const resultContainer = document.getElementById('resultContainer');
-  const resultHeight = document.getElementById('resultHeight');
-  const resultHash = document.getElementById('resultHash');
-  const resultNamespace = document.getElementById('resultNamespace');
-  
-  if (!resultContainer) return;
-  
-  // Show result container
-  resultContainer.style.display = 'block';
-  
-  // Update result details
-  if (resultHeight) resultHeight.textContent = result.height;
-  if (resultHash) resultHash.textContent = result.hash;
-  if (resultNamespace) resultNamespace.textContent = result.namespaceHex;
-  
-  // Set up copy buttons
-  const copyButtons = resultContainer.querySelectorAll('.copy-result');
-  copyButtons.forEach(button => {
-    button.addEventListener('click', (e) => {
-      const targetId = e.currentTarget.getAttribute('data-target');
-      const targetElement = document.getElementById(targetId);
-      if (targetElement) {
-        copyToClipboard(targetElement.textContent.trim());
+function setupFileUpload() {
+  const fileUploadInput = document.getElementById('fileUpload');
+  const dropZone = document.getElementById('fileDropZone');
+  const recompressCheckbox = document.getElementById('recompressImage');
+
+  if (!fileUploadInput) return;
+
+  fileUploadInput.addEventListener('change', (event) => {
+    loadFile(event.target.files[0]);
+  });
+
+  if (dropZone) {
+    ['dragenter', 'dragover'].forEach(eventName => {
+      dropZone.addEventListener(eventName, (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+      });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+      dropZone.addEventListener(eventName, () => {
+        dropZone.classList.remove('dragover');
+      });
+    });
+
+    dropZone.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer.files[0];
+      if (!file) return;
+
+      // Show the dropped file in the picker too
+      fileUploadInput.files = event.dataTransfer.files;
+      loadFile(file);
+    });
+  }
+
+  // Reload the current file when recompression is switched on or off
+  if (recompressCheckbox) {
+    recompressCheckbox.addEventListener('change', () => {
+      if (selectedFile) {
+        loadFile(selectedFile);
       }
     });
-  });
+  }
 }
 
 /**
- * Update command examples with the correct values
- * @param {number} height - Block height
- * @param {string} namespaceHex - Namespace in hex format
- * @param {string} commitment - Commitment hash
+ * Read a file into the data input, recompressing it first if it is an image and recompression is on
+ * @param {File} file - File to load
  */
-function updateCommandExamples(height, namespaceHex, commitment) {
-  const cliCommand = document.getElementById('cliCommand');
-  const curlCommand = document.getElementById('curlCommand');
-  
-  if (cliCommand) {
-    cliCommand.textContent = `celestia blob get ${height} ${namespaceHex}`;
-  }
-  
-  if (curlCommand) {
-    curlCommand.textContent = `curl -X POST \\
-  -H "Content-Type: application/json" \\
-  --data '{"jsonrpc":"2.0","id":1,"method":"blob.GetAll","params":[${height},"${namespaceHex}",{"prove":true}]}' \\
-  http://localhost:26658`;
+async function loadFile(file) {
+  if (!file) return;
+  selectedFile = file;
+
+  const isImage = file.type.startsWith('image/');
+  const recompress = isImage && document.getElementById('recompressImage')?.checked;
+  const { chunkSize } = getActiveNetwork();
+
+  try {
+    let base64;
+    if (recompress) {
+      base64 = (await optimizeImage(file, chunkSize)).split(',')[1];
+    } else {
+      base64 = bytesToBase64(new Uint8Array(await file.arrayBuffer()));
+    }
+
+    // Ignore the result if another file was picked in the meantime
+    if (selectedFile !== file) return;
+
+    const dataInput = document.getElementById('data');
+    dataInput.value = base64;
+    selectedFileData = base64;
+
+    // Let the fee estimate pick up the new data
+    dataInput.dispatchEvent(new Event('input'));
+
+    updateFileInfo(file, base64ByteLength(base64), { isImage, recompress, chunkSize });
+    updateImagePreview(isImage ? `data:${recompress ? 'image/jpeg' : file.type};base64,${base64}` : '', recompress);
+  } catch (error) {
+    console.error('Error reading file:', error);
+    showToast('Error reading file. Please try again.');
   }
-  
-  // Update commitment display if available
-  const commitmentDisplay = document.getElementById('commitmentDisplay');
-  if (commitmentDisplay && commitment) {
-    commitmentDisplay.textContent = commitment;
-    commitmentDisplay.parentElement.style.display = 'block';
-  } else if (commitmentDisplay) {
-    commitmentDisplay.parentElement.style.display = 'none';
+}
+
+/**
+ * Show a loaded file's metadata and whether it fits in a blob
+ * @param {File} file - Loaded file
+ * @param {number} size - Size of the data that will be posted, in bytes
+ * @param {Object} details - Object with isImage, recompress and chunkSize (largest size posted as one blob) properties
+ */
+function updateFileInfo(file, size, { isImage, recompress, chunkSize }) {
+  const fileInfo = document.getElementById('fileInfo');
+  if (!fileInfo) return;
+
+  document.getElementById('fileName').textContent = file.name;
+  document.getElementById('fileType').textContent = file.type || 'Unknown';
+  document.getElementById('fileSize').textContent = recompress
+    ? `${formatBytes(file.size)} (${formatBytes(size)} recompressed)`
+    : formatBytes(file.size);
+
+  const sizeStatus = document.getElementById('fileSizeStatus');
+  if (size > chunkSize) {
+    sizeStatus.className = 'mt-1 text-warning';
+    sizeStatus.textContent = `Larger than the ${formatBytes(chunkSize)} posted as one blob on ${getActiveNetwork().name}, `
+      + `so it will be split into ${getChunkCount(size)} blobs plus a manifest.`
+      + (isImage && !recompress ? ' Turn on recompression to fit it in one blob.' : '');
+  } else {
+    sizeStatus.className = 'mt-1 text-success';
+    sizeStatus.textContent = `Fits in a blob (max ${formatBytes(chunkSize)})`;
   }
+
+  fileInfo.style.display = 'block';
+}
+
+/**
+ * Show or hide the image preview
+ * @param {string} dataUrl - Image data URL, empty to hide the preview
+ * @param {boolean} recompressed - Whether the image was recompressed
+ */
+function updateImagePreview(dataUrl, recompressed) {
+  const imagePreviewContainer = document.getElementById('imagePreview');
+  const previewImage = document.getElementById('previewImage');
+  if (!imagePreviewContainer) return;
+
+  previewImage.src = dataUrl;
+  imagePreviewContainer.style.display = dataUrl ? 'block' : 'none';
+  document.getElementById('imagePreviewCaption').textContent = recompressed
+    ? 'Preview of the recompressed image'
+    : 'Preview of the image';
+}
+
+/**
+ * Convert an image to a JPEG data URL, reducing quality and then size until it fits in a blob
+ * @param {File} file - Image file
+ * @param {number} maxSize - Largest allowed size in bytes
+ * @returns {Promise<string>} - JPEG data URL
+ */
+function optimizeImage(file, maxSize) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = function(e) {
+      const img = new Image();
+      img.onload = function() {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        // Get base64 at full quality first
+        const base64 = canvas.toDataURL('image/jpeg', 1.0);
+        const size = Math.ceil((base64.length - 22) * 3 / 4);
+
+        if (size <= maxSize) {
+          resolve(base64);
+          return;
+        }
+
+        // Reduce quality first and dimensions only as a last resort
+        let width = img.width;
+        let height = img.height;
+        let quality = 0.95;
+
+        const tryQuality = () => {
+          const base64 = canvas.toDataURL('image/jpeg', quality);
+          const size = Math.ceil((base64.length - 22) * 3 / 4);
+
+          if (size > maxSize && quality > 0.1) {
+            quality -= 0.05;
+            tryQuality();
+          } else if (size > maxSize) {
+            width = Math.floor(width * 0.95);
+            height = Math.floor(height * 0.95);
+            canvas.width = width;
+            canvas.height = height;
+            ctx.drawImage(img, 0, 0, width, height);
+            quality = 0.95;
+            tryQuality();
+          } else {
+            resolve(base64);
+          }
+        };
+
+        tryQuality();
+      };
+      img.onerror = reject;
+      img.src = e.target.result;
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
 }
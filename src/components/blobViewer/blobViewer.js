@@ -0,0 +1,260 @@
+import { detectFileType } from '../../utils/fileType.js';
+import { base64ToBytes, bytesToText } from '../../utils/codec.js';
+import { downloadFile, formatBytes } from '../../utils/common.js';
+import { createImagePreview, createHtmlPreview } from '../../utils/sanitize.js';
+
+// Bytes per hex dump line
+const HEX_LINE_SIZE = 16;
+
+// Hex dump lines, or characters of text and base64, rendered per batch
+const HEX_LINES_PER_BATCH = 256;
+const TEXT_CHARS_PER_BATCH = 64 * 1024;
+
+// JSON larger than this is shown as plain text instead of pretty printed
+const MAX_PRETTY_JSON_SIZE = 1024 * 1024;
+
+// Distance from the bottom of the viewer, in pixels, at which the next batch is rendered
+const LOAD_MORE_MARGIN = 200;
+
+// Blob being shown
+let viewerBytes = null;
+let viewerBase64 = '';
+let viewerType = null;
+let viewerFileName = 'blob';
+
+// Renders the next batch of the current mode, returns false once everything is shown
+let renderNextBatch = null;
+
+// Object URL of the shown image, revoked when the view changes
+let imageUrl = null;
+
+/**
+ * Initialize the viewer of retrieved blob data
+ */
+export function initBlobViewer() {
+  const content = document.getElementById('blobViewerContent');
+  if (!content) return;
+
+  document.querySelectorAll('#blobViewerModes [data-mode]').forEach(button => {
+    button.addEventListener('click', () => renderMode(button.dataset.mode));
+  });
+
+  document.getElementById('downloadBlobBtn').addEventListener('click', () => {
+    if (!viewerBytes) return;
+    downloadFile(viewerBytes, `${viewerFileName}.${viewerType.extension}`, viewerType.mimeType);
+  });
+
+  // Large blobs are rendered a batch at a time as the viewer is scrolled
+  content.addEventListener('scroll', () => {
+    if (renderNextBatch && content.scrollTop + content.clientHeight >= content.scrollHeight - LOAD_MORE_MARGIN) {
+      renderNextBatch();
+    }
+  });
+}
+
+/**
+ * Show blob data in the viewer, picking the view from its detected type
+ * @param {string} data - Base64 encoded blob data
+ * @param {string} fileName - File name to download the data as, without extension
+ */
+export function showBlobData(data, fileName) {
+  viewerBase64 = data || '';
+  viewerFileName = fileName || 'blob';
+
+  try {
+    viewerBytes = base64ToBytes(viewerBase64);
+  } catch (error) {
+    viewerBytes = null;
+  }
+  viewerType = viewerBytes ? detectFileType(viewerBytes) : null;
+
+  document.getElementById('blobViewerType').textContent = viewerType
+    ? `${viewerType.label}${viewerType.likely ? ' (likely)' : ''}`
+    : 'Not base64';
+  document.getElementById('blobViewerSize').textContent = viewerBytes ? formatBytes(viewerBytes.length) : '';
+  document.getElementById('downloadBlobBtn').disabled = !viewerBytes;
+
+  // Binary types have no preview beyond the hex dump
+  const hasPreview = Boolean(viewerType) && viewerType.category !== 'binary';
+  document.querySelectorAll('#blobViewerModes [data-mode]').forEach(button => {
+    button.disabled = !viewerBytes || (button.dataset.mode === 'preview' && !hasPreview);
+  });
+
+  if (!viewerBytes) {
+    renderMode('base64');
+  } else {
+    renderMode(hasPreview ? 'preview' : 'hex');
+  }
+}
+
+/**
+ * Render the shown blob in a view mode
+ * @param {string} mode - preview, hex, text or base64
+ */
+function renderMode(mode) {
+  const content = document.getElementById('blobViewerContent');
+
+  document.querySelectorAll('#blobViewerModes [data-mode]').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
+
+  content.innerHTML = '';
+  content.scrollTop = 0;
+  renderNextBatch = null;
+  if (imageUrl) {
+    URL.revokeObjectURL(imageUrl);
+    imageUrl = null;
+  }
+
+  if (mode !== 'base64' && viewerBytes && viewerBytes.length === 0) {
+    renderMessage(content, 'The blob is empty.');
+    return;
+  }
+
+  if (mode === 'preview' && viewerType.category === 'image') {
+    renderImage(content);
+  } else if (mode === 'preview' && viewerType.category === 'html') {
+    content.appendChild(createHtmlPreview(bytesToText(viewerBytes)));
+  } else if (mode === 'preview' && viewerType.category === 'json' && viewerBytes.length <= MAX_PRETTY_JSON_SIZE) {
+    const text = JSON.stringify(JSON.parse(bytesToText(viewerBytes)), null, 2);
+    renderLazily(content, createStringBatches(text), true);
+  } else if (mode === 'preview' || mode === 'text') {
+    renderLazily(content, createTextBatches(viewerBytes), true);
+  } else if (mode === 'hex') {
+    renderLazily(content, createHexBatches(viewerBytes), false);
+  } else {
+    renderLazily(content, createStringBatches(viewerBase64 || 'N/A'), true);
+  }
+}
+
+/**
+ * Show the blob as an image, falling back to the hex dump if the browser can't decode it
+ * @param {HTMLElement} content - Viewer element
+ */
+function renderImage(content) {
+  const { element: img, url } = createImagePreview(viewerBytes, viewerType.mimeType);
+  imageUrl = url;
+
+  img.onerror = () => {
+    // Ignore images replaced by another view in the meantime
+    if (img.src !== imageUrl) return;
+
+    renderMode('hex');
+    renderMessage(content, `The ${viewerType.label} could not be decoded. Showing the hex dump:`, true);
+  };
+  content.appendChild(img);
+}
+
+/**
+ * Show a message in the viewer
+ * @param {HTMLElement} content - Viewer element
+ * @param {string} message - Message to show
+ * @param {boolean} prepend - Show it above the current content
+ */
+function renderMessage(content, message, prepend = false) {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'alert alert-info m-2';
+  messageElement.textContent = message;
+  if (prepend) {
+    content.insertBefore(messageElement, content.firstChild);
+  } else {
+    content.appendChild(messageElement);
+  }
+}
+
+/**
+ * Render text a batch at a time as the viewer is scrolled
+ * @param {HTMLElement} content - Viewer element
+ * @param {Function} nextBatch - Returns the next batch of text, or null when there is none left
+ * @param {boolean} wrap - Wrap long lines
+ */
+function renderLazily(content, nextBatch, wrap) {
+  const pre = document.createElement('pre');
+  if (wrap) pre.className = 'blob-viewer-wrap';
+  content.appendChild(pre);
+
+  renderNextBatch = () => {
+    const batch = nextBatch();
+    if (batch === null) {
+      renderNextBatch = null;
+      return false;
+    }
+    pre.appendChild(document.createTextNode(batch));
+    return true;
+  };
+
+  // One batch overflows the viewer, the rest follow its scrolling
+  renderNextBatch();
+}
+
+/**
+ * Split a string into batches
+ * @param {string} text - Text to split
+ * @returns {Function} - Returns the next batch, or null when there is none left
+ */
+function createStringBatches(text) {
+  let offset = 0;
+  return () => {
+    if (offset >= text.length) return null;
+    const batch = text.slice(offset, offset + TEXT_CHARS_PER_BATCH);
+    offset += TEXT_CHARS_PER_BATCH;
+    return batch;
+  };
+}
+
+/**
+ * Decode bytes as UTF-8 a batch at a time, without splitting characters between batches
+ * @param {Uint8Array} bytes - Data to decode
+ * @returns {Function} - Returns the next batch of text, or null when there is none left
+ */
+function createTextBatches(bytes) {
+  const decoder = new TextDecoder();
+  let offset = 0;
+  return () => {
+    if (offset >= bytes.length) return null;
+    const end = offset + TEXT_CHARS_PER_BATCH;
+    const batch = decoder.decode(bytes.subarray(offset, end), { stream: end < bytes.length });
+    offset = end;
+    return batch;
+  };
+}
+
+/**
+ * Format bytes as a hex dump a batch of lines at a time
+ * @param {Uint8Array} bytes - Data to dump
+ * @returns {Function} - Returns the next batch of lines, or null when there is none left
+ */
+function createHexBatches(bytes) {
+  let offset = 0;
+  return () => {
+    if (offset >= bytes.length) return null;
+
+    const lines = [];
+    const end = Math.min(offset + HEX_LINE_SIZE * HEX_LINES_PER_BATCH, bytes.length);
+    for (; offset < end; offset += HEX_LINE_SIZE) {
+      lines.push(formatHexLine(bytes.subarray(offset, offset + HEX_LINE_SIZE), offset));
+    }
+    return lines.join('');
+  };
+}
+
+/**
+ * Format one hex dump line: offset, bytes in hex and bytes as ASCII
+ * @param {Uint8Array} line - Up to HEX_LINE_SIZE bytes
+ * @param {number} offset - Offset of the first byte
+ * @returns {string} - The line, ending with a newline
+ */
+function formatHexLine(line, offset) {
+  let hex = '';
+  let ascii = '';
+  for (let i = 0; i < HEX_LINE_SIZE; i++) {
+    if (i === HEX_LINE_SIZE / 2) hex += ' ';
+    if (i < line.length) {
+      hex += `${line[i].toString(16).padStart(2, '0')} `;
+      ascii += line[i] >= 0x20 && line[i] < 0x7F ? String.fromCharCode(line[i]) : '.';
+    } else {
+      hex += '   ';
+    }
+  }
+  return `${offset.toString(16).padStart(8, '0')}  ${hex} |${ascii}|\n`;
+}
@@ -0,0 +1,216 @@
+import { reconnectWebSocket } from '../../services/websocket.js';
+import {
+  getProfileNames,
+  getActiveProfileName,
+  getConnectionSettings,
+  saveConnectionSettings,
+  deleteConnectionProfile,
+  getTokenPermissions,
+  DEFAULT_PROFILE
+} from '../../services/connectionSettings.js';
+import { NETWORKS, getActiveNetwork, getNamespaceExplorerUrl } from '../../services/networks.js';
+import { showToast } from '../../utils/common.js';
+
+/**
+ * Initialize the connection settings panel
+ */
+export function initConnectionSettings() {
+  const connectionSettingsForm = document.getElementById('connectionSettingsForm');
+  const profileInput = document.getElementById('connectionProfile');
+  const nodeUrlInput = document.getElementById('nodeUrl');
+  const authTokenInput = document.getElementById('nodeAuthToken');
+  const networkSelect = document.getElementById('connectionNetwork');
+  const deleteProfileBtn = document.getElementById('deleteConnectionProfileBtn');
+
+  // Show the active network's links, defaults and help text
+  applyNetworkToPage();
+
+  if (!connectionSettingsForm) return;
+
+  // Fill the form with the active profile
+  populateProfileList();
+  loadProfileIntoForm(getActiveProfileName());
+
+  // Show the custom network fields only for custom networks
+  networkSelect.addEventListener('change', () => {
+    toggleCustomNetworkFields(networkSelect.value);
+  });
+
+  // Load a saved profile when it is picked from the list
+  profileInput.addEventListener('change', () => {
+    const profile = profileInput.value.trim();
+    if (getProfileNames().includes(profile)) {
+      loadProfileIntoForm(profile);
+    }
+  });
+
+  // Show which permissions the token grants
+  authTokenInput.addEventListener('input', () => {
+    updateTokenPermissions(authTokenInput.value.trim());
+  });
+
+  // Save the profile and reconnect with it
+  connectionSettingsForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    try {
+      saveConnectionSettings(profileInput.value, {
+        url: nodeUrlInput.value.trim(),
+        token: authTokenInput.value,
+        network: networkSelect.value,
+        custom: networkSelect.value === 'custom' ? readCustomNetworkFields() : null
+      });
+
+      populateProfileList();
+      applyNetworkToPage();
+      reconnectWebSocket();
+      showToast(`Reconnecting to ${nodeUrlInput.value.trim()}...`);
+    } catch (error) {
+      console.error('Error saving connection settings:', error);
+      showToast('Error: ' + error.message);
+    }
+  });
+
+  // Delete the selected profile and fall back to the default one
+  if (deleteProfileBtn) {
+    deleteProfileBtn.addEventListener('click', () => {
+      const profile = profileInput.value.trim();
+
+      try {
+        deleteConnectionProfile(profile);
+        populateProfileList();
+        loadProfileIntoForm(DEFAULT_PROFILE);
+        applyNetworkToPage();
+        reconnectWebSocket();
+        showToast(`Profile "${profile}" deleted`);
+      } catch (error) {
+        console.error('Error deleting connection profile:', error);
+        showToast('Error: ' + error.message);
+      }
+    });
+  }
+}
+
+/**
+ * Fill the profile datalist with the saved profiles
+ */
+function populateProfileList() {
+  const profileList = document.getElementById('connectionProfileList');
+  if (!profileList) return;
+
+  profileList.innerHTML = '';
+  getProfileNames().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile;
+    profileList.appendChild(option);
+  });
+}
+
+/**
+ * Load a profile's settings into the form
+ * @param {string} profile - Profile name
+ */
+function loadProfileIntoForm(profile) {
+  const { url, token, network, custom } = getConnectionSettings(profile);
+
+  document.getElementById('connectionProfile').value = profile;
+  document.getElementById('nodeUrl').value = url;
+  document.getElementById('nodeAuthToken').value = token;
+  document.getElementById('connectionNetwork').value = NETWORKS[network] ? network : 'custom';
+  document.getElementById('customExplorerUrl').value = custom ? custom.explorerUrl || '' : '';
+  document.getElementById('customGasPrice').value = custom ? custom.gasPrice || '' : '';
+  document.getElementById('customDenom').value = custom ? custom.denom || '' : '';
+  document.getElementById('customChunkSize').value = custom ? custom.chunkSize || '' : '';
+  toggleCustomNetworkFields(network);
+  updateTokenPermissions(token);
+}
+
+/**
+ * Read the custom network fields from the form
+ * @returns {Object} - Object with explorerUrl, gasPrice, denom and chunkSize properties
+ */
+function readCustomNetworkFields() {
+  return {
+    explorerUrl: document.getElementById('customExplorerUrl').value.trim(),
+    gasPrice: document.getElementById('customGasPrice').value.trim(),
+    denom: document.getElementById('customDenom').value.trim(),
+    chunkSize: document.getElementById('customChunkSize').value.trim()
+  };
+}
+
+/**
+ * Show or hide the custom network fields
+ * @param {string} network - Selected network id
+ */
+function toggleCustomNetworkFields(network) {
+  const customNetworkFields = document.getElementById('customNetworkFields');
+  if (customNetworkFields) {
+    customNetworkFields.style.display = network === 'custom' ? 'block' : 'none';
+  }
+}
+
+/**
+ * Update the network-dependent text and links across all tabs
+ */
+export function applyNetworkToPage() {
+  const network = getActiveNetwork();
+
+  const activeNetworkBadge = document.getElementById('activeNetworkBadge');
+  if (activeNetworkBadge) {
+    activeNetworkBadge.textContent = network.name;
+  }
+
+  const nodeStartCommand = document.getElementById('nodeStartCommand');
+  if (nodeStartCommand) {
+    nodeStartCommand.textContent = network.startCommand;
+  }
+
+  const gasPriceInput = document.getElementById('gasPrice');
+  const gasPriceHelp = document.getElementById('gasPriceHelp');
+  if (gasPriceInput) {
+    gasPriceInput.placeholder = network.gasPrice;
+  }
+
+  const composerGasPriceInput = document.getElementById('composerGasPrice');
+  if (composerGasPriceInput) {
+    composerGasPriceInput.placeholder = network.gasPrice;
+  }
+  if (gasPriceHelp) {
+    gasPriceHelp.textContent = `Default: ${network.gasPrice}`;
+  }
+
+  const maxGasPriceInput = document.getElementById('maxGasPrice');
+  const maxGasPriceHelp = document.getElementById('maxGasPriceHelp');
+  if (maxGasPriceInput) {
+    maxGasPriceInput.placeholder = network.gasPrice;
+  }
+  if (maxGasPriceHelp) {
+    maxGasPriceHelp.textContent = `Maximum gas price in ${network.displayDenom} that you're willing to pay (default: ${network.gasPrice} ${network.displayDenom})`;
+  }
+
+  const namespaceExampleLink = document.getElementById('namespaceExampleLink');
+  if (namespaceExampleLink) {
+    const explorerUrl = getNamespaceExplorerUrl('676d');
+    namespaceExampleLink.href = explorerUrl || '#';
+    namespaceExampleLink.style.display = explorerUrl ? '' : 'none';
+  }
+}
+
+/**
+ * Show the permissions granted by the entered token
+ * @param {string} token - Node JWT
+ */
+function updateTokenPermissions(token) {
+  const permissionsElement = document.getElementById('nodeAuthTokenPermissions');
+  if (!permissionsElement) return;
+
+  if (!token) {
+    permissionsElement.textContent = 'No token: the node must run with --rpc.skip-auth';
+    return;
+  }
+
+  const permissions = getTokenPermissions(token);
+  permissionsElement.textContent = permissions.length > 0
+    ? `Token permissions: ${permissions.join(', ')}`
+    : 'Unable to read token permissions';
+}
@@ -0,0 +1,120 @@
+import { reconnectWebSocket } from '../../services/websocket.js';
+import { onConnectionStateChange, CONNECTION_STATES } from '../../services/connectionState.js';
+
+// Countdown timer while waiting for a reconnect attempt
+let countdownInterval = null;
+
+/**
+ * Initialize the connection status displays
+ */
+export function initConnectionStatus() {
+  // Skip the wait for the next reconnect attempt
+  const reconnectNowBtn = document.getElementById('reconnectNowBtn');
+  if (reconnectNowBtn) {
+    reconnectNowBtn.addEventListener('click', () => {
+      reconnectWebSocket();
+    });
+  }
+
+  onConnectionStateChange(renderConnectionState);
+}
+
+/**
+ * Render the connection state in the header badge, the Node Info status and the connection alert
+ * @param {Object} state - Connection state
+ */
+function renderConnectionState(state) {
+  const connectionStatus = document.getElementById('connectionStatus');
+  const nodeConnectionAlert = document.getElementById('nodeConnectionAlert');
+
+  if (connectionStatus) {
+    connectionStatus.classList.remove('text-success', 'text-warning', 'text-danger');
+    connectionStatus.classList.add(`text-${getStateColor(state.status)}`);
+    connectionStatus.textContent = getStatusText(state);
+  }
+
+  // Only a node that can't be reached needs the start command
+  if (nodeConnectionAlert) {
+    const isUnreachable = state.status === CONNECTION_STATES.FAILED || state.status === CONNECTION_STATES.RECONNECTING;
+    nodeConnectionAlert.style.display = isUnreachable ? 'block' : 'none';
+  }
+
+  renderStateBadge(state);
+
+  const reconnectNowBtn = document.getElementById('reconnectNowBtn');
+  if (reconnectNowBtn) {
+    const isWaiting = state.status !== CONNECTION_STATES.OPEN && state.status !== CONNECTION_STATES.CONNECTING;
+    reconnectNowBtn.style.display = isWaiting ? 'inline-block' : 'none';
+  }
+
+  // Tick the reconnect countdown down every second
+  clearInterval(countdownInterval);
+  countdownInterval = null;
+  if (state.status === CONNECTION_STATES.RECONNECTING && state.retryAt) {
+    countdownInterval = setInterval(() => renderStateBadge(state), 1000);
+  }
+}
+
+/**
+ * Render the global connection badge in the header
+ * @param {Object} state - Connection state
+ */
+function renderStateBadge(state) {
+  const connectionStateBadge = document.getElementById('connectionStateBadge');
+  if (!connectionStateBadge) return;
+
+  connectionStateBadge.className = `badge bg-${getStateColor(state.status)}`;
+  connectionStateBadge.title = state.error || getStatusText(state);
+
+  switch (state.status) {
+    case CONNECTION_STATES.OPEN:
+      connectionStateBadge.textContent = state.latency !== null
+        ? `${state.transport} · ${state.latency} ms`
+        : state.transport;
+      break;
+    case CONNECTION_STATES.RECONNECTING: {
+      const seconds = Math.max(0, Math.ceil((state.retryAt - Date.now()) / 1000));
+      connectionStateBadge.textContent = seconds > 0 ? `Reconnecting in ${seconds}s` : 'Reconnecting...';
+      break;
+    }
+    case CONNECTION_STATES.FAILED:
+      connectionStateBadge.textContent = 'Disconnected';
+      break;
+    case CONNECTION_STATES.AUTH_ERROR:
+      connectionStateBadge.textContent = 'Auth error';
+      break;
+    default:
+      connectionStateBadge.textContent = 'Connecting...';
+  }
+}
+
+/**
+ * Get the status message for a connection state
+ * @param {Object} state - Connection state
+ * @returns {string} - Status message
+ */
+function getStatusText(state) {
+  switch (state.status) {
+    case CONNECTION_STATES.OPEN:
+      return `Connected to Celestia node via ${state.transport}`;
+    case CONNECTION_STATES.RECONNECTING:
+      return `Connection lost. Reconnecting (attempt ${state.attempt})...`;
+    case CONNECTION_STATES.FAILED:
+      return 'Disconnected from Celestia node';
+    case CONNECTION_STATES.AUTH_ERROR:
+      return state.error;
+    default:
+      return 'Connecting to WebSocket...';
+  }
+}
+
+/**
+ * Get the Bootstrap color of a connection state
+ * @param {string} status - One of CONNECTION_STATES
+ * @returns {string} - Bootstrap color name
+ */
+function getStateColor(status) {
+  if (status === CONNECTION_STATES.OPEN) return 'success';
+  if (status === CONNECTION_STATES.FAILED || status === CONNECTION_STATES.AUTH_ERROR) return 'danger';
+  return 'warning';
+}
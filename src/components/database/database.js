@@ -1,37 +1,93 @@
-import { sendRpcRequest } from '../../services/websocket.js';
-import { 
-  showToast, 
-  copyToClipboard, 
-  createValidNamespace, 
-  validateNamespace,
-  base64ToHex
-} from '../../utils/common.js';
+import { onReconnect } from '../../services/connectionState.js';
+import { getNamespaceExplorerUrl } from '../../services/networks.js';
+import { submitBlob, retrieveBlob } from '../../services/blob.js';
+import { generateRandomNamespace, namespaceFromBase64, namespaceIdToHex } from '../../utils/namespace.js';
+import { textToBytes, bytesToText, bytesToBase64, base64ToBytes, textToBase64, base64ToText } from '../../utils/codec.js';
+import { showToast, setExplorerLink } from '../../utils/common.js';
+import { html } from '../../utils/sanitize.js';
 
 // LocalStorage keys
 const DB_NAMESPACE_KEY = 'celestia_db_namespace';
-const DB_TOKEN_KEY = 'celestia_db_token';
-const DB_SCHEMA_KEY = 'celestia_db_schema';
+const DB_SCHEMA_HEIGHT_KEY = 'celestia_db_schema_height';
+const DB_RECORDS_KEY = 'celestia_db_records';
+const DB_AUTH_TOKEN_KEY = 'celestia_db_auth_token';
 
 /**
  * Initialize the Database tab
  */
 export function initDatabaseTab() {
+  // Refresh database info when tab is shown
+  const databaseTab = document.getElementById('database-tab');
+  if (databaseTab) {
+    databaseTab.addEventListener('shown.bs.tab', () => {
+      updateDatabaseInfoPanel();
+      displayDatabaseRecords();
+      displayDatabaseSchema();
+    });
+  }
+
+  // Set up clear cache button
+  const clearDbCacheBtn = document.getElementById('clearDbCacheBtn');
+  if (clearDbCacheBtn) {
+    clearDbCacheBtn.addEventListener('click', () => {
+      // Ask for confirmation before clearing cache
+      if (confirm('Are you sure you want to clear the database cache? This will remove all local database information and your encryption token, effectively making any future data inaccessible with a different key.')) {
+        clearDatabaseCache();
+        showToast('Database cache and encryption token cleared. Any future database will use a new encryption key.');
+      }
+    });
+  }
+
+  // Set up namespace generator
+  const generateDbNamespaceBtn = document.getElementById('generateDbNamespaceBtn');
+  if (generateDbNamespaceBtn) {
+    generateDbNamespaceBtn.addEventListener('click', () => {
+      const randomNamespace = generateRandomNamespace();
+      const dbNamespaceInput = document.getElementById('dbNamespace');
+      const dbNamespaceHex = document.getElementById('dbNamespaceHex');
+
+      if (dbNamespaceInput) {
+        dbNamespaceInput.value = randomNamespace.base64;
+      }
+
+      if (dbNamespaceHex) {
+        dbNamespaceHex.textContent = randomNamespace.hex;
+      }
+    });
+  }
+
   // Set up initialization form
   setupInitDbForm();
-  
+
   // Set up record form
   setupAddRecordForm();
-  
+
   // Set up refresh button
   const refreshDbBtn = document.getElementById('refreshDbBtn');
   if (refreshDbBtn) {
-    refreshDbBtn.addEventListener('click', () => {
-      displayDatabaseRecords();
+    refreshDbBtn.addEventListener('click', async () => {
+      updateDatabaseInfoPanel();
+      await displayDatabaseRecords();
+
+      // Add rotation animation to button
+      refreshDbBtn.classList.add('rotating');
+      setTimeout(() => {
+        refreshDbBtn.classList.remove('rotating');
+      }, 500);
+
+      showToast('Database refreshed!');
     });
   }
-  
-  // Check if database is already initialized
+
+  // Show the stored database, if any
   updateDatabaseInfoPanel();
+
+  // Reload the records once the node is back
+  onReconnect(() => {
+    if (localStorage.getItem(DB_NAMESPACE_KEY)) {
+      displayDatabaseRecords();
+    }
+  });
 }
 
 /**
@@ -39,92 +95,50 @@ export function initDatabaseTab() {
  */
 function setupInitDbForm() {
   const initDbForm = document.getElementById('initDbForm');
-  const dbNamespace = document.getElementById('dbNamespace');
-  const generateDbNamespaceBtn = document.getElementById('generateDbNamespace');
-  const schemaTextarea = document.getElementById('dbSchema');
-  const schemaPreview = document.getElementById('schemaPreview');
-  const schemaPreviewContent = document.getElementById('schemaPreviewContent');
-  const initDbBtn = document.getElementById('initDbBtn');
-  const initDbLoading = document.getElementById('initDbLoading');
-  
-  // Generate a random namespace for the database
-  if (generateDbNamespaceBtn) {
-    generateDbNamespaceBtn.addEventListener('click', () => {
-      const namespace = createValidNamespace('db-' + Math.random().toString(36).substring(2, 8));
-      dbNamespace.value = namespace.base64;
-    });
-  }
-  
-  // Show schema preview when schema is entered
-  if (schemaTextarea) {
-    schemaTextarea.addEventListener('input', () => {
-      try {
-        const schema = JSON.parse(schemaTextarea.value);
-        schemaPreviewContent.textContent = JSON.stringify(schema, null, 2);
-        schemaPreview.style.display = 'block';
-      } catch (error) {
-        schemaPreview.style.display = 'none';
-      }
-    });
-  }
-  
-  // Initialize database on form submit
-  if (initDbForm) {
-    initDbForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      const namespace = dbNamespace.value.trim();
-      let schema;
-      
-      try {
-        schema = JSON.parse(schemaTextarea.value);
-      } catch (error) {
-        showToast('Invalid JSON schema');
-        return;
-      }
-      
-      // Validate namespace
-      const validation = validateNamespace(namespace);
-      if (!validation.isValid) {
-        showToast('Invalid namespace: ' + validation.error);
+  if (!initDbForm) return;
+
+  initDbForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const namespace = document.getElementById('dbNamespace').value;
+    const schema = document.getElementById('dbSchema').value;
+
+    // Overwriting an initialized database loses access to it, so ask first
+    const existingNamespace = localStorage.getItem(DB_NAMESPACE_KEY);
+    const existingSchemaHeight = localStorage.getItem(DB_SCHEMA_HEIGHT_KEY);
+    if (existingNamespace && existingSchemaHeight) {
+      if (!confirm('You already have an initialized database. Initializing a new one will overwrite your local database information and use a new encryption key. This means you will no longer be able to access your existing database with this browser. Are you sure you want to continue?')) {
         return;
       }
-      
-      // Show loading indicator
-      initDbBtn.disabled = true;
-      initDbLoading.style.display = 'block';
-      
-      try {
-        await initializeDatabase(namespace, schema);
-        
-        // Show success message
-        showToast('Database initialized successfully');
-        
-        // Update UI
-        updateDatabaseInfoPanel();
-        displayDatabaseSchema();
-        
-        // Hide initialization form
-        const initSection = document.getElementById('initDbSection');
-        if (initSection) {
-          initSection.style.display = 'none';
-        }
-        
-        // Show schema view section
-        const schemaViewSection = document.getElementById('schemaViewSection');
-        if (schemaViewSection) {
-          schemaViewSection.style.display = 'block';
-        }
-      } catch (error) {
-        console.error('Error initializing database:', error);
-        showToast('Error: ' + error.message);
-      } finally {
-        // Hide loading indicator
-        initDbBtn.disabled = false;
-        initDbLoading.style.display = 'none';
-      }
-    });
-  }
+    }
+
+    document.getElementById('initDbLoading').style.display = 'block';
+    document.getElementById('initDbSuccess').style.display = 'none';
+    document.getElementById('initDbError').style.display = 'none';
+
+    try {
+      const result = await initializeDatabase(namespace, schema);
+
+      document.getElementById('initDbSuccess').style.display = 'block';
+      document.getElementById('initDbNamespace').textContent = namespace;
+      document.getElementById('initDbHeight').textContent = result.schemaHeight;
+
+      // Update the namespace explorer link
+      const namespaceHex = namespaceIdToHex(namespaceFromBase64(namespace));
+      setExplorerLink(document.getElementById('initDbNamespaceLink'), getNamespaceExplorerUrl(namespaceHex));
+
+      updateDatabaseInfoPanel();
+      displayDatabaseSchema();
+
+      // Clear form
+      document.getElementById('dbSchema').value = '';
+    } catch (error) {
+      document.getElementById('initDbError').style.display = 'block';
+      document.getElementById('initDbError').textContent = `Error: ${error.message}`;
+    } finally {
+      document.getElementById('initDbLoading').style.display = 'none';
+    }
+  });
 }
 
 /**
@@ -132,57 +146,34 @@ function setupInitDbForm() {
  */
 function setupAddRecordForm() {
   const addRecordForm = document.getElementById('addRecordForm');
-  const recordData = document.getElementById('recordData');
-  const addRecordBtn = document.getElementById('addRecordBtn');
-  const addRecordLoading = document.getElementById('addRecordLoading');
-  
-  // Add record on form submit
-  if (addRecordForm) {
-    addRecordForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      let data;
-      try {
-        data = JSON.parse(recordData.value);
-      } catch (error) {
-        showToast('Invalid JSON data');
-        return;
-      }
-      
-      // Show loading indicator
-      addRecordBtn.disabled = true;
-      addRecordLoading.style.display = 'block';
-      
-      try {
-        // Validate data against schema
-        const schema = await retrieveDatabaseSchema();
-        const validation = validateDataAgainstSchema(data, schema);
-        
-        if (!validation.isValid) {
-          throw new Error('Validation error: ' + validation.error);
-        }
-        
-        // Add record
-        await addDatabaseRecord(data);
-        
-        // Show success message
-        showToast('Record added successfully');
-        
-        // Clear form
-        recordData.value = '';
-        
-        // Refresh records
-        displayDatabaseRecords();
-      } catch (error) {
-        console.error('Error adding record:', error);
-        showToast('Error: ' + error.message);
-      } finally {
-        // Hide loading indicator
-        addRecordBtn.disabled = false;
-        addRecordLoading.style.display = 'none';
-      }
-    });
-  }
+  if (!addRecordForm) return;
+
+  addRecordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const data = document.getElementById('recordData').value;
+
+    document.getElementById('addRecordLoading').style.display = 'block';
+    document.getElementById('addRecordError').style.display = 'none';
+
+    try {
+      await addDatabaseRecord(data);
+
+      // Update the database info panel and records table
+      updateDatabaseInfoPanel();
+      await displayDatabaseRecords();
+
+      // Clear form
+      document.getElementById('recordData').value = '';
+
+      showToast('Record added successfully!');
+    } catch (error) {
+      document.getElementById('addRecordError').style.display = 'block';
+      document.getElementById('addRecordError').textContent = `Error: ${error.message}`;
+    } finally {
+      document.getElementById('addRecordLoading').style.display = 'none';
+    }
+  });
 }
 
 /**
@@ -190,9 +181,10 @@ function setupAddRecordForm() {
  * @returns {string} - Random token
  */
 function generateAuthToken() {
-  const array = new Uint8Array(32);
-  window.crypto.getRandomValues(array);
-  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+  const randomBuffer = new Uint8Array(32); // 256-bit token
+  window.crypto.getRandomValues(randomBuffer);
+  // Convert to base64 for storage
+  return bytesToBase64(randomBuffer);
 }
 
 /**
@@ -200,128 +192,90 @@ function generateAuthToken() {
  * @returns {string} - Auth token
  */
 function getOrCreateAuthToken() {
-  let token = localStorage.getItem(DB_TOKEN_KEY);
+  let token = localStorage.getItem(DB_AUTH_TOKEN_KEY);
   if (!token) {
     token = generateAuthToken();
-    localStorage.setItem(DB_TOKEN_KEY, token);
+    localStorage.setItem(DB_AUTH_TOKEN_KEY, token);
   }
   return token;
 }
 
 /**
  * Simple encryption function using AES-GCM
- * @param {Object} data - Data to encrypt
+ * @param {string} data - Text to encrypt
  * @param {string} token - Encryption token
  * @returns {Promise<string>} - Encrypted data as base64
  */
 async function encryptData(data, token) {
-  try {
-    // Convert data to JSON string
-    const jsonString = JSON.stringify(data);
-    
-    // Convert token to key
-    const encoder = new TextEncoder();
-    const keyMaterial = await window.crypto.subtle.importKey(
-      'raw',
-      encoder.encode(token),
-      { name: 'PBKDF2' },
-      false,
-      ['deriveBits', 'deriveKey']
-    );
-    
-    const key = await window.crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: encoder.encode('celestia-db-salt'),
-        iterations: 100000,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['encrypt']
-    );
-    
-    // Generate IV
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-    
-    // Encrypt data
-    const encryptedContent = await window.crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv
-      },
-      key,
-      encoder.encode(jsonString)
-    );
-    
-    // Combine IV and encrypted content
-    const result = new Uint8Array(iv.length + encryptedContent.byteLength);
-    result.set(iv);
-    result.set(new Uint8Array(encryptedContent), iv.length);
-    
-    // Convert to base64
-    return btoa(String.fromCharCode.apply(null, result));
-  } catch (error) {
-    console.error('Error encrypting data:', error);
-    throw error;
-  }
+  // Convert token to key
+  const keyData = textToBytes(token);
+  const hash = await crypto.subtle.digest('SHA-256', keyData);
+  const key = await crypto.subtle.importKey(
+    'raw', 
+    hash, 
+    { name: 'AES-GCM' }, 
+    false, 
+    ['encrypt']
+  );
+  
+  // Generate IV
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  
+  // Encrypt
+  const dataBuffer = textToBytes(data);
+  const encryptedBuffer = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    dataBuffer
+  );
+  
+  // Combine IV and encrypted data for storage
+  const encryptedArray = new Uint8Array(iv.length + encryptedBuffer.byteLength);
+  encryptedArray.set(iv, 0);
+  encryptedArray.set(new Uint8Array(encryptedBuffer), iv.length);
+  
+  // Convert to base64 for storage
+  return bytesToBase64(encryptedArray);
 }
 
 /**
  * Simple decryption function using AES-GCM
  * @param {string} encryptedBase64 - Encrypted data as base64
  * @param {string} token - Decryption token
- * @returns {Promise<Object>} - Decrypted data
+ * @returns {Promise<string>} - Decrypted text
  */
 async function decryptData(encryptedBase64, token) {
   try {
     // Convert base64 to array
-    const encryptedData = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
+    const encryptedArray = base64ToBytes(encryptedBase64);
     
-    // Extract IV (first 12 bytes)
-    const iv = encryptedData.slice(0, 12);
-    const ciphertext = encryptedData.slice(12);
+    // Extract IV and encrypted data
+    const iv = encryptedArray.slice(0, 12);
+    const encryptedData = encryptedArray.slice(12);
     
     // Convert token to key
-    const encoder = new TextEncoder();
-    const keyMaterial = await window.crypto.subtle.importKey(
-      'raw',
-      encoder.encode(token),
-      { name: 'PBKDF2' },
-      false,
-      ['deriveBits', 'deriveKey']
-    );
-    
-    const key = await window.crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: encoder.encode('celestia-db-salt'),
-        iterations: 100000,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
+    const keyData = textToBytes(token);
+    const hash = await crypto.subtle.digest('SHA-256', keyData);
+    const key = await crypto.subtle.importKey(
+      'raw', 
+      hash, 
+      { name: 'AES-GCM' }, 
+      false, 
       ['decrypt']
     );
     
-    // Decrypt data
-    const decryptedContent = await window.crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv
-      },
+    // Decrypt
+    const decryptedBuffer = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv },
       key,
-      ciphertext
+      encryptedData
     );
     
-    // Convert to JSON
-    const jsonString = new TextDecoder().decode(decryptedContent);
-    return JSON.parse(jsonString);
+    // Convert to string
+    return bytesToText(new Uint8Array(decryptedBuffer));
   } catch (error) {
-    console.error('Error decrypting data:', error);
-    throw error;
+    console.error('Decryption error:', error);
+    throw new Error('Failed to decrypt data. The authentication token may have changed.');
   }
 }
 
@@ -330,64 +284,86 @@ async function decryptData(encryptedBase64, token) {
  */
 function clearDatabaseCache() {
   localStorage.removeItem(DB_NAMESPACE_KEY);
-  localStorage.removeItem(DB_SCHEMA_KEY);
-  
-  // Don't remove the token, as it's needed to decrypt existing data
-  // localStorage.removeItem(DB_TOKEN_KEY);
+  localStorage.removeItem(DB_SCHEMA_HEIGHT_KEY);
+  localStorage.removeItem(DB_RECORDS_KEY);
+  localStorage.removeItem(DB_AUTH_TOKEN_KEY); // Clear the auth token as well
   
   // Update UI
   updateDatabaseInfoPanel();
+  
+  // Clear any displayed records and schema
+  const recordsTableBody = document.getElementById('recordsTableBody');
+  if (recordsTableBody) {
+    recordsTableBody.innerHTML = '';
+  }
+  
+  document.getElementById('recordsTable').style.display = 'none';
+  document.getElementById('noRecordsMsg').style.display = 'block';
+  document.getElementById('schemaViewSection').style.display = 'none';
 }
 
 /**
  * Initialize a new database
  * @param {string} namespace - Base64 encoded namespace
- * @param {Object} schema - Database schema
+ * @param {string} schema - Database schema as JSON
  * @returns {Promise<Object>} - Initialization result
  */
 async function initializeDatabase(namespace, schema) {
   try {
-    // Get auth token
-    const token = getOrCreateAuthToken();
+    // Validate inputs
+    if (!namespace) {
+      throw new Error('Database namespace is required');
+    }
     
-    // Encrypt schema
-    const encryptedSchema = await encryptData(schema, token);
+    if (!schema) {
+      throw new Error('Database schema is required');
+    }
     
-    // Convert namespace to hex if it's not already
-    const namespaceHex = /^[0-9A-Fa-f]+$/.test(namespace) 
-      ? namespace.toUpperCase() 
-      : base64ToHex(namespace);
+    // Validate schema is valid JSON
+    let schemaObj;
+    try {
+      schemaObj = JSON.parse(schema);
+    } catch (error) {
+      throw new Error('Invalid schema format. Please provide valid JSON.');
+    }
     
-    // Create metadata blob
-    const metadata = {
-      type: 'celestia-db',
-      version: '1.0.0',
-      created: new Date().toISOString(),
-      schema: encryptedSchema
+    // Create the schema object with metadata
+    const dbSchema = {
+      schema: schemaObj,
+      createdAt: new Date().toISOString(),
+      version: '1.0'
     };
     
-    // Submit metadata blob
-    const params = [
-      [{ namespace: namespaceHex, data: btoa(JSON.stringify(metadata)), share_version: 0 }],
-      {}
-    ];
+    // Get or create auth token
+    const token = getOrCreateAuthToken();
     
-    const response = await sendRpcRequest('blob.Submit', params);
+    // Convert schema to JSON and encrypt it
+    const schemaJson = JSON.stringify(dbSchema);
+    const encryptedSchema = await encryptData(schemaJson, token);
     
-    if (response.result) {
-      // Save namespace and schema to localStorage
-      localStorage.setItem(DB_NAMESPACE_KEY, namespace);
-      localStorage.setItem(DB_SCHEMA_KEY, JSON.stringify(schema));
-      
-      return {
-        height: response.result.height,
-        hash: response.result.txhash,
-        namespace: namespace,
-        namespaceHex: namespaceHex
-      };
-    } else {
-      throw new Error('Invalid response from node');
+    // Convert encrypted schema to base64
+    const schemaBase64 = textToBase64(encryptedSchema);
+    
+    console.log('Initializing database with schema (encrypted)');
+    
+    // Submit schema as a blob
+    const result = await submitBlob(namespace, schemaBase64);
+    
+    if (!result) {
+      throw new Error('Failed to initialize database');
     }
+    
+    console.log('Database initialized, result:', result);
+    
+    // Store database info in localStorage
+    localStorage.setItem(DB_NAMESPACE_KEY, namespace);
+    localStorage.setItem(DB_SCHEMA_HEIGHT_KEY, result.height);
+    localStorage.setItem(DB_RECORDS_KEY, JSON.stringify([]));
+    
+    return {
+      namespace,
+      schemaHeight: result.height
+    };
   } catch (error) {
     console.error('Error initializing database:', error);
     throw error;
@@ -396,55 +372,76 @@ async function initializeDatabase(namespace, schema) {
 
 /**
  * Add a record to the database
- * @param {Object} data - Record data
+ * @param {string} data - Record data as JSON
  * @returns {Promise<Object>} - Submission result
  */
 async function addDatabaseRecord(data) {
   try {
-    // Get namespace and token
+    // Get database info from localStorage
     const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
-    const token = getOrCreateAuthToken();
+    const schemaHeight = localStorage.getItem(DB_SCHEMA_HEIGHT_KEY);
     
-    if (!namespace) {
-      throw new Error('Database not initialized');
+    if (!namespace || !schemaHeight) {
+      throw new Error('Database not initialized. Please initialize the database first.');
     }
     
-    // Encrypt data
-    const encryptedData = await encryptData(data, token);
+    // Validate data is valid JSON
+    let dataObj;
+    try {
+      dataObj = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Invalid data format. Please provide valid JSON.');
+    }
     
-    // Convert namespace to hex if it's not already
-    const namespaceHex = /^[0-9A-Fa-f]+$/.test(namespace) 
-      ? namespace.toUpperCase() 
-      : base64ToHex(namespace);
+    // Retrieve the schema and validate against it
+    const schemaData = await retrieveDatabaseSchema();
+    if (!schemaData || !schemaData.schema) {
+      throw new Error('Failed to retrieve database schema for validation');
+    }
+    
+    // Validate the data against the schema
+    const validationResult = validateDataAgainstSchema(dataObj, schemaData.schema);
+    if (!validationResult.valid) {
+      throw new Error(`Schema validation failed: ${validationResult.error}`);
+    }
     
-    // Create record blob
+    // Create the record object with metadata
     const record = {
-      type: 'celestia-db-record',
-      version: '1.0.0',
-      created: new Date().toISOString(),
-      data: encryptedData
+      data: dataObj,
+      createdAt: new Date().toISOString()
     };
     
-    // Submit record blob
-    const params = [
-      [{ namespace: namespaceHex, data: btoa(JSON.stringify(record)), share_version: 0 }],
-      {}
-    ];
-    
-    const response = await sendRpcRequest('blob.Submit', params);
-    
-    if (response.result) {
-      return {
-        height: response.result.height,
-        hash: response.result.txhash,
-        namespace: namespace,
-        namespaceHex: namespaceHex
-      };
-    } else {
-      throw new Error('Invalid response from node');
+    // Get auth token
+    const token = getOrCreateAuthToken();
+    
+    // Convert record to JSON and encrypt it
+    const recordJson = JSON.stringify(record);
+    const encryptedRecord = await encryptData(recordJson, token);
+    
+    // Convert encrypted record to base64
+    const recordBase64 = textToBase64(encryptedRecord);
+    
+    // Submit record as a blob
+    const result = await submitBlob(namespace, recordBase64);
+    
+    if (!result) {
+      throw new Error('Failed to add record to database');
     }
+    
+    // Update records list in localStorage
+    const recordsList = JSON.parse(localStorage.getItem(DB_RECORDS_KEY) || '[]');
+    recordsList.push({
+      height: result.height,
+      timestamp: new Date().toISOString()
+    });
+    localStorage.setItem(DB_RECORDS_KEY, JSON.stringify(recordsList));
+    
+    return {
+      height: result.height,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
-    console.error('Error adding record:', error);
+    console.error('Error adding record to database:', error);
     throw error;
   }
 }
@@ -457,65 +454,40 @@ async function addDatabaseRecord(data) {
  */
 function validateDataAgainstSchema(data, schema) {
   try {
-    // Simple schema validation
-    for (const field in schema.fields) {
-      const fieldSchema = schema.fields[field];
-      
-      // Check required fields
-      if (fieldSchema.required && (data[field] === undefined || data[field] === null)) {
+    // Check if all required fields from the schema are present
+    for (const [field, type] of Object.entries(schema)) {
+      if (!(field in data)) {
         return {
-          isValid: false,
-          error: `Field '${field}' is required`
+          valid: false,
+          error: `Missing required field: ${field}`
         };
       }
       
-      // Skip validation for undefined optional fields
-      if (data[field] === undefined) {
-        continue;
+      // Check field type
+      const actualType = typeof data[field];
+      if (type !== "string" && actualType !== type) {
+        return {
+          valid: false,
+          error: `Field ${field} should be of type ${type}, but got ${actualType}`
+        };
       }
-      
-      // Check type
-      if (fieldSchema.type) {
-        const valueType = typeof data[field];
-        
-        if (fieldSchema.type === 'string' && valueType !== 'string') {
-          return {
-            isValid: false,
-            error: `Field '${field}' must be a string`
-          };
-        } else if (fieldSchema.type === 'number' && valueType !== 'number') {
-          return {
-            isValid: false,
-            error: `Field '${field}' must be a number`
-          };
-        } else if (fieldSchema.type === 'boolean' && valueType !== 'boolean') {
-          return {
-            isValid: false,
-            error: `Field '${field}' must be a boolean`
-          };
-        } else if (fieldSchema.type === 'object' && (valueType !== 'object' || Array.isArray(data[field]))) {
-          return {
-            isValid: false,
-            error: `Field '${field}' must be an object`
-          };
-        } else if (fieldSchema.type === 'array' && !Array.isArray(data[field])) {
-          return {
-            isValid: false,
-            error: `Field '${field}' must be an array`
-          };
-        }
+    }
+    
+    // Check for extra fields not defined in the schema
+    for (const field in data) {
+      if (!(field in schema)) {
+        return {
+          valid: false,
+          error: `Unknown field not defined in schema: ${field}`
+        };
       }
     }
     
-    return {
-      isValid: true,
-      error: null
-    };
+    return { valid: true };
   } catch (error) {
-    console.error('Error validating data against schema:', error);
     return {
-      isValid: false,
-      error: 'Error validating data: ' + error.message
+      valid: false,
+      error: `Validation error: ${error.message}`
     };
   }
 }
@@ -526,56 +498,40 @@ function validateDataAgainstSchema(data, schema) {
  */
 async function retrieveDatabaseSchema() {
   try {
-    // First check localStorage
-    const cachedSchema = localStorage.getItem(DB_SCHEMA_KEY);
-    if (cachedSchema) {
-      return JSON.parse(cachedSchema);
-    }
-    
-    // Get namespace
     const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
-    if (!namespace) {
+    const schemaHeight = localStorage.getItem(DB_SCHEMA_HEIGHT_KEY);
+    
+    if (!namespace || !schemaHeight) {
       throw new Error('Database not initialized');
     }
     
-    // Convert namespace to hex if it's not already
-    const namespaceHex = /^[0-9A-Fa-f]+$/.test(namespace) 
-      ? namespace.toUpperCase() 
-      : base64ToHex(namespace);
+    // Get auth token
+    const token = getOrCreateAuthToken();
     
-    // Retrieve all blobs for this namespace
-    const response = await sendRpcRequest('blob.GetAll', [0, namespaceHex, { prove: false }]);
+    // Convert namespace to hex
+    const namespaceHex = namespaceIdToHex(namespaceFromBase64(namespace));
     
-    if (!response.result || !response.result.blobs || response.result.blobs.length === 0) {
-      throw new Error('No database metadata found');
-    }
+    // Retrieve schema blob
+    const schemaBlob = await retrieveBlob(schemaHeight, namespaceHex);
     
-    // Find metadata blob
-    let metadata = null;
-    for (const blob of response.result.blobs) {
-      try {
-        const data = JSON.parse(atob(blob.data));
-        if (data.type === 'celestia-db') {
-          metadata = data;
-          break;
-        }
-      } catch (error) {
-        console.error('Error parsing blob data:', error);
-      }
+    if (!schemaBlob || !schemaBlob.data) {
+      console.error('Failed to retrieve schema blob:', schemaBlob);
+      throw new Error('Failed to retrieve database schema');
     }
     
-    if (!metadata) {
-      throw new Error('No database metadata found');
-    }
+    // Decode schema from base64
+    const encryptedSchemaBase64 = base64ToText(schemaBlob.data);
     
     // Decrypt schema
-    const token = getOrCreateAuthToken();
-    const schema = await decryptData(metadata.schema, token);
-    
-    // Cache schema
-    localStorage.setItem(DB_SCHEMA_KEY, JSON.stringify(schema));
-    
-    return schema;
+    try {
+      const schemaJson = await decryptData(encryptedSchemaBase64, token);
+      console.log('Retrieved and decrypted schema JSON');
+      
+      return JSON.parse(schemaJson);
+    } catch (decryptError) {
+      console.error('Error decrypting schema:', decryptError);
+      throw new Error('Failed to decrypt schema. The authentication token may have changed.');
+    }
   } catch (error) {
     console.error('Error retrieving database schema:', error);
     throw error;
@@ -588,55 +544,57 @@ async function retrieveDatabaseSchema() {
  */
 async function retrieveDatabaseRecords() {
   try {
-    // Get namespace
     const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
+    const recordsList = JSON.parse(localStorage.getItem(DB_RECORDS_KEY) || '[]');
+    
     if (!namespace) {
       throw new Error('Database not initialized');
     }
     
-    // Convert namespace to hex if it's not already
-    const namespaceHex = /^[0-9A-Fa-f]+$/.test(namespace) 
-      ? namespace.toUpperCase() 
-      : base64ToHex(namespace);
+    if (recordsList.length === 0) {
+      return [];
+    }
     
-    // Get token
+    // Get auth token
     const token = getOrCreateAuthToken();
     
-    // Retrieve all blobs for this namespace
-    const response = await sendRpcRequest('blob.GetAll', [0, namespaceHex, { prove: false }]);
-    
-    if (!response.result || !response.result.blobs) {
-      throw new Error('Error retrieving database records');
-    }
+    // Convert namespace to hex
+    const namespaceHex = namespaceIdToHex(namespaceFromBase64(namespace));
     
-    // Process blobs
+    // Retrieve all records
     const records = [];
-    for (const blob of response.result.blobs) {
+    
+    for (const recordInfo of recordsList) {
       try {
-        const blobData = JSON.parse(atob(blob.data));
+        const recordBlob = await retrieveBlob(recordInfo.height, namespaceHex);
         
-        // Skip metadata blobs
-        if (blobData.type === 'celestia-db') {
+        if (!recordBlob || !recordBlob.data) {
+          console.warn(`Failed to retrieve record at height ${recordInfo.height}`);
           continue;
         }
         
-        // Process record blobs
-        if (blobData.type === 'celestia-db-record') {
-          const decryptedData = await decryptData(blobData.data, token);
+        // Decode record from base64
+        const encryptedRecordBase64 = base64ToText(recordBlob.data);
+        
+        // Decrypt record
+        try {
+          const recordJson = await decryptData(encryptedRecordBase64, token);
+          const record = JSON.parse(recordJson);
+          
           records.push({
-            data: decryptedData,
-            created: blobData.created,
-            height: blob.height
+            ...record,
+            height: recordInfo.height
           });
+        } catch (decryptError) {
+          console.error(`Error decrypting record at height ${recordInfo.height}:`, decryptError);
+          // Continue with other records even if one fails
         }
       } catch (error) {
-        console.error('Error processing blob:', error);
+        console.error(`Error retrieving record at height ${recordInfo.height}:`, error);
+        // Continue with other records even if one fails
       }
     }
     
-    // Sort records by creation time (newest first)
-    records.sort((a, b) => new Date(b.created) - new Date(a.created));
-    
     return records;
   } catch (error) {
     console.error('Error retrieving database records:', error);
@@ -648,104 +606,93 @@ async function retrieveDatabaseRecords() {
  * Display database records in the table
  */
 async function displayDatabaseRecords() {
-  const recordsTable = document.getElementById('recordsTable');
-  const recordsTableBody = document.getElementById('recordsTableBody');
-  const recordsLoading = document.getElementById('recordsLoading');
-  const recordsError = document.getElementById('recordsError');
-  
-  if (!recordsTable || !recordsTableBody) return;
-  
-  // Show loading indicator
-  if (recordsLoading) recordsLoading.style.display = 'block';
-  if (recordsError) recordsError.style.display = 'none';
-  
   try {
     // Check if database is initialized
     const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
     if (!namespace) {
-      throw new Error('Database not initialized');
+      console.warn('Database not initialized. Cannot display records.');
+      return;
     }
     
-    // Get schema to determine table columns
-    const schema = await retrieveDatabaseSchema();
-    
-    // Get records
-    const records = await retrieveDatabaseRecords();
+    const recordsTableBody = document.getElementById('recordsTableBody');
+    if (!recordsTableBody) {
+      console.error('Records table body element not found');
+      return;
+    }
     
-    // Clear table
+    // Clear existing records
     recordsTableBody.innerHTML = '';
     
-    // Update table header
-    const headerRow = recordsTable.querySelector('thead tr');
-    if (headerRow) {
-      // Start with timestamp and height columns
-      headerRow.innerHTML = '<th>Timestamp</th><th>Height</th>';
+    // Show loading
+    document.getElementById('recordsLoading').style.display = 'block';
+    document.getElementById('recordsError').style.display = 'none';
+    
+    try {
+      // Retrieve records
+      const records = await retrieveDatabaseRecords();
       
-      // Add columns for each field in the schema
-      for (const field in schema.fields) {
-        headerRow.innerHTML += `<th>${field}</th>`;
+      if (records.length === 0) {
+        document.getElementById('recordsTable').style.display = 'none';
+        document.getElementById('noRecordsMsg').style.display = 'block';
+        return;
       }
-    }
-    
-    // Add records to table
-    if (records.length === 0) {
-      recordsTableBody.innerHTML = `
-        <tr>
-          <td colspan="${2 + Object.keys(schema.fields).length}" class="text-center">No records found</td>
-        </tr>
-      `;
-    } else {
-      for (const record of records) {
+      
+      // Display records
+      let index = 1;
+      records.forEach(record => {
         const row = document.createElement('tr');
         
-        // Add timestamp
-        const timestampCell = document.createElement('td');
-        timestampCell.textContent = new Date(record.created).toLocaleString();
-        row.appendChild(timestampCell);
-        
-        // Add height
-        const heightCell = document.createElement('td');
-        heightCell.textContent = record.height;
-        row.appendChild(heightCell);
+        // Extract data
+        const timestamp = record.createdAt ? new Date(record.createdAt).toLocaleString() : 'N/A';
+        const height = record.height || 'N/A';
+        const data = JSON.stringify(record.data, null, 2);
         
-        // Add data fields
-        for (const field in schema.fields) {
-          const cell = document.createElement('td');
-          
-          if (record.data[field] !== undefined) {
-            // Format based on type
-            if (typeof record.data[field] === 'object') {
-              cell.innerHTML = `<pre class="mb-0">${JSON.stringify(record.data[field], null, 2)}</pre>`;
-            } else {
-              cell.textContent = record.data[field];
-            }
-          } else {
-            cell.textContent = '-';
-          }
-          
-          row.appendChild(cell);
-        }
+        // Create cells with correct column order: # (index), Data, Height, Timestamp
+        row.innerHTML = html`
+          <td>${index++}</td>
+          <td><pre class="mb-0">${data}</pre></td>
+          <td>${height}</td>
+          <td>${timestamp}</td>
+        `;
         
         recordsTableBody.appendChild(row);
+      });
+      
+      // Show the table
+      document.getElementById('recordsTable').style.display = 'table';
+      document.getElementById('noRecordsMsg').style.display = 'none';
+    } catch (error) {
+      console.error('Error retrieving records:', error);
+      
+      // Show error message
+      const errorElement = document.getElementById('recordsError');
+      errorElement.style.display = 'block';
+      
+      // Customize error message based on type
+      if (error.message && error.message.includes('decrypt')) {
+        errorElement.innerHTML = `
+          <strong>Encryption Key Error</strong>
+          <p>Unable to decrypt your database records. This happens when:</p>
+          <ul>
+            <li>You've cleared your browser data since creating the database</li>
+            <li>You've loaded this app in a different browser</li>
+            <li>You've cleared the database cache and are trying to access old data</li>
+          </ul>
+          <p>The data exists on the blockchain but cannot be decrypted without the original encryption key.</p>
+        `;
+      } else {
+        errorElement.textContent = `Error: ${error.message}`;
       }
+      
+      // Hide the table
+      document.getElementById('recordsTable').style.display = 'none';
+      document.getElementById('noRecordsMsg').style.display = 'none';
+    } finally {
+      // Hide loading
+      document.getElementById('recordsLoading').style.display = 'none';
     }
-    
-    // Show table
-    recordsTable.style.display = 'table';
   } catch (error) {
-    console.error('Error displaying database records:', error);
-    
-    // Show error message
-    if (recordsError) {
-      recordsError.textContent = error.message;
-      recordsError.style.display = 'block';
-    }
-    
-    // Hide table
-    recordsTable.style.display = 'none';
-  } finally {
-    // Hide loading indicator
-    if (recordsLoading) recordsLoading.style.display = 'none';
+    console.error('Error displaying records:', error);
   }
 }
 
@@ -753,148 +700,167 @@ async function displayDatabaseRecords() {
  * Display the schema in the UI
  */
 async function displayDatabaseSchema() {
-  const schemaContainer = document.getElementById('schemaContainer');
-  const schemaLoading = document.getElementById('schemaLoading');
-  const schemaError = document.getElementById('schemaError');
-  
-  if (!schemaContainer) return;
-  
-  // Show loading indicator
-  if (schemaLoading) schemaLoading.style.display = 'block';
-  if (schemaError) schemaError.style.display = 'none';
-  
   try {
-    // Get schema
-    const schema = await retrieveDatabaseSchema();
-    
-    // Display schema
-    schemaContainer.innerHTML = `
-      <pre class="mb-0">${JSON.stringify(schema, null, 2)}</pre>
-    `;
-    
-    // Show schema container
-    schemaContainer.style.display = 'block';
+    // Check if schema view section exists
+    const schemaViewSection = document.getElementById('schemaViewSection');
+    if (!schemaViewSection) {
+      return;
+    }
     
-    // Update record form with schema fields
-    updateRecordFormWithSchema(schema);
-  } catch (error) {
-    console.error('Error displaying schema:', error);
+    // Check if database is initialized
+    const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
+    const schemaHeight = localStorage.getItem(DB_SCHEMA_HEIGHT_KEY);
     
-    // Show error message
-    if (schemaError) {
-      schemaError.textContent = error.message;
-      schemaError.style.display = 'block';
+    if (!namespace || !schemaHeight) {
+      schemaViewSection.style.display = 'none';
+      return;
     }
     
-    // Hide schema container
-    schemaContainer.style.display = 'none';
-  } finally {
-    // Hide loading indicator
-    if (schemaLoading) schemaLoading.style.display = 'none';
-  }
-}
-
-/**
- * Update the record form with schema fields
- * @param {Object} schema - Database schema
- */
-function updateRecordFormWithSchema(schema) {
-  const recordData = document.getElementById('recordData');
-  if (!recordData) return;
-  
-  // Create a template object based on the schema
-  const template = {};
-  for (const field in schema.fields) {
-    const fieldSchema = schema.fields[field];
-    
-    // Set default values based on type
-    if (fieldSchema.type === 'string') {
-      template[field] = '';
-    } else if (fieldSchema.type === 'number') {
-      template[field] = 0;
-    } else if (fieldSchema.type === 'boolean') {
-      template[field] = false;
-    } else if (fieldSchema.type === 'object') {
-      template[field] = {};
-    } else if (fieldSchema.type === 'array') {
-      template[field] = [];
-    } else {
-      template[field] = null;
+    // Show loading
+    document.getElementById('schemaLoading').style.display = 'block';
+    document.getElementById('schemaError').style.display = 'none';
+    schemaViewSection.style.display = 'block';
+    
+    try {
+      // Retrieve schema
+      const schemaData = await retrieveDatabaseSchema();
+      
+      if (!schemaData || !schemaData.schema) {
+        throw new Error('Invalid schema format');
+      }
+      
+      // Display schema
+      const schemaDisplay = document.getElementById('schemaDisplay');
+      if (schemaDisplay) {
+        schemaDisplay.textContent = JSON.stringify(schemaData.schema, null, 2);
+      }
+      
+      // Display metadata
+      const schemaMetadata = document.getElementById('schemaMetadata');
+      if (schemaMetadata) {
+        const createdDate = schemaData.createdAt ? new Date(schemaData.createdAt).toLocaleString() : 'Unknown';
+        const version = schemaData.version || 'Unknown';
+        
+        schemaMetadata.innerHTML = html`
+          <strong>Created:</strong> ${createdDate}<br>
+          <strong>Version:</strong> ${version}<br>
+          <strong>Height:</strong> ${schemaHeight}
+        `;
+      }
+    } catch (error) {
+      console.error('Error retrieving schema:', error);
+      
+      // Show error message
+      const errorElement = document.getElementById('schemaError');
+      if (errorElement) {
+        errorElement.style.display = 'block';
+        
+        // Customize error message based on type
+        if (error.message && error.message.includes('decrypt')) {
+          errorElement.innerHTML = `
+            <strong>Encryption Key Error</strong>
+            <p>Unable to decrypt your database schema. This happens when:</p>
+            <ul>
+              <li>You've cleared your browser data since creating the database</li>
+              <li>You've loaded this app in a different browser</li>
+              <li>You've cleared the database cache and are trying to access old data</li>
+            </ul>
+            <p>The schema exists on the blockchain but cannot be decrypted without the original encryption key.</p>
+          `;
+        } else {
+          errorElement.textContent = `Error: ${error.message}`;
+        }
+      }
+    } finally {
+      // Hide loading
+      document.getElementById('schemaLoading').style.display = 'none';
     }
+  } catch (error) {
+    console.error('Error displaying schema:', error);
   }
-  
-  // Set template as value
-  recordData.value = JSON.stringify(template, null, 2);
 }
 
 /**
  * Update the database info panel
  */
 function updateDatabaseInfoPanel() {
-  const dbInfoPanel = document.getElementById('dbInfoPanel');
-  const dbNamespaceDisplay = document.getElementById('dbNamespaceDisplay');
-  const dbSchemaBtn = document.getElementById('viewDbSchemaBtn');
-  const dbRecordsBtn = document.getElementById('viewDbRecordsBtn');
-  const dbInitSection = document.getElementById('initDbSection');
-  const dbOperationsSection = document.getElementById('dbOperationsSection');
-  
-  // Get namespace
   const namespace = localStorage.getItem(DB_NAMESPACE_KEY);
+  const schemaHeight = localStorage.getItem(DB_SCHEMA_HEIGHT_KEY);
+  const recordsList = JSON.parse(localStorage.getItem(DB_RECORDS_KEY) || '[]');
+  const authToken = localStorage.getItem(DB_AUTH_TOKEN_KEY);
   
-  if (namespace) {
+  const dbInfoNamespace = document.getElementById('dbInfoNamespace');
+  const dbInfoSchemaHeight = document.getElementById('dbInfoSchemaHeight');
+  const dbInfoLastUpdated = document.getElementById('dbInfoLastUpdated');
+  const dbInfoStatus = document.getElementById('dbInfoStatus');
+  const dbRecordCount = document.getElementById('dbRecordCount');
+  const dbEncryptionStatus = document.getElementById('dbEncryptionStatus');
+  const dbInfoNamespaceLink = document.getElementById('dbInfoNamespaceLink');
+  
+  if (namespace && schemaHeight) {
     // Database is initialized
-    if (dbNamespaceDisplay) {
-      dbNamespaceDisplay.textContent = namespace;
+    dbInfoNamespace.textContent = namespace;
+    dbInfoSchemaHeight.textContent = schemaHeight;
+    
+    // Update namespace link
+    if (dbInfoNamespaceLink) {
+      const explorerUrl = getNamespaceExplorerUrl(namespaceIdToHex(namespaceFromBase64(namespace)));
+      dbInfoNamespaceLink.href = explorerUrl;
+      dbInfoNamespaceLink.style.display = explorerUrl ? 'inline-block' : 'none';
     }
     
-    // Show operations section
-    if (dbOperationsSection) {
-      dbOperationsSection.style.display = 'block';
-    }
-    
-    // Hide init section
-    if (dbInitSection) {
-      dbInitSection.style.display = 'none';
+    if (recordsList.length > 0) {
+      // Get the most recent record timestamp
+      const latestRecord = recordsList.reduce((latest, record) => {
+        return new Date(record.timestamp) > new Date(latest.timestamp) ? record : latest;
+      }, recordsList[0]);
+      
+      dbInfoLastUpdated.textContent = new Date(latestRecord.timestamp).toLocaleString();
+    } else {
+      dbInfoLastUpdated.textContent = 'No records yet';
     }
     
-    // Show info panel
-    if (dbInfoPanel) {
-      dbInfoPanel.style.display = 'block';
-    }
+    dbInfoStatus.textContent = 'Active';
+    dbInfoStatus.className = 'badge bg-success';
+    dbRecordCount.textContent = `${recordsList.length} Records`;
     
-    // Set up schema button
-    if (dbSchemaBtn) {
-      dbSchemaBtn.addEventListener('click', () => {
-        displayDatabaseSchema();
-      });
+    // Update encryption status
+    if (authToken) {
+      dbEncryptionStatus.textContent = 'Encrypted';
+      dbEncryptionStatus.className = 'badge bg-success';
+    } else {
+      dbEncryptionStatus.textContent = 'Not Encrypted';
+      dbEncryptionStatus.className = 'badge bg-warning';
     }
     
-    // Set up records button
-    if (dbRecordsBtn) {
-      dbRecordsBtn.addEventListener('click', () => {
-        displayDatabaseRecords();
-      });
+    // Show the records table and hide the no records message
+    if (recordsList.length > 0) {
+      document.getElementById('recordsTable').style.display = 'table';
+      document.getElementById('noRecordsMsg').style.display = 'none';
+    } else {
+      document.getElementById('recordsTable').style.display = 'none';
+      document.getElementById('noRecordsMsg').style.display = 'block';
     }
-    
-    // Display schema and records
-    displayDatabaseSchema();
-    displayDatabaseRecords();
   } else {
     // Database is not initialized
-    
-    // Hide operations section
-    if (dbOperationsSection) {
-      dbOperationsSection.style.display = 'none';
+    dbInfoNamespace.textContent = 'Not set';
+    dbInfoSchemaHeight.textContent = 'Not set';
+    dbInfoLastUpdated.textContent = 'Never';
+    dbInfoStatus.textContent = 'Not Initialized';
+    dbInfoStatus.className = 'badge bg-secondary';
+    dbRecordCount.textContent = '0 Records';
+    
+    // Hide namespace link
+    if (dbInfoNamespaceLink) {
+      dbInfoNamespaceLink.style.display = 'none';
     }
     
-    // Show init section
-    if (dbInitSection) {
-      dbInitSection.style.display = 'block';
-    }
+    // Update encryption status
+    dbEncryptionStatus.textContent = 'Not Encrypted';
+    dbEncryptionStatus.className = 'badge bg-secondary';
     
-    // Hide info panel
-    if (dbInfoPanel) {
-      dbInfoPanel.style.display = 'none';
-    }
+    // Hide the records table and show the no records message
+    document.getElementById('recordsTable').style.display = 'none';
+    document.getElementById('noRecordsMsg').style.display = 'block';
   }
 }
@@ -0,0 +1,190 @@
+import { getActiveNetwork, formatAmount } from '../../services/networks.js';
+import { onReconnect } from '../../services/connectionState.js';
+import { needsChunking, getChunkCount } from '../../services/chunkedBlob.js';
+import { getNodeBalance, getNodeMinGasPrice } from '../nodeInfo/nodeInfo.js';
+import { isValidBase64, base64ByteLength } from '../../utils/codec.js';
+import { estimateBlobFee, getGasPricePresets } from '../../utils/blobGas.js';
+
+// Approximate size of a chunk manifest: the fixed fields plus one entry per chunk
+const MANIFEST_BASE_SIZE = 256;
+const MANIFEST_CHUNK_ENTRY_SIZE = 160;
+
+// Last balance fetched from the node, null if it couldn't be fetched
+let nodeBalance = null;
+
+// Fee of the current estimate, to recheck it when the balance changes
+let estimatedFee = null;
+
+// Minimum gas price the presets are multiples of, null until the node has been asked
+let minGasPrice = null;
+
+/**
+ * Initialize the fee estimator of the blob form
+ */
+export function initFeeEstimator() {
+  const dataInput = document.getElementById('data');
+  const gasPriceInput = document.getElementById('gasPrice');
+  if (!dataInput || !document.getElementById('feeEstimate')) return;
+
+  dataInput.addEventListener('input', updateFeeEstimate);
+  gasPriceInput.addEventListener('input', updateFeeEstimate);
+
+  document.querySelectorAll('#feePresets [data-preset]').forEach(button => {
+    button.addEventListener('click', () => {
+      gasPriceInput.value = getGasPricePresets(getMinGasPrice())[button.dataset.preset];
+      updateFeeEstimate();
+    });
+  });
+
+  // Refresh the balance and minimum gas price whenever the Blob Poster tab is opened and once the node is back
+  const blobPosterTab = document.getElementById('blob-poster-tab');
+  if (blobPosterTab) {
+    blobPosterTab.addEventListener('shown.bs.tab', refreshBalance);
+    blobPosterTab.addEventListener('shown.bs.tab', refreshMinGasPrice);
+  }
+  onReconnect(refreshBalance);
+  onReconnect(refreshMinGasPrice);
+
+  refreshBalance();
+  refreshMinGasPrice();
+  updateFeeEstimate();
+}
+
+/**
+ * Estimate the shares, gas and fee of submitting data through the blob form
+ * @param {number} size - Data size in bytes
+ * @param {number} gasPrice - Gas price in the base denom
+ * @returns {Object} - Object with shares, gas, fee and transactions (number of transactions) properties
+ */
+export function estimateSubmissionFee(size, gasPrice) {
+  let transactions = [[size]];
+
+  // Chunked data takes a transaction per chunk and one for the manifest
+  if (needsChunking(size)) {
+    const { chunkSize } = getActiveNetwork();
+    const chunkCount = getChunkCount(size);
+    transactions = Array.from({ length: chunkCount }, (_, index) => [Math.min(chunkSize, size - index * chunkSize)]);
+    transactions.push([MANIFEST_BASE_SIZE + MANIFEST_CHUNK_ENTRY_SIZE * chunkCount]);
+  }
+
+  return { ...estimateBlobFee(transactions, gasPrice), transactions: transactions.length };
+}
+
+/**
+ * Check that the node's balance covers a fee, fetching the balance first
+ * @param {number} fee - Fee in the network's base denom
+ */
+export async function ensureBalanceCovers(fee) {
+  await refreshBalance();
+
+  // If the balance is unknown, leave it to the node to reject the transaction
+  const network = getActiveNetwork();
+  if (!nodeBalance || nodeBalance.denom !== network.denom) return;
+
+  if (Number(nodeBalance.amount) < fee) {
+    throw new Error(`The node's balance of ${formatAmount(nodeBalance.amount, nodeBalance.denom)} can't cover the estimated fee of ${formatAmount(fee, network.denom)}`);
+  }
+}
+
+/**
+ * Update the estimate for the data and gas price in the blob form
+ */
+export function updateFeeEstimate() {
+  const network = getActiveNetwork();
+  const data = document.getElementById('data').value.trim();
+  const gasPrice = getGasPrice();
+
+  markSelectedPreset(gasPrice);
+
+  if (!data || !isValidBase64(data)) {
+    estimatedFee = null;
+    document.getElementById('feeShares').textContent = '-';
+    document.getElementById('feeGas').textContent = '-';
+    document.getElementById('feeTotal').textContent = '-';
+    updateBalanceWarning();
+    return;
+  }
+
+  const { shares, gas, fee, transactions } = estimateSubmissionFee(base64ByteLength(data), gasPrice);
+  estimatedFee = fee;
+
+  document.getElementById('feeShares').textContent = shares.toLocaleString();
+  document.getElementById('feeGas').textContent = transactions > 1
+    ? `${gas.toLocaleString()} over ${transactions} transactions`
+    : gas.toLocaleString();
+  document.getElementById('feeTotal').textContent = formatAmount(fee, network.denom);
+
+  updateBalanceWarning();
+}
+
+/**
+ * Get the gas price entered in the blob form, or the network default
+ * @returns {number} - Gas price in the network's base denom
+ */
+function getGasPrice() {
+  const gasPriceInput = document.getElementById('gasPrice');
+  return gasPriceInput.value ? parseFloat(gasPriceInput.value) : getActiveNetwork().gasPrice;
+}
+
+/**
+ * Highlight the preset matching the gas price, if any
+ * @param {number} gasPrice - Gas price in the base denom
+ */
+function markSelectedPreset(gasPrice) {
+  const presets = getGasPricePresets(getMinGasPrice());
+  document.querySelectorAll('#feePresets [data-preset]').forEach(button => {
+    button.classList.toggle('active', presets[button.dataset.preset] === gasPrice);
+  });
+}
+
+/**
+ * Get the minimum gas price the presets are based on
+ * @returns {number} - The node's minimum gas price, or the network default until it is known
+ */
+function getMinGasPrice() {
+  return minGasPrice !== null ? minGasPrice : getActiveNetwork().gasPrice;
+}
+
+/**
+ * Ask the node for its minimum gas price, falling back to the network default if it can't be asked
+ */
+async function refreshMinGasPrice() {
+  const { gasPrice, fromNode } = await getNodeMinGasPrice();
+  minGasPrice = gasPrice;
+
+  const feeMinGasPrice = document.getElementById('feeMinGasPrice');
+  if (feeMinGasPrice) {
+    feeMinGasPrice.textContent = fromNode ? String(gasPrice) : `${gasPrice} (network default)`;
+  }
+
+  updateFeeEstimate();
+}
+
+/**
+ * Fetch the node's balance and recheck the current estimate against it
+ */
+async function refreshBalance() {
+  nodeBalance = await getNodeBalance({ raw: true });
+
+  const feeBalance = document.getElementById('feeBalance');
+  if (feeBalance) {
+    feeBalance.textContent = nodeBalance ? formatAmount(nodeBalance.amount, nodeBalance.denom) : 'Unknown';
+  }
+
+  updateBalanceWarning();
+}
+
+/**
+ * Warn when the node's balance can't cover the current estimate
+ */
+function updateBalanceWarning() {
+  const feeWarning = document.getElementById('feeWarning');
+  if (!feeWarning) return;
+
+  const network = getActiveNetwork();
+  const insufficient = estimatedFee !== null && nodeBalance && nodeBalance.denom === network.denom
+    && Number(nodeBalance.amount) < estimatedFee;
+
+  feeWarning.textContent = insufficient ? "The node's balance can't cover the estimated fee" : '';
+  feeWarning.style.display = insufficient ? 'block' : 'none';
+}
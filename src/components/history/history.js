@@ -0,0 +1,238 @@
+import {
+  getSubmissions,
+  addSubmission,
+  clearSubmissions,
+  onHistoryChange,
+  submissionMatches,
+  submissionsToJson,
+  submissionsToCsv
+} from '../../services/history.js';
+import { submitBlob, findCommitment } from '../../services/blob.js';
+import { verifyBlobInclusion } from '../../services/proof.js';
+import { getActiveNetwork, formatAmount } from '../../services/networks.js';
+import { ensureBalanceCovers } from '../feeEstimator/feeEstimator.js';
+import { getNodeMinGasPrice } from '../nodeInfo/nodeInfo.js';
+import { openInRetrieveForm } from '../blobPoster/blobPoster.js';
+import { estimateBlobFee } from '../../utils/blobGas.js';
+import { showToast, downloadFile, formatBytes } from '../../utils/common.js';
+
+// Entries loaded from the history, newest first
+let submissions = [];
+
+/**
+ * Initialize the History tab
+ */
+export function initHistoryTab() {
+  const historyRows = document.getElementById('historyRows');
+  if (!historyRows) return;
+
+  document.getElementById('historyFilter').addEventListener('input', renderHistory);
+
+  document.getElementById('exportHistoryJsonBtn').addEventListener('click', () => {
+    downloadFile(submissionsToJson(getFilteredSubmissions()), 'blob-history.json', 'application/json');
+  });
+
+  document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => {
+    downloadFile(submissionsToCsv(getFilteredSubmissions()), 'blob-history.csv', 'text/csv');
+  });
+
+  document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+    if (!confirm('Delete every entry of the submission history?')) return;
+
+    try {
+      await clearSubmissions();
+      showToast('History cleared');
+    } catch (error) {
+      showToast(`Error: ${error.message}`);
+    }
+  });
+
+  onHistoryChange(loadHistory);
+  loadHistory();
+}
+
+/**
+ * Load the history from the database and show it
+ */
+async function loadHistory() {
+  const errorElement = document.getElementById('historyError');
+
+  try {
+    submissions = await getSubmissions();
+    errorElement.style.display = 'none';
+  } catch (error) {
+    console.error('Error loading submission history:', error);
+    submissions = [];
+    errorElement.textContent = `Could not load the history: ${error.message}`;
+    errorElement.style.display = 'block';
+  }
+
+  renderHistory();
+}
+
+/**
+ * Get the entries matching the filter input
+ * @returns {Array<Object>} - Matching entries, newest first
+ */
+function getFilteredSubmissions() {
+  const filter = document.getElementById('historyFilter').value;
+  return submissions.filter(entry => submissionMatches(entry, filter));
+}
+
+/**
+ * Show the entries matching the filter
+ */
+function renderHistory() {
+  const tbody = document.getElementById('historyRows');
+  const entries = getFilteredSubmissions();
+
+  tbody.innerHTML = '';
+  entries.forEach(entry => {
+    tbody.appendChild(createHistoryRow(entry));
+  });
+
+  document.getElementById('historyCount').textContent = entries.length === submissions.length
+    ? `${submissions.length} submissions`
+    : `${entries.length} of ${submissions.length} submissions`;
+}
+
+/**
+ * Build the table row of an entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLTableRowElement} - Row with the entry's details and actions
+ */
+function createHistoryRow(entry) {
+  const row = document.createElement('tr');
+
+  const cells = [
+    new Date(entry.timestamp).toLocaleString(),
+    entry.network,
+    String(entry.height),
+    entry.kind === 'manifest' ? `${entry.namespaceHex} (manifest)` : entry.namespaceHex,
+    formatBytes(entry.size),
+    entry.fee !== null && entry.fee !== undefined ? formatAmount(entry.fee, entry.denom) : '-',
+    entry.txHash || '-',
+    entry.commitment || '-',
+    entry.fingerprint
+  ];
+  cells.forEach((text, cellIndex) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (cellIndex >= 6) {
+      cell.className = 'result-value commitment-cell small';
+    }
+    row.appendChild(cell);
+  });
+
+  const actionCell = document.createElement('td');
+  actionCell.className = 'history-actions';
+
+  const status = document.createElement('div');
+  status.className = 'small mt-1';
+
+  actionCell.appendChild(createActionButton('Retrieve', 'btn-outline-primary', () => openInRetrieveForm(entry.height, entry.namespaceHex, entry.commitment)));
+
+  const verifyBtn = createActionButton('Verify', 'btn-outline-secondary', () => verifyEntry(entry, verifyBtn, status));
+  verifyBtn.disabled = !entry.commitment;
+  verifyBtn.title = entry.commitment ? 'Verify the inclusion proof' : 'No commitment was recorded';
+  actionCell.appendChild(verifyBtn);
+
+  const resubmitBtn = createActionButton('Re-submit', 'btn-outline-secondary', () => resubmitEntry(entry, resubmitBtn, status));
+  resubmitBtn.disabled = !entry.data;
+  resubmitBtn.title = entry.data ? 'Submit the same data again' : 'The data was too large to keep';
+  actionCell.appendChild(resubmitBtn);
+
+  actionCell.appendChild(status);
+  row.appendChild(actionCell);
+
+  return row;
+}
+
+/**
+ * Create a small action button
+ * @param {string} label - Button text
+ * @param {string} style - Bootstrap button style class
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} - The button
+ */
+function createActionButton(label, style, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-sm ${style} me-1`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Check the entry's inclusion proof and show the verdict in its row
+ * @param {Object} entry - History entry
+ * @param {HTMLButtonElement} button - The entry's verify button
+ * @param {HTMLElement} status - The entry's status line
+ */
+async function verifyEntry(entry, button, status) {
+  button.disabled = true;
+  status.className = 'small mt-1 text-muted';
+  status.textContent = 'Verifying...';
+
+  try {
+    const report = await verifyBlobInclusion(entry.height, entry.namespaceBase64, entry.commitment);
+    status.className = report.verified ? 'small mt-1 text-success' : 'small mt-1 text-danger';
+    status.textContent = report.verified ? '✓ Included' : '✗ Not proven';
+    showToast(report.verified
+      ? `Verified: the blob is included in block ${report.height}`
+      : `Failed: the blob could not be proven to be included in block ${report.height}`);
+  } catch (error) {
+    console.error('Error verifying inclusion:', error);
+    status.className = 'small mt-1 text-danger';
+    status.textContent = `Failed: ${error.message}`;
+    showToast(`Error: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Submit the entry's data again to the same namespace and record the new submission
+ * @param {Object} entry - History entry with stored data
+ * @param {HTMLButtonElement} button - The entry's re-submit button
+ * @param {HTMLElement} status - The entry's status line
+ */
+async function resubmitEntry(entry, button, status) {
+  if (!entry.data) return;
+  if (!confirm(`Submit these ${formatBytes(entry.size)} to namespace ${entry.namespaceHex} again?`)) return;
+
+  const network = getActiveNetwork();
+  if (entry.network !== network.id) {
+    showToast(`This blob was submitted on ${entry.network}, now submitting on ${network.id}`);
+  }
+
+  button.disabled = true;
+  status.className = 'small mt-1 text-muted';
+  status.textContent = 'Submitting...';
+
+  try {
+    // Use the gas price of the first submission unless it no longer meets the node's minimum
+    const { gasPrice: minGasPrice } = await getNodeMinGasPrice();
+    const gasPrice = Math.max(entry.gasPrice || 0, minGasPrice);
+    const { fee } = estimateBlobFee([[entry.size]], gasPrice);
+
+    await ensureBalanceCovers(fee);
+
+    const result = await submitBlob(entry.namespaceBase64, entry.data, {
+      gas_price: gasPrice,
+      is_gas_price_set: true
+    });
+    const commitment = await findCommitment(result.height, result.namespaceBase64, entry.data).catch(() => null);
+
+    // Recording it re-renders the table with the new entry at the top
+    await addSubmission({ ...result, data: entry.data, commitment, fee, gasPrice });
+    showToast(`Submitted again at height ${result.height}`);
+  } catch (error) {
+    console.error('Error re-submitting blob:', error);
+    status.className = 'small mt-1 text-danger';
+    status.textContent = `Failed: ${error.message}`;
+    showToast(`Error: ${error.message}`);
+    button.disabled = false;
+  }
+}
@@ -0,0 +1,135 @@
+import { verifyBlobInclusion, describeProofPath } from '../../services/proof.js';
+import { showToast, downloadFile } from '../../utils/common.js';
+
+// Labels of the checks behind the verdict
+const CHECK_LABELS = {
+  headerHeightMatches: 'Header fetched for the blob height',
+  headerHasDataRoot: 'Header has a data root',
+  proofPresent: 'Node returned a proof',
+  commitmentMatches: 'Blob data has the requested commitment',
+  proofMatchesRowRoots: "Proof checked in the browser against the header's row roots",
+  included: 'Node attests the blob is included (blob.Included)'
+};
+
+// Blob the panel checks, set when a blob is shown
+let proofTarget = null;
+
+// Last proof report, for the export
+let proofReport = null;
+
+/**
+ * Initialize the inclusion proof panel of retrieved blobs
+ */
+export function initInclusionProofPanel() {
+  const verifyBtn = document.getElementById('verifyInclusionBtn');
+  if (!verifyBtn) return;
+
+  verifyBtn.addEventListener('click', verifyInclusion);
+
+  document.getElementById('exportProofBtn').addEventListener('click', () => {
+    if (!proofReport) return;
+
+    const fileName = `inclusion-proof-${proofReport.height}-${proofReport.namespaceHex}.json`;
+    downloadFile(JSON.stringify(proofReport, null, 2), fileName, 'application/json');
+  });
+}
+
+/**
+ * Point the panel at a blob, clearing the previous result
+ * @param {Object} target - Object with height, namespace (base64) and commitment (base64) properties
+ */
+export function setProofTarget(target) {
+  proofTarget = target && target.commitment ? target : null;
+  proofReport = null;
+
+  const verdict = document.getElementById('proofVerdict');
+  if (!verdict) return;
+
+  verdict.className = 'text-muted';
+  verdict.textContent = proofTarget
+    ? "Fetch the blob's proof and check it against the block header."
+    : 'This blob has no commitment to prove.';
+  document.getElementById('proofDetails').style.display = 'none';
+  document.getElementById('verifyInclusionBtn').disabled = !proofTarget;
+  document.getElementById('exportProofBtn').disabled = true;
+}
+
+/**
+ * Fetch and check the proof of the target blob and show the verdict
+ */
+async function verifyInclusion() {
+  if (!proofTarget) return;
+
+  const verifyBtn = document.getElementById('verifyInclusionBtn');
+  const verdict = document.getElementById('proofVerdict');
+  const target = proofTarget;
+
+  verifyBtn.disabled = true;
+  verdict.className = 'text-muted';
+  verdict.textContent = 'Fetching proof and header...';
+
+  try {
+    const report = await verifyBlobInclusion(target.height, target.namespace, target.commitment);
+
+    // Drop the result if another blob was shown in the meantime
+    if (proofTarget !== target) return;
+
+    proofReport = report;
+    showReport(report);
+    document.getElementById('exportProofBtn').disabled = false;
+  } catch (error) {
+    console.error('Error verifying inclusion:', error);
+    if (proofTarget !== target) return;
+
+    verdict.className = 'alert alert-danger mb-0';
+    verdict.textContent = `Failed: ${error.message}`;
+    showToast(`Error: ${error.message}`);
+  } finally {
+    verifyBtn.disabled = !proofTarget;
+  }
+}
+
+/**
+ * Show a proof report's verdict, header, checks and proof path
+ * @param {Object} report - Report from verifyBlobInclusion
+ */
+function showReport(report) {
+  const verdict = document.getElementById('proofVerdict');
+  verdict.className = report.verified ? 'alert alert-success mb-0' : 'alert alert-danger mb-0';
+  verdict.textContent = report.verified
+    ? `Verified: the blob is included in block ${report.height}`
+    : `Failed: the blob could not be proven to be included in block ${report.height}`;
+
+  document.getElementById('proofDataRoot').textContent = report.header.dataHash || 'N/A';
+  document.getElementById('proofHeaderInfo').textContent =
+    `${report.chainId} height ${report.header.height}, ${report.header.time || 'unknown time'}, ${report.header.rowRoots} row roots`;
+
+  const checksList = document.getElementById('proofChecks');
+  checksList.innerHTML = '';
+  Object.entries(report.checks).forEach(([check, passed]) => {
+    const item = document.createElement('li');
+    item.className = passed ? 'text-success' : 'text-danger';
+    item.textContent = `${passed ? '✓' : '✗'} ${CHECK_LABELS[check] || check}`;
+    checksList.appendChild(item);
+  });
+
+  const pathContainer = document.getElementById('proofPath');
+  pathContainer.innerHTML = '';
+  describeProofPath(report.proof).forEach((rowProof, rowIndex) => {
+    const heading = document.createElement('div');
+    heading.className = 'fw-bold mt-2';
+    heading.textContent = `Row ${rowIndex + 1}: shares ${rowProof.start}-${rowProof.end}, ${rowProof.nodes.length} nodes`;
+    pathContainer.appendChild(heading);
+
+    rowProof.nodes.forEach(node => {
+      const nodeElement = document.createElement('div');
+      nodeElement.className = 'proof-node';
+      nodeElement.textContent = node.minNamespace
+        ? `${node.minNamespace} .. ${node.maxNamespace} ${node.digest}`
+        : node.digest;
+      pathContainer.appendChild(nodeElement);
+    });
+  });
+
+  document.getElementById('proofDetails').style.display = 'block';
+}
@@ -0,0 +1,206 @@
+import { scanNamespace, clearScanCache, getNetworkHeadHeight, MAX_SCAN_RANGE } from '../../services/namespaceScan.js';
+import { openInRetrieveForm } from '../blobPoster/blobPoster.js';
+import { validateNamespace, namespaceFromHex, namespaceToBase64 } from '../../utils/namespace.js';
+import { showToast, formatBytes } from '../../utils/common.js';
+
+// Blobs shown per page of the timeline
+const PAGE_SIZE = 25;
+
+// Blobs of the last scan, newest first, each with its height
+let timeline = [];
+let currentPage = 0;
+
+// Namespace of the last scan in hex, as entered
+let timelineNamespaceHex = '';
+
+// Stops the running scan
+let scanController = null;
+
+/**
+ * Initialize the Namespace Explorer tab
+ */
+export function initNamespaceExplorer() {
+  const explorerForm = document.getElementById('explorerForm');
+  if (!explorerForm) return;
+
+  explorerForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    runScan();
+  });
+
+  document.getElementById('explorerStopBtn').addEventListener('click', () => {
+    if (scanController) scanController.abort();
+  });
+
+  document.getElementById('explorerClearCacheBtn').addEventListener('click', async () => {
+    try {
+      await clearScanCache();
+      showToast('Scan cache cleared');
+    } catch (error) {
+      showToast(`Error: ${error.message}`);
+    }
+  });
+
+  document.getElementById('explorerPrevBtn').addEventListener('click', () => showPage(currentPage - 1));
+  document.getElementById('explorerNextBtn').addEventListener('click', () => showPage(currentPage + 1));
+}
+
+/**
+ * Scan the range entered in the form and show the blobs found
+ */
+async function runScan() {
+  const errorElement = document.getElementById('explorerError');
+  const scanBtn = document.getElementById('explorerScanBtn');
+  const stopBtn = document.getElementById('explorerStopBtn');
+
+  errorElement.style.display = 'none';
+  errorElement.textContent = '';
+
+  scanController = new AbortController();
+  scanBtn.disabled = true;
+  stopBtn.disabled = false;
+
+  try {
+    const namespaceHex = document.getElementById('explorerNamespace').value.trim();
+    const namespace = parseNamespace(namespaceHex);
+
+    const fromHeight = parseInt(document.getElementById('explorerFromHeight').value, 10);
+    const toHeightValue = document.getElementById('explorerToHeight').value;
+    const toHeight = toHeightValue ? parseInt(toHeightValue, 10) : await getNetworkHeadHeight();
+
+    if (!toHeightValue && toHeight - fromHeight + 1 > MAX_SCAN_RANGE) {
+      throw new Error(`The network head is ${toHeight}, more than ${MAX_SCAN_RANGE.toLocaleString()} heights away. Enter an end height.`);
+    }
+
+    document.getElementById('explorerProgress').style.display = 'block';
+    const result = await scanNamespace(namespace, fromHeight, toHeight, {
+      concurrency: document.getElementById('explorerConcurrency').value,
+      useCache: document.getElementById('explorerUseCache').checked,
+      signal: scanController.signal,
+      onProgress: updateProgress
+    });
+
+    timelineNamespaceHex = namespaceHex;
+    timeline = result.heights
+      .slice()
+      .reverse()
+      .flatMap(({ height, blobs }) => blobs.map(blob => ({ ...blob, height })));
+
+    showSummary(result, fromHeight, toHeight);
+    showPage(0);
+    document.getElementById('explorerResults').style.display = 'block';
+  } catch (error) {
+    console.error('Error scanning namespace:', error);
+    errorElement.textContent = error.message;
+    errorElement.style.display = 'block';
+  } finally {
+    scanController = null;
+    scanBtn.disabled = false;
+    stopBtn.disabled = true;
+  }
+}
+
+/**
+ * Convert the entered namespace to base64 and check that it can hold user data
+ * @param {string} hex - 10-byte user ID or full 29-byte namespace in hex
+ * @returns {string} - Base64 encoded namespace
+ */
+function parseNamespace(hex) {
+  if (!hex) {
+    throw new Error('Namespace is required');
+  }
+
+  const namespace = namespaceToBase64(namespaceFromHex(hex));
+  const validation = validateNamespace(namespace);
+  if (!validation.valid) {
+    throw new Error(`Invalid namespace: ${validation.error}`);
+  }
+
+  return namespace;
+}
+
+/**
+ * Show the progress of the running scan
+ * @param {Object} progress - Object with scanned, total and found counts
+ */
+function updateProgress({ scanned, total, found }) {
+  const percent = total > 0 ? Math.round((scanned / total) * 100) : 0;
+  const progressBar = document.getElementById('explorerProgressBar');
+  progressBar.style.width = `${percent}%`;
+  progressBar.setAttribute('aria-valuenow', percent);
+
+  document.getElementById('explorerProgressText').textContent =
+    `${scanned.toLocaleString()} of ${total.toLocaleString()} heights scanned, ${found.toLocaleString()} blobs found`;
+}
+
+/**
+ * Summarize a finished scan
+ * @param {Object} result - Result of scanNamespace
+ * @param {number} fromHeight - First height of the range
+ * @param {number} toHeight - Last height of the range
+ */
+function showSummary(result, fromHeight, toHeight) {
+  const parts = [`${timeline.length} blobs at ${result.heights.length} heights between ${fromHeight} and ${toHeight}`];
+  if (result.cached > 0) {
+    parts.push(`${result.cached} heights from the cache`);
+  }
+  if (result.aborted) {
+    parts.push('stopped before the end of the range');
+  }
+  if (result.failed.length > 0) {
+    const failedHeights = result.failed.slice(0, 10).map(({ height }) => height).join(', ');
+    parts.push(`${result.failed.length} heights failed (${failedHeights}${result.failed.length > 10 ? ', ...' : ''}), scan again to retry them`);
+  }
+
+  const summary = document.getElementById('explorerSummary');
+  summary.className = result.failed.length > 0 || result.aborted ? 'small mb-2 text-warning' : 'small mb-2 text-muted';
+  summary.textContent = parts.join('; ');
+}
+
+/**
+ * Show a page of the timeline
+ * @param {number} page - Zero-based page number
+ */
+function showPage(page) {
+  const pageCount = Math.max(1, Math.ceil(timeline.length / PAGE_SIZE));
+  currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const tbody = document.getElementById('explorerRows');
+  tbody.innerHTML = '';
+
+  timeline.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE).forEach(blob => {
+    const row = document.createElement('tr');
+
+    const cells = [
+      String(blob.height),
+      blob.index !== undefined ? String(blob.index) : '-',
+      formatBytes(blob.size),
+      blob.commitment || 'N/A'
+    ];
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (cellIndex === 3) {
+        cell.className = 'result-value commitment-cell';
+      }
+      row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'btn btn-sm btn-outline-primary';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => {
+      openInRetrieveForm(blob.height, timelineNamespaceHex, blob.commitment);
+    });
+    actionCell.appendChild(viewBtn);
+    row.appendChild(actionCell);
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('explorerPageInfo').textContent = `Page ${currentPage + 1} of ${pageCount}`;
+  document.getElementById('explorerPrevBtn').disabled = currentPage === 0;
+  document.getElementById('explorerNextBtn').disabled = currentPage >= pageCount - 1;
+}
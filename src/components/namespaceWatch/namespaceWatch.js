@@ -0,0 +1,297 @@
+import {
+  getWatchSettings,
+  updateWatchSettings,
+  addWatchedNamespace,
+  removeWatchedNamespace,
+  isWatching,
+  startWatching,
+  stopWatching
+} from '../../services/namespaceWatch.js';
+import { onConnectionStateChange, CONNECTION_STATES } from '../../services/connectionState.js';
+import { openInRetrieveForm } from '../blobPoster/blobPoster.js';
+import { showToast, formatBytes } from '../../utils/common.js';
+
+// Newest blobs kept in the feed
+const MAX_FEED_ITEMS = 200;
+
+// New blobs, newest first, each with its height
+let feed = [];
+
+// Last height checked while watching
+let lastCheckedHeight = null;
+
+/**
+ * Initialize the namespace watch section of the Blob Poster tab
+ */
+export function initNamespaceWatch() {
+  const watchForm = document.getElementById('watchForm');
+  if (!watchForm) return;
+
+  watchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    addNamespace();
+  });
+
+  document.getElementById('toggleWatchBtn').addEventListener('click', () => {
+    if (isWatching()) {
+      stopWatching();
+      updateWatchSettings({ watching: false });
+      renderStatus();
+    } else {
+      startWatchingNamespaces(true);
+    }
+  });
+
+  const notifyCheckbox = document.getElementById('watchNotify');
+  notifyCheckbox.checked = getWatchSettings().notify && canNotify();
+  notifyCheckbox.addEventListener('change', () => setNotifications(notifyCheckbox.checked));
+
+  document.getElementById('clearWatchFeedBtn').addEventListener('click', () => {
+    feed = [];
+    renderFeed();
+  });
+
+  renderNamespaces();
+  renderStatus();
+  renderFeed();
+
+  // Pick up watching where the last visit left off, once the node is connected. A failed start
+  // is tried again on the next connection, for as long as watching is still on.
+  if (getWatchSettings().watching) {
+    let resuming = false;
+    const removeListener = onConnectionStateChange(async state => {
+      if (resuming || state.status !== CONNECTION_STATES.OPEN) return;
+
+      resuming = true;
+      if (!getWatchSettings().watching || await startWatchingNamespaces(false)) {
+        removeListener();
+      }
+      resuming = false;
+    });
+  }
+}
+
+/**
+ * Add the entered namespace to the watch list
+ */
+function addNamespace() {
+  const input = document.getElementById('watchNamespaceInput');
+
+  try {
+    addWatchedNamespace(input.value.trim());
+    input.value = '';
+    showError('');
+    renderNamespaces();
+    renderStatus();
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+/**
+ * Subscribe to new headers and check the watched namespaces at each
+ * @param {boolean} remember - Store that watching is on, so it resumes on the next visit
+ * @returns {Promise<boolean>} - True if watching started
+ */
+async function startWatchingNamespaces(remember) {
+  const toggleBtn = document.getElementById('toggleWatchBtn');
+
+  if (getWatchSettings().namespaces.length === 0) {
+    showError('Add a namespace to watch first');
+    return false;
+  }
+
+  toggleBtn.disabled = true;
+  showError('');
+
+  try {
+    await startWatching({ onBlobs: addToFeed, onHeight: updateCheckedHeight, onError: showHeightError });
+    if (remember) updateWatchSettings({ watching: true });
+    return true;
+  } catch (error) {
+    console.error('Error starting namespace watch:', error);
+    showError(`Could not subscribe to new headers: ${error.message}`);
+    return false;
+  } finally {
+    toggleBtn.disabled = false;
+    renderStatus();
+  }
+}
+
+/**
+ * Turn desktop notifications on or off, asking for permission when turning them on
+ * @param {boolean} enabled - Whether to notify
+ */
+async function setNotifications(enabled) {
+  const notifyCheckbox = document.getElementById('watchNotify');
+
+  if (enabled) {
+    if (!('Notification' in window)) {
+      showToast('This browser does not support desktop notifications');
+      notifyCheckbox.checked = false;
+      return;
+    }
+
+    const permission = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+    if (permission !== 'granted') {
+      showToast('Desktop notifications are blocked for this page');
+      notifyCheckbox.checked = false;
+      return;
+    }
+  }
+
+  updateWatchSettings({ notify: enabled });
+}
+
+/**
+ * Check whether desktop notifications can be shown
+ * @returns {boolean} - True if the browser supports them and the page may show them
+ */
+function canNotify() {
+  return 'Notification' in window && Notification.permission === 'granted';
+}
+
+/**
+ * Add new blobs to the top of the feed and announce them
+ * @param {number} height - Block height the blobs were found at
+ * @param {Array<Object>} blobs - Blobs with namespaceHex, index, commitment and size properties
+ */
+function addToFeed(height, blobs) {
+  feed = [...blobs.map(blob => ({ ...blob, height })).reverse(), ...feed].slice(0, MAX_FEED_ITEMS);
+  renderFeed();
+
+  if (getWatchSettings().notify && canNotify()) {
+    const first = blobs[0];
+    const notification = new Notification(`${blobs.length} new blob${blobs.length === 1 ? '' : 's'} at height ${height}`, {
+      body: blobs.map(blob => `${blob.namespaceHex}: ${formatBytes(blob.size)}`).join('\n'),
+      tag: `watch-${height}`
+    });
+    notification.onclick = () => {
+      window.focus();
+      openInRetrieveForm(height, first.namespaceHex, first.commitment);
+      notification.close();
+    };
+  }
+}
+
+/**
+ * Record the last height checked
+ * @param {number} height - Block height
+ */
+function updateCheckedHeight(height) {
+  lastCheckedHeight = height;
+  renderStatus();
+}
+
+/**
+ * Show that a height could not be checked, without stopping the watch
+ * @param {number} height - Block height
+ * @param {Error} error - Error from blob.GetAll
+ */
+function showHeightError(height, error) {
+  showError(`Height ${height} could not be checked: ${error.message}`);
+}
+
+/**
+ * Show or hide the error message of the section
+ * @param {string} message - Message to show, empty to hide it
+ */
+function showError(message) {
+  const errorElement = document.getElementById('watchError');
+  errorElement.textContent = message;
+  errorElement.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Show the watch list with a remove button for each namespace
+ */
+function renderNamespaces() {
+  const list = document.getElementById('watchedNamespaces');
+  list.innerHTML = '';
+
+  getWatchSettings().namespaces.forEach(watched => {
+    const item = document.createElement('span');
+    item.className = 'watched-namespace';
+
+    const label = document.createElement('span');
+    label.className = 'font-monospace text-break';
+    label.textContent = watched.hex;
+    item.appendChild(label);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-close btn-sm ms-2';
+    removeBtn.setAttribute('aria-label', `Stop watching ${watched.hex}`);
+    removeBtn.addEventListener('click', () => {
+      removeWatchedNamespace(watched.base64);
+      renderNamespaces();
+      renderStatus();
+    });
+    item.appendChild(removeBtn);
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show whether watching is on, and the last height checked
+ */
+function renderStatus() {
+  const watching = isWatching();
+  const count = getWatchSettings().namespaces.length;
+
+  const toggleBtn = document.getElementById('toggleWatchBtn');
+  toggleBtn.textContent = watching ? 'Stop Watching' : 'Start Watching';
+  toggleBtn.className = watching ? 'btn btn-outline-danger' : 'btn btn-primary';
+
+  let status = `${count} namespace${count === 1 ? '' : 's'} in the watch list`;
+  if (watching) {
+    status = `Watching ${count} namespace${count === 1 ? '' : 's'}`
+      + (lastCheckedHeight !== null ? `, last checked height ${lastCheckedHeight}` : ', waiting for the next header');
+  }
+  document.getElementById('watchStatus').textContent = status;
+}
+
+/**
+ * Show the feed of new blobs
+ */
+function renderFeed() {
+  const tbody = document.getElementById('watchFeedRows');
+  tbody.innerHTML = '';
+
+  feed.forEach(blob => {
+    const row = document.createElement('tr');
+
+    const cells = [
+      String(blob.height),
+      blob.namespaceHex,
+      blob.index !== undefined ? String(blob.index) : '-',
+      formatBytes(blob.size),
+      blob.commitment || 'N/A'
+    ];
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (cellIndex === 1 || cellIndex === 4) {
+        cell.className = 'result-value commitment-cell';
+      }
+      row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'btn btn-sm btn-outline-primary';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => {
+      openInRetrieveForm(blob.height, blob.namespaceHex, blob.commitment);
+    });
+    actionCell.appendChild(viewBtn);
+    row.appendChild(actionCell);
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('watchFeedEmpty').style.display = feed.length === 0 ? 'block' : 'none';
+  document.getElementById('clearWatchFeedBtn').disabled = feed.length === 0;
+}
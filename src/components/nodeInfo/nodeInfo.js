@@ -1,47 +1,101 @@
 import { sendRpcRequest, getConnectionStatus } from '../../services/websocket.js';
-import { showToast, copyToClipboard } from '../../utils/common.js';
+import { getActiveNetwork, getTxExplorerUrl, formatAmount } from '../../services/networks.js';
+import { onDisconnect, onReconnect } from '../../services/connectionState.js';
+import { showToast, setExplorerLink } from '../../utils/common.js';
 
-// Node info state
-let nodeAddress = null;
-let nodeBalance = null;
-let nodeP2PInfo = null;
+// How often the balance is refreshed, also used to notice a node that went away
+const BALANCE_REFRESH_INTERVAL = 5000;
+
+// Transaction priority of state.EstimateGasPrice that gives the lowest price
+const GAS_PRICE_PRIORITY_LOW = 1;
 
 /**
  * Initialize the Node Info tab
  */
-export function initNodeInfoTab() {
-  // Update node info when tab is loaded
-  updateAllNodeInfo();
-  
-  // Set up refresh button
-  const refreshNodeInfoBtn = document.getElementById('refreshNodeInfoBtn');
-  if (refreshNodeInfoBtn) {
-    refreshNodeInfoBtn.addEventListener('click', () => {
-      updateAllNodeInfo();
-    });
-  }
-  
-  // Set up copy buttons
-  setupCopyButtons();
-  
+export async function initNodeInfoTab() {
+  // Show error states as soon as the node can't be reached, and fresh data once it is back
+  onDisconnect(() => updateAllNodeInfo());
+  onReconnect(async () => {
+    await updateAllNodeInfo();
+    await refreshNodeBalance();
+  });
+
   // Set up transfer form
   setupTransferForm();
+
+  // Fetch and display node address
+  const nodeAddressElement = document.getElementById('nodeAddress');
+  const address = await getNodeAddress();
+  if (nodeAddressElement) {
+    nodeAddressElement.textContent = address;
+  }
+
+  // Fetch and display P2P info
+  const nodeP2PInfoElement = document.getElementById('nodeP2PInfo');
+  const p2pInfo = await getNodeP2PInfo();
+  if (nodeP2PInfoElement) {
+    if (p2pInfo && p2pInfo.ID) {
+      nodeP2PInfoElement.textContent = p2pInfo.ID;
+    } else {
+      nodeP2PInfoElement.textContent = 'Unable to fetch p2p info. Is your light node running?';
+      console.error('Failed to get P2P info:', p2pInfo);
+    }
+  }
+
+  // Fetch and display node balance
+  await refreshNodeBalance();
+
+  // Refresh the balance periodically
+  setInterval(pollNodeBalance, BALANCE_REFRESH_INTERVAL);
 }
 
 /**
- * Set up copy buttons for node info
+ * Refresh the balance, highlighting it when it changed and showing errors when the node went away
  */
-function setupCopyButtons() {
-  const copyButtons = document.querySelectorAll('.copy-node-info');
-  copyButtons.forEach(button => {
-    button.addEventListener('click', (e) => {
-      const targetId = e.currentTarget.getAttribute('data-target');
-      const targetElement = document.getElementById(targetId);
-      if (targetElement) {
-        copyToClipboard(targetElement.textContent.trim());
+async function pollNodeBalance() {
+  const nodeBalanceElement = document.getElementById('nodeBalance');
+
+  try {
+    // First check if we're connected before trying to get the balance
+    if (!getConnectionStatus()) {
+      // If we're already disconnected, make sure UI reflects this state
+      if (nodeBalanceElement) {
+        nodeBalanceElement.textContent = 'Unable to fetch balance. Is your node running?';
+        nodeBalanceElement.classList.add('text-danger');
       }
-    });
-  });
+      await updateAllNodeInfo();
+      return;
+    }
+
+    const updatedBalance = await getNodeBalance();
+    if (nodeBalanceElement) {
+      if (updatedBalance && !updatedBalance.includes('Unable to fetch')) {
+        // Only update if the value changed
+        if (nodeBalanceElement.textContent !== updatedBalance) {
+          // Remove text-danger if it was previously showing an error
+          nodeBalanceElement.classList.remove('text-danger');
+
+          nodeBalanceElement.textContent = updatedBalance;
+          nodeBalanceElement.classList.remove('value-changed');
+          // Force reflow to restart animation
+          void nodeBalanceElement.offsetWidth;
+          nodeBalanceElement.classList.add('value-changed');
+        }
+      } else {
+        // If balance check fails, update all node info
+        nodeBalanceElement.textContent = 'Unable to fetch balance. Is your node running?';
+        nodeBalanceElement.classList.add('text-danger');
+        await updateAllNodeInfo();
+      }
+    }
+  } catch (error) {
+    console.error('Error in balance refresh interval:', error);
+    if (nodeBalanceElement) {
+      nodeBalanceElement.textContent = 'Unable to fetch balance. Is your node running?';
+      nodeBalanceElement.classList.add('text-danger');
+      await updateAllNodeInfo();
+    }
+  }
 }
 
 /**
@@ -49,285 +103,313 @@ function setupCopyButtons() {
  */
 function setupTransferForm() {
   const transferForm = document.getElementById('transferForm');
+  const transferLoading = document.getElementById('transferLoading');
+  const transferError = document.getElementById('transferError');
   const transferSuccess = document.getElementById('transferSuccess');
-  
-  if (transferForm) {
-    transferForm.addEventListener('submit', async function(event) {
-      event.preventDefault();
-      
-      const recipientAddress = document.getElementById('recipientAddress').value.trim();
-      const amountInput = document.getElementById('transferAmount').value.trim();
-      const amount = parseFloat(amountInput);
-      
-      if (!recipientAddress) {
-        showToast('Please enter a recipient address');
-        return;
-      }
-      
-      if (isNaN(amount) || amount <= 0) {
-        showToast('Please enter a valid amount');
-        return;
-      }
-      
-      // Disable form during submission
-      const submitButton = transferForm.querySelector('button[type="submit"]');
-      const originalButtonText = submitButton.innerHTML;
-      submitButton.disabled = true;
-      submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Processing...';
-      
-      try {
-        const result = await transferTIA(recipientAddress, amount);
-        
-        // Show success message
-        if (transferSuccess) {
-          transferSuccess.style.display = 'block';
-          transferSuccess.querySelector('#txHash').textContent = result.hash;
-          transferSuccess.querySelector('#txHeight').textContent = result.height;
+
+  if (!transferForm) return;
+
+  transferForm.addEventListener('submit', async function(event) {
+    event.preventDefault();
+
+    const recipientAddress = document.getElementById('recipientAddress').value.trim();
+    const transferAmount = document.getElementById('transferAmount').value;
+    const gasAdjustment = parseFloat(document.getElementById('gasAdjustment').value) || 1.3;
+    const maxGasPrice = document.getElementById('maxGasPrice').value ? parseFloat(document.getElementById('maxGasPrice').value) : getActiveNetwork().gasPrice;
+
+    if (!recipientAddress) {
+      transferError.textContent = 'Please enter a valid recipient address';
+      transferError.style.display = 'block';
+      transferSuccess.style.display = 'none';
+      return;
+    }
+
+    if (!transferAmount || isNaN(parseFloat(transferAmount)) || parseFloat(transferAmount) <= 0) {
+      transferError.textContent = 'Please enter a valid amount greater than 0';
+      transferError.style.display = 'block';
+      transferSuccess.style.display = 'none';
+      return;
+    }
+
+    try {
+      transferError.style.display = 'none';
+      transferSuccess.style.display = 'none';
+      transferLoading.style.display = 'block';
+
+      const txResult = await transferTIA(recipientAddress, transferAmount, gasAdjustment, maxGasPrice);
+
+      // Show success message with transaction details
+      if (txResult && txResult.txhash) {
+        const transferTxHash = document.getElementById('transferTxHash');
+        const transferExplorerLink = document.getElementById('transferExplorerLink');
+
+        if (transferTxHash) {
+          transferTxHash.textContent = txResult.txhash;
         }
-        
-        // Clear form
-        transferForm.reset();
-        
-        // Refresh balance after transfer
-        setTimeout(() => {
-          refreshNodeBalance();
-        }, 5000); // Wait 5 seconds for the transaction to be processed
-      } catch (error) {
-        console.error('Error transferring TIA:', error);
-        showToast('Error: ' + error.message);
-      } finally {
-        // Re-enable form
-        submitButton.disabled = false;
-        submitButton.innerHTML = originalButtonText;
-      }
-    });
-  }
-  
-  // Set up copy tx hash button
-  const copyTxHashBtn = document.getElementById('copyTxHash');
-  if (copyTxHashBtn) {
-    copyTxHashBtn.addEventListener('click', () => {
-      const txHash = document.getElementById('txHash');
-      if (txHash) {
-        copyToClipboard(txHash.textContent.trim());
+
+        setExplorerLink(transferExplorerLink, getTxExplorerUrl(txResult.txhash));
       }
-    });
-  }
+
+      transferSuccess.style.display = 'block';
+
+      // Reset form
+      transferForm.reset();
+
+      // Set default gas adjustment value after reset
+      document.getElementById('gasAdjustment').value = '1.3';
+
+      // Refresh node balance after successful transfer
+      await refreshNodeBalance();
+
+      showToast('Transfer completed successfully!');
+    } catch (error) {
+      transferError.textContent = `Transfer failed: ${error.message || 'Unknown error'}`;
+      transferError.style.display = 'block';
+    } finally {
+      transferLoading.style.display = 'none';
+    }
+  });
 }
 
 /**
  * Get the node's account address
- * @returns {Promise<string>} - The node's account address
+ * @returns {Promise<string>} - The node's account address, or an error message
  */
 export async function getNodeAddress() {
   try {
-    const response = await sendRpcRequest('header.NodeAddress');
-    
-    if (response.result && response.result.address) {
-      nodeAddress = response.result.address;
-      
-      // Update UI
-      const addressElement = document.getElementById('nodeAddress');
-      if (addressElement) {
-        addressElement.textContent = nodeAddress;
-      }
-      
-      return nodeAddress;
-    } else {
-      throw new Error('Invalid response from node');
+    const response = await sendRpcRequest('state.AccountAddress');
+
+    if (response.error) {
+      throw new Error(`API Error: ${response.error.message}`);
     }
+
+    return response.result;
   } catch (error) {
     console.error('Error getting node address:', error);
-    
-    // Update UI to show error
-    const addressElement = document.getElementById('nodeAddress');
-    if (addressElement) {
-      addressElement.textContent = 'Error: Unable to get node address';
-    }
-    
-    throw error;
+    return 'Unable to fetch address. Is your light node running?';
   }
 }
 
 /**
  * Get the node's P2P info
- * @returns {Promise<Object>} - The node's P2P info
+ * @returns {Promise<Object|null>} - The node's P2P info, or null if unavailable
  */
 export async function getNodeP2PInfo() {
   try {
     const response = await sendRpcRequest('p2p.Info');
-    
-    if (response.result) {
-      nodeP2PInfo = response.result;
-      
-      // Update UI
-      const p2pInfoElement = document.getElementById('nodeP2PInfo');
-      const p2pDetailsElement = document.getElementById('nodeP2PDetails');
-      
-      if (p2pInfoElement) {
-        p2pInfoElement.textContent = nodeP2PInfo.id || 'N/A';
-      }
-      
-      if (p2pDetailsElement) {
-        // Format the details nicely
-        const details = [];
-        if (nodeP2PInfo.peers) {
-          details.push(`Connected peers: ${nodeP2PInfo.peers.length}`);
-        }
-        if (nodeP2PInfo.listeners) {
-          details.push(`Listeners: ${nodeP2PInfo.listeners.join(', ')}`);
-        }
-        
-        p2pDetailsElement.textContent = details.join(' | ');
-      }
-      
-      return nodeP2PInfo;
-    } else {
-      throw new Error('Invalid response from node');
-    }
-  } catch (error) {
-    console.error('Error getting node P2P info:', error);
-    
-    // Update UI to show error
-    const p2pInfoElement = document.getElementById('nodeP2PInfo');
-    const p2pDetailsElement = document.getElementById('nodeP2PDetails');
-    
-    if (p2pInfoElement) {
-      p2pInfoElement.textContent = 'Error: Unable to get P2P info';
+
+    if (response.error) {
+      console.error('P2P Info API Error:', response.error);
+      throw new Error(`API Error: ${response.error.message}`);
     }
-    
-    if (p2pDetailsElement) {
-      p2pDetailsElement.textContent = '';
+
+    if (!response.result) {
+      console.error('No result in P2P Info response:', response);
+      return null;
     }
-    
-    throw error;
+
+    return response.result;
+  } catch (error) {
+    console.error('Error getting P2P info:', error);
+    return null;
   }
 }
 
 /**
  * Get the node's account balance
- * @returns {Promise<Object>} - The node's balance info
+ * @param {Object} options - Object with a raw property, to get the amount instead of display text
+ * @returns {Promise<string|Object|null>} - The formatted balance, or an error message. With raw, an object with amount and denom properties, or null if it can't be fetched
  */
-export async function getNodeBalance() {
+export async function getNodeBalance({ raw = false } = {}) {
   try {
     const response = await sendRpcRequest('state.Balance');
-    
-    if (response.result) {
-      nodeBalance = response.result;
-      
-      // Update UI
-      const balanceElement = document.getElementById('nodeBalance');
-      const balanceUtiaElement = document.getElementById('nodeBalanceUtia');
-      
-      if (balanceElement) {
-        // Convert utia to TIA (1 TIA = 1,000,000 utia)
-        const balanceTIA = parseInt(nodeBalance.amount) / 1000000;
-        balanceElement.textContent = balanceTIA.toFixed(6) + ' TIA';
+
+    if (response.error) {
+      console.error('Balance API Error:', response.error);
+      throw new Error(`API Error: ${response.error.message}`);
+    }
+
+    if (!response.result) {
+      console.error('No result in Balance response:', response);
+      return raw ? null : 'Unable to fetch balance. Is your light node running?';
+    }
+
+    // Format the balance for display
+    const balance = response.result;
+    if (typeof balance === 'object') {
+      // If it's an object with denom and amount properties
+      if (balance.denom && balance.amount !== undefined) {
+        if (raw) {
+          return { amount: balance.amount, denom: balance.denom };
+        }
+        // Convert the network's base denom to its display denom
+        return formatAmount(balance.amount, balance.denom);
       }
-      
-      if (balanceUtiaElement) {
-        balanceUtiaElement.textContent = nodeBalance.amount + ' utia';
+      if (raw) {
+        console.error('Unexpected Balance response:', response);
+        return null;
       }
-      
-      return nodeBalance;
-    } else {
-      throw new Error('Invalid response from node');
+      // If it's a different object structure
+      return JSON.stringify(balance);
     }
+
+    return raw ? null : response.result;
   } catch (error) {
-    console.error('Error getting node balance:', error);
-    
-    // Update UI to show error
-    const balanceElement = document.getElementById('nodeBalance');
-    const balanceUtiaElement = document.getElementById('nodeBalanceUtia');
-    
-    if (balanceElement) {
-      balanceElement.textContent = 'Error: Unable to get balance';
-    }
-    
-    if (balanceUtiaElement) {
-      balanceUtiaElement.textContent = '';
+    console.error('Error getting balance:', error);
+    return raw ? null : 'Unable to fetch balance. Is your light node running?';
+  }
+}
+
+/**
+ * Get the lowest gas price the node currently submits transactions with
+ * @returns {Promise<Object>} - Object with the gasPrice in the base denom and fromNode, false if the
+ * node couldn't be asked and the network profile's gas price is used instead
+ */
+export async function getNodeMinGasPrice() {
+  try {
+    // The low priority estimate is the network's minimum gas price unless blocks are full
+    const response = await sendRpcRequest('state.EstimateGasPrice', [{ tx_priority: GAS_PRICE_PRIORITY_LOW }]);
+    const gasPrice = parseFloat(response.result);
+
+    if (gasPrice > 0) {
+      return { gasPrice, fromNode: true };
     }
-    
-    throw error;
+
+    console.error('Unexpected EstimateGasPrice response:', response);
+  } catch (error) {
+    console.error('Error getting minimum gas price:', error);
   }
+
+  return { gasPrice: getActiveNetwork().gasPrice, fromNode: false };
 }
 
 /**
  * Refresh the node's balance
  */
 export async function refreshNodeBalance() {
+  const nodeBalanceElement = document.getElementById('nodeBalance');
+
   try {
-    await getNodeBalance();
+    const balance = await getNodeBalance();
+
+    if (nodeBalanceElement) {
+      // Consider any balance result containing "Unable to fetch" as an error
+      if (balance && !balance.includes('Unable to fetch')) {
+        nodeBalanceElement.textContent = balance;
+        nodeBalanceElement.classList.remove('text-danger');
+        nodeBalanceElement.classList.add('value-changed');
+        // Animation will be removed after a delay
+        setTimeout(() => {
+          nodeBalanceElement.classList.remove('value-changed');
+        }, 1500);
+      } else {
+        // If balance check fails, display error and update all node info
+        nodeBalanceElement.textContent = 'Unable to fetch balance. Is your node running?';
+        nodeBalanceElement.classList.add('text-danger');
+
+        // Since balance check failed, check all other node info as well
+        await updateAllNodeInfo();
+      }
+    }
   } catch (error) {
-    console.error('Error refreshing node balance:', error);
+    console.error('Error refreshing balance:', error);
+    if (nodeBalanceElement) {
+      nodeBalanceElement.textContent = 'Unable to fetch balance. Is your node running?';
+      nodeBalanceElement.classList.add('text-danger');
+
+      // Since balance check failed with error, update all other node info as well
+      await updateAllNodeInfo();
+    }
   }
 }
 
 /**
- * Update all node information
+ * Update all node information, showing errors when the connection is lost
  */
-export function updateAllNodeInfo() {
-  // Check if connected
+export async function updateAllNodeInfo() {
+  const nodeAddressElement = document.getElementById('nodeAddress');
+  const nodeP2PInfoElement = document.getElementById('nodeP2PInfo');
+
+  // Don't try to fetch data while disconnected
   if (!getConnectionStatus()) {
-    // Update UI to show disconnected state
-    const elements = [
-      { id: 'nodeAddress', text: 'Not connected to node' },
-      { id: 'nodeBalance', text: 'Not connected to node' },
-      { id: 'nodeBalanceUtia', text: '' },
-      { id: 'nodeP2PInfo', text: 'Not connected to node' },
-      { id: 'nodeP2PDetails', text: '' }
-    ];
-    
-    elements.forEach(({ id, text }) => {
-      const element = document.getElementById(id);
-      if (element) {
-        element.textContent = text;
-      }
-    });
-    
+    if (nodeAddressElement) {
+      nodeAddressElement.textContent = 'Unable to fetch address. Is your node running?';
+      nodeAddressElement.classList.add('text-danger');
+    }
+
+    if (nodeP2PInfoElement) {
+      nodeP2PInfoElement.textContent = 'Unable to fetch P2P info. Is your node running?';
+      nodeP2PInfoElement.classList.add('text-danger');
+    }
+
     return;
   }
-  
-  // Update all node info
-  getNodeAddress().catch(console.error);
-  getNodeBalance().catch(console.error);
-  getNodeP2PInfo().catch(console.error);
+
+  // Update node address
+  if (nodeAddressElement) {
+    try {
+      const address = await getNodeAddress();
+      if (address) {
+        nodeAddressElement.textContent = address;
+        nodeAddressElement.classList.remove('text-danger');
+      } else {
+        nodeAddressElement.textContent = 'Unable to fetch address. Is your node running?';
+        nodeAddressElement.classList.add('text-danger');
+      }
+    } catch (error) {
+      nodeAddressElement.textContent = 'Unable to fetch address. Is your node running?';
+      nodeAddressElement.classList.add('text-danger');
+    }
+  }
+
+  // Update P2P info
+  if (nodeP2PInfoElement) {
+    try {
+      const p2pInfo = await getNodeP2PInfo();
+      if (p2pInfo && p2pInfo.ID) {
+        nodeP2PInfoElement.textContent = p2pInfo.ID;
+        nodeP2PInfoElement.classList.remove('text-danger');
+      } else {
+        nodeP2PInfoElement.textContent = 'Unable to fetch P2P info. Is your node running?';
+        nodeP2PInfoElement.classList.add('text-danger');
+      }
+    } catch (error) {
+      nodeP2PInfoElement.textContent = 'Unable to fetch P2P info. Is your node running?';
+      nodeP2PInfoElement.classList.add('text-danger');
+    }
+  }
 }
 
 /**
  * Transfer TIA to another address
  * @param {string} recipientAddress - The recipient's address
- * @param {number} amountInTIA - The amount to transfer in TIA
+ * @param {number|string} amountInTIA - The amount to transfer in TIA
  * @param {number} gasAdjustment - Gas adjustment factor (default: 1.3)
- * @param {number} maxGasPrice - Maximum gas price in TIA (default: 0.002)
+ * @param {number} maxGasPrice - Maximum gas price in TIA (default: the active network's gas price)
  * @returns {Promise<Object>} - Transaction result
  */
-export async function transferTIA(recipientAddress, amountInTIA, gasAdjustment = 1.3, maxGasPrice = 0.002) {
+export async function transferTIA(recipientAddress, amountInTIA, gasAdjustment = 1.3, maxGasPrice = getActiveNetwork().gasPrice) {
   try {
     // Convert TIA to utia (1 TIA = 1,000,000 utia)
-    const amountInUtia = Math.floor(amountInTIA * 1000000).toString();
-    
-    // Convert gas price to utia
-    const maxGasPriceUtia = Math.floor(maxGasPrice * 1000000).toString();
-    
+    const amountInUtia = Math.floor(parseFloat(amountInTIA) * 1000000).toString();
+
+    const txConfig = {
+      gas_adjustment: gasAdjustment,
+      // Convert max gas price from TIA to utia
+      max_gas_price: parseFloat(maxGasPrice) * 1000000
+    };
+
     const response = await sendRpcRequest('state.Transfer', [
       recipientAddress,
       amountInUtia,
-      {
-        gasAdjustment: gasAdjustment.toString(),
-        maxGasPrice: maxGasPriceUtia
-      }
+      txConfig
     ]);
-    
-    if (response.result) {
-      return {
-        hash: response.result.hash,
-        height: response.result.height,
-        ...response.result
-      };
-    } else {
-      throw new Error('Invalid response from node');
+
+    if (response.error) {
+      throw new Error(`API Error: ${response.error.message}`);
     }
+
+    return response.result;
   } catch (error) {
     console.error('Error transferring TIA:', error);
     throw error;
@@ -1,419 +1,513 @@
 import { sendRpcRequest } from '../../services/websocket.js';
+import { RequestAbortedError } from '../../services/errors.js';
+import { onReconnect } from '../../services/connectionState.js';
+import { showToast } from '../../utils/common.js';
+import { html } from '../../utils/sanitize.js';
 
-// Sampling stats state
-let samplingStats = null;
-let realtimeStatsSource = null;
+// How often the stats are polled when streaming isn't supported
+const POLLING_INTERVAL = 5000;
+
+// Restarts the sampling stats stream after it gave up on a lost connection
+let resumeSamplingStream = null;
+
+// Last seen progress of each worker, to highlight the rows that changed
+const workerStatus = {};
 
 /**
- * Initialize the Sampling Stats tab
+ * Initialize the sampling stats panel
  */
-export function initSamplingStatsTab() {
-  // Get initial sampling stats
-  getSamplingStats().catch(console.error);
-  
-  // Set up real-time stats
-  setupRealtimeSamplingStats();
-  
-  // Set up refresh button
-  const refreshStatsBtn = document.getElementById('refreshStatsBtn');
-  if (refreshStatsBtn) {
-    refreshStatsBtn.addEventListener('click', () => {
-      getSamplingStats().catch(console.error);
+export async function initSamplingStatsTab() {
+  // Refresh the stats once the node is back, and pick the stream up again if it gave up
+  onReconnect(async () => {
+    const stats = await getSamplingStats();
+    if (stats) {
+      updateSamplingStats(stats);
+    }
+    if (resumeSamplingStream) {
+      resumeSamplingStream();
+    }
+  });
+
+  // Fetch and display sampling stats
+  const samplingStats = await getSamplingStats();
+  if (!samplingStats) {
+    document.getElementById('samplingStats').textContent = 'Unable to fetch sampling stats. Is your light node running?';
+    return;
+  }
+
+  updateSamplingStats(samplingStats);
+
+  // Initialize real-time streaming for sampling stats
+  const isStreamingSupported = setupRealtimeSamplingStats();
+
+  // Fall back to polling if streaming is not supported
+  if (!isStreamingSupported) {
+    console.log('Falling back to polling for sampling stats');
+    setInterval(async () => {
+      const updatedStats = await getSamplingStats();
+      if (updatedStats) {
+        updateSamplingStats(updatedStats);
+      }
+    }, POLLING_INTERVAL);
+  }
+
+  // Add event listener for manual refresh button
+  const refreshButton = document.getElementById('refreshSamplingStats');
+  if (refreshButton) {
+    refreshButton.addEventListener('click', async () => {
+      // Show refresh animation on button
+      refreshButton.classList.add('rotating');
+
+      const updatedStats = await getSamplingStats();
+      if (updatedStats) {
+        updateSamplingStats(updatedStats);
+        showToast('Sampling stats refreshed');
+      } else {
+        showToast('Failed to refresh sampling stats');
+      }
+
+      setTimeout(() => {
+        refreshButton.classList.remove('rotating');
+      }, 500);
     });
   }
 }
 
 /**
  * Get DAS sampling stats
- * @returns {Promise<Object>} - The sampling stats
+ * @param {AbortSignal} signal - Optional signal that cancels the request
+ * @returns {Promise<Object|null>} - The sampling stats, or null if unavailable
  */
-export async function getSamplingStats() {
+export async function getSamplingStats(signal) {
   try {
-    const response = await sendRpcRequest('das.SamplingStats');
-    
-    if (response.result) {
-      samplingStats = response.result;
-      
-      // Update UI
-      updateSamplingStats(samplingStats);
-      
-      return samplingStats;
-    } else {
-      throw new Error('Invalid response from node');
+    const response = await sendRpcRequest('das.SamplingStats', [], { signal });
+
+    if (response.error) {
+      console.error('Sampling Stats API Error:', response.error);
+      throw new Error(`API Error: ${response.error.message}`);
+    }
+
+    if (!response.result) {
+      console.error('No result in Sampling Stats response:', response);
+      return null;
     }
+
+    return response.result;
   } catch (error) {
-    console.error('Error getting sampling stats:', error);
-    
-    // Update UI to show error
-    const statsContainer = document.getElementById('samplingStatsContainer');
-    if (statsContainer) {
-      statsContainer.innerHTML = `
-        <div class="alert alert-danger">
-          <i class="bi bi-exclamation-triangle-fill me-2"></i>
-          Error fetching sampling stats: ${error.message}
-        </div>
-      `;
+    if (!(error instanceof RequestAbortedError)) {
+      console.error('Error getting sampling stats:', error);
     }
-    
-    throw error;
+    return null;
   }
 }
 
 /**
- * Set up real-time sampling stats updates using EventSource
+ * Stream the sampling stats into the panel, with the LIVE button pausing and resuming the stream
+ * @returns {boolean} - False if streaming isn't supported and the caller should poll instead
  */
 function setupRealtimeSamplingStats() {
-  // Check if EventSource is supported
+  // Check if browser supports EventSource
   if (typeof EventSource === 'undefined') {
-    console.warn('EventSource is not supported in this browser. Real-time updates disabled.');
-    return;
+    console.warn('EventSource not supported in this browser. Falling back to polling.');
+    return false;
   }
   
-  // Close any existing connection
-  if (realtimeStatsSource) {
-    realtimeStatsSource.close();
-    realtimeStatsSource = null;
+  // Create a controller that will allow us to abort the fetch request
+  let controller = new AbortController();
+  let signal = controller.signal;
+  
+  // Create variables to handle reconnection attempts
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 5;
+  let reconnectTimeout = null;
+  
+  // Find the live button
+  const toggleStreamBtn = document.getElementById('toggleLiveButton');
+  let isStreaming = true; // Start with streaming enabled
+  
+  if (toggleStreamBtn) {
+    toggleStreamBtn.addEventListener('click', () => {
+      if (isStreaming) {
+        // Stop streaming
+        stopStreaming();
+        toggleStreamBtn.classList.remove('btn-success');
+        toggleStreamBtn.classList.add('btn-outline-success');
+        const indicatorDot = toggleStreamBtn.querySelector('.stream-indicator');
+        if (indicatorDot) {
+          indicatorDot.classList.remove('streaming');
+          // Reset to default color
+          indicatorDot.style.backgroundColor = '';
+          // Show pause icon
+          indicatorDot.innerHTML = '&#10074;&#10074;'; // Double vertical bar pause icon
+          indicatorDot.style.fontSize = '10px';
+          indicatorDot.style.display = 'flex';
+          indicatorDot.style.alignItems = 'center';
+          indicatorDot.style.justifyContent = 'center';
+          indicatorDot.style.color = '#28a745'; // Green color to match outline
+        }
+        const buttonText = toggleStreamBtn.querySelector('span:not(.stream-indicator)');
+        if (buttonText) buttonText.textContent = 'PAUSED';
+      } else {
+        // Restart streaming with a new controller
+        controller.abort(); // Make sure the old one is aborted
+        controller = new AbortController();
+        signal = controller.signal;
+        startStreaming();
+        toggleStreamBtn.classList.remove('btn-outline-success');
+        toggleStreamBtn.classList.add('btn-success');
+        const indicatorDot = toggleStreamBtn.querySelector('.stream-indicator');
+        if (indicatorDot) {
+          indicatorDot.classList.add('streaming');
+          // Make the indicator dot white to contrast with green button
+          indicatorDot.style.backgroundColor = '#ffffff';
+          // Remove pause icon
+          indicatorDot.innerHTML = '';
+          indicatorDot.style.fontSize = '';
+        }
+        const buttonText = toggleStreamBtn.querySelector('span:not(.stream-indicator)');
+        if (buttonText) buttonText.textContent = 'LIVE';
+      }
+      isStreaming = !isStreaming;
+    });
   }
   
-  try {
-    // Get the base URL from the WebSocket URL (replace ws:// with http://)
-    const baseUrl = window.location.origin;
-    const url = `${baseUrl}/api/sampling-stats/stream`;
-    
-    realtimeStatsSource = new EventSource(url);
-    
-    realtimeStatsSource.onopen = () => {
-      console.log('Real-time sampling stats connection established');
-    };
+  // Function to start streaming
+  const startStreaming = () => {
+    // Update Live button to show active streaming state
+    if (toggleStreamBtn) {
+      toggleStreamBtn.classList.remove('btn-outline-success');
+      toggleStreamBtn.classList.add('btn-success');
+      const indicatorDot = toggleStreamBtn.querySelector('.stream-indicator');
+      if (indicatorDot) {
+        indicatorDot.classList.add('streaming');
+        // Make the indicator dot white to contrast against the green button background
+        indicatorDot.style.backgroundColor = '#ffffff';
+        // Remove any pause icon
+        indicatorDot.innerHTML = '';
+        indicatorDot.style.fontSize = '';
+      }
+      const buttonText = toggleStreamBtn.querySelector('span:not(.stream-indicator)');
+      if (buttonText) buttonText.textContent = 'LIVE';
+    }
     
-    realtimeStatsSource.onmessage = (event) => {
+    // Start fetching sampling stats in a loop to simulate streaming
+    (async function streamStats() {
+      if (signal.aborted) return;
+      
       try {
-        const stats = JSON.parse(event.data);
-        updateSamplingStats(stats);
+        const stats = await getSamplingStats(signal);
+        if (stats) {
+          updateSamplingStats(stats);
+          reconnectAttempts = 0; // Reset reconnect attempts on success
+          
+          // Schedule the next update after a short delay (200ms for more real-time feel)
+          setTimeout(streamStats, 200);
+        } else {
+          throw new Error('Failed to get sampling stats');
+        }
       } catch (error) {
-        console.error('Error parsing real-time stats:', error);
+        // Streaming was paused while the request was in flight
+        if (signal.aborted) return;
+        
+        console.error('Streaming error:', error);
+        
+        // Update Live button to show disconnected state
+        if (toggleStreamBtn) {
+          toggleStreamBtn.classList.remove('btn-success', 'btn-outline-success');
+          toggleStreamBtn.classList.add('btn-outline-danger');
+          const indicatorDot = toggleStreamBtn.querySelector('.stream-indicator');
+          if (indicatorDot) {
+            indicatorDot.classList.remove('streaming');
+            indicatorDot.style.backgroundColor = '#dc3545';
+          }
+          const buttonText = toggleStreamBtn.querySelector('span:not(.stream-indicator)');
+          if (buttonText) buttonText.textContent = 'ERROR';
+        }
+        
+        // Try to reconnect if we haven't exceeded the maximum attempts
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * reconnectAttempts, 5000); // Exponential backoff up to 5 seconds
+          
+          showToast(`Connection lost. Reconnecting in ${delay/1000}s...`);
+          
+          reconnectTimeout = setTimeout(() => {
+            if (!signal.aborted) {
+              streamStats();
+            }
+          }, delay);
+        } else {
+          showToast('Could not reconnect to the streaming service. Streaming resumes once the node is back.');
+          
+          // Start over when the connection comes back
+          resumeSamplingStream = () => {
+            resumeSamplingStream = null;
+            reconnectAttempts = 0;
+            startStreaming();
+          };
+        }
       }
-    };
+    })();
     
-    realtimeStatsSource.onerror = (error) => {
-      console.error('Real-time sampling stats error:', error);
-      
-      // Close the connection on error
-      realtimeStatsSource.close();
-      realtimeStatsSource = null;
-      
-      // Try to reconnect after a delay
-      setTimeout(() => {
-        setupRealtimeSamplingStats();
-      }, 5000);
-    };
+    return true;
+  };
+  
+  // Function to stop streaming
+  const stopStreaming = () => {
+    // A paused stream stays paused after a reconnect
+    resumeSamplingStream = null;
+    controller.abort();
+    if (reconnectTimeout) {
+      clearTimeout(reconnectTimeout);
+    }
     
-    // Set up cleanup when leaving the page
-    window.addEventListener('beforeunload', () => {
-      if (realtimeStatsSource) {
-        realtimeStatsSource.close();
+    // Update Live button to show paused state
+    if (toggleStreamBtn) {
+      toggleStreamBtn.classList.remove('btn-success', 'btn-outline-danger');
+      toggleStreamBtn.classList.add('btn-outline-success');
+      const indicatorDot = toggleStreamBtn.querySelector('.stream-indicator');
+      if (indicatorDot) {
+        indicatorDot.classList.remove('streaming');
+        indicatorDot.style.backgroundColor = '';
+        // Show pause icon
+        indicatorDot.innerHTML = '&#10074;&#10074;'; // Double vertical bar pause icon
+        indicatorDot.style.fontSize = '10px';
+        indicatorDot.style.display = 'flex';
+        indicatorDot.style.alignItems = 'center';
+        indicatorDot.style.justifyContent = 'center';
+        indicatorDot.style.color = '#28a745'; // Green color to match outline
       }
-    });
-  } catch (error) {
-    console.error('Error setting up real-time sampling stats:', error);
-  }
-}
-
-/**
- * Update the sampling stats in the UI
- * @param {Object} stats - The sampling stats to display
- */
-export function updateSamplingStats(stats) {
-  const container = document.getElementById('samplingStatsContainer');
-  if (!container) return;
+      const buttonText = toggleStreamBtn.querySelector('span:not(.stream-indicator)');
+      if (buttonText) buttonText.textContent = 'PAUSED';
+    }
+  };
   
-  // Format the stats for display
-  const formattedStats = formatSamplingStats(stats);
+  // Start streaming immediately
+  startStreaming();
   
-  // Update the UI
-  container.innerHTML = `
-    <div class="row">
-      <div class="col-md-6">
-        <div class="card mb-3">
-          <div class="card-header">
-            <h5 class="mb-0">Sampling Overview</h5>
-          </div>
-          <div class="card-body">
-            <div class="d-flex justify-content-between mb-2">
-              <span>Total Samples:</span>
-              <span class="fw-bold">${formattedStats.totalSamples}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Sampling Rate:</span>
-              <span class="fw-bold">${formattedStats.samplingRate}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Concurrent Samples:</span>
-              <span class="fw-bold">${formattedStats.concurrentSamples}</span>
-            </div>
-            <div class="d-flex justify-content-between">
-              <span>Last Sampled Height:</span>
-              <span class="fw-bold">${formattedStats.lastSampledHeight}</span>
-            </div>
-          </div>
-        </div>
-      </div>
-      
-      <div class="col-md-6">
-        <div class="card mb-3">
-          <div class="card-header">
-            <h5 class="mb-0">Performance Metrics</h5>
-          </div>
-          <div class="card-body">
-            <div class="d-flex justify-content-between mb-2">
-              <span>Average Sample Time:</span>
-              <span class="fw-bold">${formattedStats.avgSampleTime}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Samples Per Second:</span>
-              <span class="fw-bold">${formattedStats.samplesPerSecond}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Cache Hit Rate:</span>
-              <span class="fw-bold">${formattedStats.cacheHitRate}</span>
-            </div>
-            <div class="d-flex justify-content-between">
-              <span>Network Overhead:</span>
-              <span class="fw-bold">${formattedStats.networkOverhead}</span>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-    
-    <div class="card mb-3">
-      <div class="card-header">
-        <h5 class="mb-0">Recent Sampling Activity</h5>
-      </div>
-      <div class="card-body p-0">
-        <div class="table-responsive">
-          <table class="table table-striped table-hover mb-0">
-            <thead>
-              <tr>
-                <th>Height</th>
-                <th>Namespace</th>
-                <th>Samples</th>
-                <th>Duration</th>
-                <th>Status</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${formattedStats.recentActivity}
-            </tbody>
-          </table>
-        </div>
-      </div>
-    </div>
-    
-    <div class="row">
-      <div class="col-md-6">
-        <div class="card mb-3">
-          <div class="card-header">
-            <h5 class="mb-0">Error Statistics</h5>
-          </div>
-          <div class="card-body">
-            <div class="d-flex justify-content-between mb-2">
-              <span>Total Errors:</span>
-              <span class="fw-bold">${formattedStats.totalErrors}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Error Rate:</span>
-              <span class="fw-bold">${formattedStats.errorRate}</span>
-            </div>
-            <div class="d-flex justify-content-between">
-              <span>Most Common Error:</span>
-              <span class="fw-bold">${formattedStats.mostCommonError}</span>
-            </div>
-          </div>
-        </div>
-      </div>
-      
-      <div class="col-md-6">
-        <div class="card mb-3">
-          <div class="card-header">
-            <h5 class="mb-0">Network Statistics</h5>
-          </div>
-          <div class="card-body">
-            <div class="d-flex justify-content-between mb-2">
-              <span>Total Bytes Received:</span>
-              <span class="fw-bold">${formattedStats.totalBytesReceived}</span>
-            </div>
-            <div class="d-flex justify-content-between mb-2">
-              <span>Average Response Size:</span>
-              <span class="fw-bold">${formattedStats.avgResponseSize}</span>
-            </div>
-            <div class="d-flex justify-content-between">
-              <span>Peer Response Rate:</span>
-              <span class="fw-bold">${formattedStats.peerResponseRate}</span>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-    
-    <div class="text-muted mt-3">
-      <small>Last updated: ${formattedStats.lastUpdated}</small>
-    </div>
-  `;
+  return true;
 }
 
 /**
- * Format sampling stats for display
- * @param {Object} stats - The raw sampling stats
- * @returns {Object} - Formatted stats for display
+ * Update the sampling stats in the UI, highlighting the values that changed
+ * @param {Object} stats - Sampling stats from das.SamplingStats
  */
-function formatSamplingStats(stats) {
-  // Default values for when stats are missing
-  const defaultStats = {
-    totalSamples: 'N/A',
-    samplingRate: 'N/A',
-    concurrentSamples: 'N/A',
-    lastSampledHeight: 'N/A',
-    avgSampleTime: 'N/A',
-    samplesPerSecond: 'N/A',
-    cacheHitRate: 'N/A',
-    networkOverhead: 'N/A',
-    totalErrors: 'N/A',
-    errorRate: 'N/A',
-    mostCommonError: 'None',
-    totalBytesReceived: 'N/A',
-    avgResponseSize: 'N/A',
-    peerResponseRate: 'N/A',
-    recentActivity: '<tr><td colspan="5" class="text-center">No recent activity</td></tr>',
-    lastUpdated: new Date().toLocaleString()
+function updateSamplingStats(stats) {
+  // Helper function to update a value with animation if it changed
+  const updateValueWithAnimation = (elementId, newValue) => {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+    
+    const currentValue = element.textContent;
+    if (currentValue !== String(newValue)) {
+      // Value changed, add animation
+      element.textContent = newValue;
+      element.classList.remove('value-changed');
+      // Force reflow to restart animation
+      void element.offsetWidth;
+      element.classList.add('value-changed');
+    }
   };
   
-  // Return default stats if no stats provided
-  if (!stats) {
-    return defaultStats;
+  // Update the main stats elements with animation
+  updateValueWithAnimation('headOfSampledChain', stats.head_of_sampled_chain);
+  updateValueWithAnimation('headOfCatchup', stats.head_of_catchup);
+  updateValueWithAnimation('networkHeadHeight', stats.network_head_height);
+  
+  // Update the last updated timestamp
+  const now = new Date();
+  const timeString = now.toLocaleTimeString(undefined, { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  document.getElementById('lastUpdatedTime').textContent = timeString;
+  
+  // Update catch-up status
+  const catchupStatus = document.getElementById('catchupStatus');
+  const prevStatus = catchupStatus.textContent;
+  let newStatus;
+  
+  if (stats.catch_up_done) {
+    newStatus = 'Complete';
+    catchupStatus.style.color = '#28a745'; // Green for completed
+  } else if (stats.is_running) {
+    newStatus = 'In Progress';
+    catchupStatus.style.color = '#007bff'; // Blue for in progress
+  } else {
+    newStatus = 'Not Running';
+    catchupStatus.style.color = '#dc3545'; // Red for not running
   }
   
-  // Format recent activity if available
-  let recentActivity = defaultStats.recentActivity;
-  if (stats.recent_samples && stats.recent_samples.length > 0) {
-    recentActivity = stats.recent_samples.map(sample => {
-      return `
-        <tr>
-          <td>${sample.height || 'N/A'}</td>
-          <td>${formatNamespace(sample.namespace) || 'N/A'}</td>
-          <td>${sample.count || 'N/A'}</td>
-          <td>${formatDuration(sample.duration) || 'N/A'}</td>
-          <td>${formatStatus(sample.status) || 'N/A'}</td>
-        </tr>
-      `;
-    }).join('');
+  if (prevStatus !== newStatus) {
+    catchupStatus.textContent = newStatus;
+    catchupStatus.classList.remove('value-changed');
+    void catchupStatus.offsetWidth;
+    catchupStatus.classList.add('value-changed');
   }
   
-  // Format cache hit rate if available
-  let cacheHitRate = defaultStats.cacheHitRate;
-  if (stats.cache_hits !== undefined && stats.cache_misses !== undefined) {
-    const total = stats.cache_hits + stats.cache_misses;
-    if (total > 0) {
-      const rate = (stats.cache_hits / total) * 100;
-      cacheHitRate = `${rate.toFixed(2)}%`;
-    }
+  // Calculate sync progress percentage
+  const progressBar = document.getElementById('syncProgressBar');
+  const behindBlocks = stats.network_head_height - stats.head_of_sampled_chain;
+  const totalBlocks = stats.network_head_height;
+  let progressPercent = 0;
+  
+  if (totalBlocks > 0) {
+    progressPercent = Math.min(100, Math.max(0, ((totalBlocks - behindBlocks) / totalBlocks) * 100));
+    progressPercent = Math.round(progressPercent * 10) / 10; // Round to 1 decimal place
   }
   
-  // Format error rate if available
-  let errorRate = defaultStats.errorRate;
-  if (stats.total_errors !== undefined && stats.total_samples !== undefined) {
-    if (stats.total_samples > 0) {
-      const rate = (stats.total_errors / stats.total_samples) * 100;
-      errorRate = `${rate.toFixed(2)}%`;
+  // Get the current progress
+  const currentProgress = parseFloat(progressBar.getAttribute('aria-valuenow') || '0');
+  
+  // Update the progress bar only if the value changed significantly (more than 0.1%)
+  if (Math.abs(progressPercent - currentProgress) > 0.1) {
+    // Ensure we show at least a tiny bit of the progress bar even at 0%
+    const displayWidth = progressPercent === 0 ? '0.5%' : `${progressPercent}%`;
+    progressBar.style.width = displayWidth;
+    progressBar.setAttribute('aria-valuenow', progressPercent);
+    
+    // Only add percentage text for wider progress bars
+    progressBar.innerHTML = progressPercent > 10 ? `<span class="ms-auto d-flex align-items-center h-100">${progressPercent}%</span>` : '';
+    
+    // Set progress bar color based on completion percentage
+    if (progressPercent >= 90) {
+      progressBar.classList.remove('bg-warning', 'bg-danger');
+      progressBar.classList.add('bg-success');
+    } else if (progressPercent >= 50) {
+      progressBar.classList.remove('bg-success', 'bg-danger');
+      progressBar.classList.add('bg-warning');
+    } else {
+      progressBar.classList.remove('bg-success', 'bg-warning');
+      progressBar.classList.add('bg-danger');
+    }
+    
+    // Adjust the percentage text color based on the progress bar color
+    const percentText = progressBar.querySelector('span');
+    if (percentText) {
+      if (progressBar.classList.contains('bg-warning')) {
+        percentText.style.color = '#333';
+      } else {
+        percentText.style.color = '#fff';
+      }
     }
   }
   
-  // Return formatted stats
-  return {
-    totalSamples: stats.total_samples !== undefined ? stats.total_samples.toLocaleString() : defaultStats.totalSamples,
-    samplingRate: stats.sampling_rate !== undefined ? `${stats.sampling_rate.toFixed(2)} samples/block` : defaultStats.samplingRate,
-    concurrentSamples: stats.concurrent_samples !== undefined ? stats.concurrent_samples : defaultStats.concurrentSamples,
-    lastSampledHeight: stats.last_sampled_height !== undefined ? stats.last_sampled_height.toLocaleString() : defaultStats.lastSampledHeight,
-    avgSampleTime: stats.avg_sample_time !== undefined ? formatDuration(stats.avg_sample_time) : defaultStats.avgSampleTime,
-    samplesPerSecond: stats.samples_per_second !== undefined ? stats.samples_per_second.toFixed(2) : defaultStats.samplesPerSecond,
-    cacheHitRate,
-    networkOverhead: stats.network_overhead !== undefined ? formatBytes(stats.network_overhead) + '/s' : defaultStats.networkOverhead,
-    totalErrors: stats.total_errors !== undefined ? stats.total_errors.toLocaleString() : defaultStats.totalErrors,
-    errorRate,
-    mostCommonError: stats.most_common_error || defaultStats.mostCommonError,
-    totalBytesReceived: stats.total_bytes_received !== undefined ? formatBytes(stats.total_bytes_received) : defaultStats.totalBytesReceived,
-    avgResponseSize: stats.avg_response_size !== undefined ? formatBytes(stats.avg_response_size) : defaultStats.avgResponseSize,
-    peerResponseRate: stats.peer_response_rate !== undefined ? `${(stats.peer_response_rate * 100).toFixed(2)}%` : defaultStats.peerResponseRate,
-    recentActivity,
-    lastUpdated: new Date().toLocaleString()
-  };
-}
-
-/**
- * Format a namespace for display
- * @param {string} namespace - The namespace to format
- * @returns {string} - Formatted namespace
- */
-function formatNamespace(namespace) {
-  if (!namespace) return 'N/A';
+  // Update workers count
+  updateValueWithAnimation('workersCount', stats.concurrency);
   
-  // Truncate long namespaces
-  if (namespace.length > 12) {
-    return namespace.substring(0, 6) + '...' + namespace.substring(namespace.length - 6);
-  }
+  // Update workers details
+  const workersDetails = document.getElementById('workersDetails');
   
-  return namespace;
-}
-
-/**
- * Format a duration in milliseconds for display
- * @param {number} ms - Duration in milliseconds
- * @returns {string} - Formatted duration
- */
-function formatDuration(ms) {
-  if (ms === undefined || ms === null) return 'N/A';
+  // Get existing worker rows if available
+  const existingTable = workersDetails.querySelector('table');
+  const existingTbody = existingTable ? existingTable.querySelector('tbody') : null;
   
-  if (ms < 1000) {
-    return `${ms.toFixed(2)} ms`;
+  if (stats.workers && stats.workers.length > 0) {
+    // Remove the no-active-workers class if it exists
+    workersDetails.classList.remove('no-active-workers');
+    
+    // Create or reuse the table
+    let table, tbody;
+    
+    if (existingTable) {
+      // Reuse the existing table
+      table = existingTable;
+      tbody = existingTbody;
+      // Clear only the tbody for reuse
+      tbody.innerHTML = '';
+    } else {
+      // Create a new table
+      workersDetails.innerHTML = ''; // Clear previous content
+      table = document.createElement('table');
+      table.className = 'table table-sm table-striped';
+      
+      // Create table header
+      const thead = document.createElement('thead');
+      thead.innerHTML = `
+        <tr>
+          <th>Job Type</th>
+          <th>Current</th>
+          <th>From</th>
+          <th>To</th>
+          <th>Progress</th>
+        </tr>
+      `;
+      table.appendChild(thead);
+      
+      // Create table body
+      tbody = document.createElement('tbody');
+      table.appendChild(tbody);
+      workersDetails.appendChild(table);
+    }
+    
+    // Add/update rows for each worker
+    stats.workers.forEach(worker => {
+      // Create a unique ID for this worker
+      const workerId = `${worker.job_type}-${worker.from}-${worker.to}`;
+      
+      // Calculate worker progress
+      const workerTotal = worker.to - worker.from + 1;
+      const workerProgress = worker.current - worker.from + 1;
+      const workerPercent = workerTotal > 0 ? Math.min(100, Math.round((workerProgress / workerTotal) * 100)) : 0;
+      
+      // Check if this is a new value
+      const isNewValue = !workerStatus[workerId] || 
+                          workerStatus[workerId].current !== worker.current ||
+                          workerStatus[workerId].percent !== workerPercent;
+      
+      // Update the tracking object
+      workerStatus[workerId] = {
+        current: worker.current,
+        percent: workerPercent
+      };
+      
+      const row = document.createElement('tr');
+      
+      // Add animation class if this is a value change
+      if (isNewValue) {
+        row.classList.add('value-changed');
+      }
+      
+      row.innerHTML = html`
+        <td>${worker.job_type}</td>
+        <td>${worker.current}</td>
+        <td>${worker.from}</td>
+        <td>${worker.to}</td>
+        <td>
+          <div class="progress" style="height: 10px;">
+            <div class="progress-bar" role="progressbar" style="width: ${workerPercent}%" 
+                 aria-valuenow="${workerPercent}" aria-valuemin="0" aria-valuemax="100"></div>
+          </div>
+          <span class="small">${workerPercent}%</span>
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+    
+    // Clean up any workers that no longer exist
+    const currentWorkerIds = stats.workers.map(w => `${w.job_type}-${w.from}-${w.to}`);
+    for (const id in workerStatus) {
+      if (!currentWorkerIds.includes(id)) {
+        delete workerStatus[id];
+      }
+    }
   } else {
-    return `${(ms / 1000).toFixed(2)} s`;
+    workersDetails.textContent = 'No active workers';
+    workersDetails.classList.add('no-active-workers');
   }
-}
-
-/**
- * Format a status for display
- * @param {string} status - The status to format
- * @returns {string} - Formatted status with icon
- */
-function formatStatus(status) {
-  if (!status) return 'N/A';
   
-  switch (status.toLowerCase()) {
-    case 'success':
-      return '<span class="text-success"><i class="bi bi-check-circle-fill me-1"></i>Success</span>';
-    case 'error':
-      return '<span class="text-danger"><i class="bi bi-x-circle-fill me-1"></i>Error</span>';
-    case 'timeout':
-      return '<span class="text-warning"><i class="bi bi-exclamation-triangle-fill me-1"></i>Timeout</span>';
-    case 'in_progress':
-      return '<span class="text-info"><i class="bi bi-arrow-repeat me-1"></i>In Progress</span>';
-    default:
-      return status;
-  }
-}
-
-/**
- * Format bytes for display
- * @param {number} bytes - The number of bytes
- * @returns {string} - Formatted bytes
- */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  if (!bytes) return 'N/A';
+  // Update overall status
+  const samplingStats = document.getElementById('samplingStats');
+  const prevSyncStatus = samplingStats.textContent;
+  let newSyncStatus;
   
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  if (behindBlocks <= 100) {
+    newSyncStatus = `Synced (${behindBlocks} blocks behind head)`;
+  } else {
+    newSyncStatus = `Syncing... (${behindBlocks} blocks behind head)`;
+  }
   
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  if (prevSyncStatus !== newSyncStatus) {
+    samplingStats.textContent = newSyncStatus;
+    samplingStats.classList.remove('value-changed');
+    void samplingStats.offsetWidth;
+    samplingStats.classList.add('value-changed');
+  }
 }
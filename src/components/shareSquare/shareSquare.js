@@ -0,0 +1,243 @@
+import { getSquareLayout, SHARE_CATEGORIES } from '../../services/shareSquare.js';
+import { CONTINUATION_SHARE_CAPACITY } from '../../utils/shares.js';
+import { showToast, formatBytes } from '../../utils/common.js';
+
+// Largest side of the square drawing in pixels, cells shrink to fit down to one pixel
+const MAX_CANVAS_SIZE = 512;
+
+// Colors and legend labels of the share categories
+const CATEGORY_STYLES = {
+  [SHARE_CATEGORIES.NAMESPACE]: { color: '#7b2bf9', label: 'This namespace' },
+  [SHARE_CATEGORIES.NAMESPACE_PADDING]: { color: '#c9a8fc', label: 'Namespace padding' },
+  [SHARE_CATEGORIES.OTHER_BLOB]: { color: '#4a90d9', label: 'Other blobs' },
+  [SHARE_CATEGORIES.RESERVED]: { color: '#f0a030', label: 'Reserved (transactions, PFBs)' },
+  [SHARE_CATEGORIES.PRIMARY_PADDING]: { color: '#e8d28a', label: 'Reserved padding' },
+  [SHARE_CATEGORIES.TAIL_PADDING]: { color: '#d0d0d0', label: 'Tail padding' },
+  [SHARE_CATEGORIES.PARITY]: { color: '#6c757d', label: 'Parity' },
+  [SHARE_CATEGORIES.UNKNOWN]: { color: '#eef0f3', label: 'Not fetched' }
+};
+
+// Outline of the shown blob's shares
+const SELECTED_COLOR = '#dc3545';
+
+// Blob the panel lays out, set when a blob is shown
+let squareTarget = null;
+
+// Last layout drawn and its cell size in pixels
+let squareLayout = null;
+let cellSize = 1;
+
+/**
+ * Initialize the share square panel of retrieved blobs
+ */
+export function initShareSquarePanel() {
+  const loadBtn = document.getElementById('loadShareSquareBtn');
+  if (!loadBtn) return;
+
+  loadBtn.addEventListener('click', loadSquare);
+
+  const canvas = document.getElementById('shareSquareCanvas');
+  canvas.addEventListener('mousemove', (event) => showHoveredShare(canvas, event));
+  canvas.addEventListener('mouseleave', () => {
+    document.getElementById('shareSquareHover').textContent = 'Hover over a share to see where it is.';
+  });
+}
+
+/**
+ * Point the panel at a blob, clearing the previous layout
+ * @param {Object} target - Object with height, namespace (base64) and index (share index of the blob, if known) properties
+ */
+export function setShareSquareTarget(target) {
+  squareTarget = target && target.namespace ? target : null;
+  squareLayout = null;
+
+  const status = document.getElementById('shareSquareStatus');
+  if (!status) return;
+
+  status.className = 'text-muted';
+  status.textContent = squareTarget
+    ? `Lay out the data square of block ${squareTarget.height} to see where this namespace's shares are.`
+    : 'This blob has no namespace to look for.';
+  document.getElementById('shareSquareDetails').style.display = 'none';
+  document.getElementById('loadShareSquareBtn').disabled = !squareTarget;
+}
+
+/**
+ * Fetch the layout of the target height and show it
+ */
+async function loadSquare() {
+  if (!squareTarget) return;
+
+  const loadBtn = document.getElementById('loadShareSquareBtn');
+  const status = document.getElementById('shareSquareStatus');
+  const full = document.getElementById('shareSquareFull').checked;
+  const target = squareTarget;
+
+  loadBtn.disabled = true;
+  status.className = 'text-muted';
+  status.textContent = full ? 'Fetching the header and every share...' : "Fetching the header and the namespace's shares...";
+
+  try {
+    const layout = await getSquareLayout(target.height, target.namespace, { full });
+
+    // Drop the layout if another blob was shown in the meantime
+    if (squareTarget !== target) return;
+
+    squareLayout = layout;
+    status.className = 'text-muted small';
+    status.textContent = `Block ${layout.height}: ${layout.squareSize}x${layout.squareSize} original square, ${layout.width}x${layout.width} extended.`
+      + (layout.full ? '' : ' Only this namespace was fetched, check "Every share" to classify the rest of the square.');
+
+    drawSquare(layout, target.index);
+    showLegend(layout);
+    showUsage(layout, target.index);
+    document.getElementById('shareSquareDetails').style.display = 'block';
+  } catch (error) {
+    console.error('Error laying out share square:', error);
+    if (squareTarget !== target) return;
+
+    status.className = 'alert alert-danger mb-0';
+    status.textContent = `Failed: ${error.message}`;
+    showToast(`Error: ${error.message}`);
+  } finally {
+    loadBtn.disabled = !squareTarget;
+  }
+}
+
+/**
+ * Draw the extended square, outlining the shares of the shown blob
+ * @param {Object} layout - Layout from getSquareLayout
+ * @param {number} selectedIndex - Share index of the shown blob in the original square, if known
+ */
+function drawSquare(layout, selectedIndex) {
+  const canvas = document.getElementById('shareSquareCanvas');
+  cellSize = Math.max(1, Math.floor(MAX_CANVAS_SIZE / layout.width));
+  canvas.width = layout.width * cellSize;
+  canvas.height = layout.width * cellSize;
+
+  const context = canvas.getContext('2d');
+  // Leave a gap between cells once they are big enough to tell apart
+  const gap = cellSize >= 4 ? 1 : 0;
+
+  layout.cells.forEach((category, cellIndex) => {
+    const row = Math.floor(cellIndex / layout.width);
+    const column = cellIndex % layout.width;
+    context.fillStyle = CATEGORY_STYLES[category].color;
+    context.fillRect(column * cellSize, row * cellSize, cellSize - gap, cellSize - gap);
+  });
+
+  const selectedBlob = layout.blobs.find(blob => blob.index === selectedIndex);
+  if (selectedBlob) {
+    context.strokeStyle = SELECTED_COLOR;
+    context.lineWidth = Math.max(1, Math.floor(cellSize / 4));
+    for (let offset = 0; offset < selectedBlob.shares; offset++) {
+      const shareIndex = selectedBlob.index + offset;
+      const row = Math.floor(shareIndex / layout.squareSize);
+      const column = shareIndex % layout.squareSize;
+      context.strokeRect(column * cellSize, row * cellSize, cellSize, cellSize);
+    }
+  }
+}
+
+/**
+ * Show the colors of the categories with the number of shares in each
+ * @param {Object} layout - Layout from getSquareLayout
+ */
+function showLegend(layout) {
+  const legend = document.getElementById('shareSquareLegend');
+  legend.innerHTML = '';
+
+  Object.entries(CATEGORY_STYLES).forEach(([category, style]) => {
+    const count = layout.counts[category] || 0;
+    if (count === 0) return;
+
+    const item = document.createElement('span');
+    item.className = 'share-legend-item';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'share-legend-swatch';
+    swatch.style.backgroundColor = style.color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(`${style.label}: ${count.toLocaleString()}`));
+
+    legend.appendChild(item);
+  });
+}
+
+/**
+ * Show the position and category of the share under the pointer
+ * @param {HTMLCanvasElement} canvas - Square drawing
+ * @param {MouseEvent} event - Mouse move over the drawing
+ */
+function showHoveredShare(canvas, event) {
+  if (!squareLayout) return;
+
+  // The drawing may be scaled down to fit the page
+  const rect = canvas.getBoundingClientRect();
+  const scale = canvas.width / rect.width;
+  const column = Math.floor(((event.clientX - rect.left) * scale) / cellSize);
+  const row = Math.floor(((event.clientY - rect.top) * scale) / cellSize);
+  if (row < 0 || column < 0 || row >= squareLayout.width || column >= squareLayout.width) return;
+
+  const cellIndex = row * squareLayout.width + column;
+  const parts = [`Row ${row}, column ${column}`, CATEGORY_STYLES[squareLayout.cells[cellIndex]].label];
+  if (row < squareLayout.squareSize && column < squareLayout.squareSize) {
+    parts.push(`share index ${row * squareLayout.squareSize + column}`);
+  }
+  if (squareLayout.namespaces && squareLayout.namespaces[cellIndex]) {
+    parts.push(`namespace ${squareLayout.namespaces[cellIndex]}`);
+  }
+
+  document.getElementById('shareSquareHover').textContent = parts.join(', ');
+}
+
+/**
+ * Show how the namespace's blobs at the height fill their shares
+ * @param {Object} layout - Layout from getSquareLayout
+ * @param {number} selectedIndex - Share index of the shown blob, if known
+ */
+function showUsage(layout, selectedIndex) {
+  const tbody = document.getElementById('shareUsageRows');
+  tbody.innerHTML = '';
+
+  layout.blobs.forEach(blob => {
+    const row = document.createElement('tr');
+    if (blob.index !== undefined && blob.index === selectedIndex) {
+      row.className = 'table-active';
+    }
+
+    const cells = [
+      blob.index !== undefined ? String(blob.index) : '-',
+      formatBytes(blob.size),
+      String(blob.shares),
+      formatBytes(blob.capacity),
+      formatBytes(blob.spare),
+      `${(blob.utilization * 100).toFixed(1)}%`,
+      blob.commitment || 'N/A'
+    ];
+    cells.forEach((text, cellIndex) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (cellIndex === 6) {
+        cell.className = 'result-value commitment-cell';
+      }
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+
+  const summary = document.getElementById('shareUsageSummary');
+  if (layout.blobs.length === 0) {
+    summary.textContent = 'The namespace has no blobs at this height.';
+    return;
+  }
+
+  const totalSize = layout.blobs.reduce((sum, blob) => sum + blob.size, 0);
+  const totalShares = layout.blobs.reduce((sum, blob) => sum + blob.shares, 0);
+  const totalSpare = layout.blobs.reduce((sum, blob) => sum + blob.spare, 0);
+  const squareShares = layout.squareSize * layout.squareSize;
+  summary.textContent = `${layout.blobs.length} blobs, ${formatBytes(totalSize)} in ${totalShares} shares `
+    + `(${((totalShares / squareShares) * 100).toFixed(1)}% of the original square). `
+    + `${formatBytes(totalSpare)} more would fit in the same shares, and each further share holds ${CONTINUATION_SHARE_CAPACITY} bytes.`;
+}
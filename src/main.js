@@ -1,25 +1,53 @@
 import { initTheme } from './utils/theme.js';
 import { connectWebSocket } from './services/websocket.js';
 import { setupTabNavigation } from './utils/navigation.js';
+import { initConnectionSettings } from './components/connectionSettings/connectionSettings.js';
+import { initConnectionStatus } from './components/connectionStatus/connectionStatus.js';
 import { initNodeInfoTab } from './components/nodeInfo/nodeInfo.js';
 import { initSamplingStatsTab } from './components/samplingStats/samplingStats.js';
 import { initBlobPosterTab } from './components/blobPoster/blobPoster.js';
+import { initBlobComposer } from './components/blobComposer/blobComposer.js';
+import { initBlobViewer } from './components/blobViewer/blobViewer.js';
+import { initInclusionProofPanel } from './components/inclusionProof/inclusionProof.js';
+import { initShareSquarePanel } from './components/shareSquare/shareSquare.js';
+import { initNamespaceWatch } from './components/namespaceWatch/namespaceWatch.js';
+import { initFeeEstimator } from './components/feeEstimator/feeEstimator.js';
+import { initNamespaceExplorer } from './components/namespaceExplorer/namespaceExplorer.js';
+import { initHistoryTab } from './components/history/history.js';
+import { initAddressBookTab } from './components/addressBook/addressBook.js';
 import { initDatabaseTab } from './components/database/database.js';
 
 // Initialize the application when the DOM is loaded
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', () => {
   // Initialize theme
   initTheme();
-  
+
+  // Show the connection state in the header and Node Info tab
+  initConnectionStatus();
+
   // Connect to WebSocket
   connectWebSocket();
-  
+
+  // Set up the connection settings panel
+  initConnectionSettings();
+
   // Set up tab navigation
   setupTabNavigation();
-  
+
   // Initialize all tab components
-  initNodeInfoTab();
-  initSamplingStatsTab();
   initBlobPosterTab();
+  initBlobComposer();
+  initBlobViewer();
+  initInclusionProofPanel();
+  initShareSquarePanel();
+  initNamespaceWatch();
+  initFeeEstimator();
+  initNamespaceExplorer();
+  initHistoryTab();
+  initAddressBookTab();
   initDatabaseTab();
+
+  // These wait for the node before filling in their data
+  initNodeInfoTab();
+  initSamplingStatsTab();
 });
@@ -0,0 +1,270 @@
+/**
+ * Namespace address book: labelled namespaces kept in localStorage, for autocomplete and reuse
+ */
+import {
+  validateNamespace,
+  namespaceInputToBase64,
+  namespaceFromBase64,
+  namespaceToHex,
+  namespaceIdToHex,
+  NAMESPACE_VERSION_ZERO_ID_SIZE
+} from '../utils/namespace.js';
+import { getActiveNetwork } from './networks.js';
+
+// LocalStorage key
+const ADDRESS_BOOK_KEY = 'celestia_address_book';
+
+// Version of the export format
+const EXPORT_VERSION = 1;
+
+const listeners = new Set();
+
+/**
+ * Get every saved namespace
+ * @returns {Array<Object>} - Entries sorted by label, each with base64, hex, idHex, label, notes, tags, lastSeen (height per network ID), createdAt and updatedAt properties
+ */
+export function getAddressBook() {
+  return loadEntries().sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Find the saved entry of a namespace
+ * @param {string} base64 - Base64 encoded namespace
+ * @returns {Object|undefined} - The entry, if the namespace is saved
+ */
+export function findAddressBookEntry(base64) {
+  return loadEntries().find(entry => entry.base64 === base64);
+}
+
+/**
+ * Save a namespace, replacing the label, notes and tags of an existing entry
+ * @param {Object} details - Object with namespace (hex or base64), label, and optionally notes and tags (array or comma separated) properties
+ * @returns {Object} - The saved entry
+ */
+export function saveAddressBookEntry({ namespace, label, notes = '', tags = [] }) {
+  if (!namespace || !namespace.trim()) {
+    throw new Error('Namespace is required');
+  }
+
+  const base64 = namespaceInputToBase64(namespace);
+  const validation = validateNamespace(base64);
+  if (!validation.valid) {
+    throw new Error(`Invalid namespace: ${validation.error}`);
+  }
+
+  const entries = loadEntries();
+  const existing = entries.find(entry => entry.base64 === base64);
+  const forms = describeNamespace(base64);
+  const now = new Date().toISOString();
+
+  const entry = {
+    ...forms,
+    label: (label || '').trim() || (existing ? existing.label : forms.idHex),
+    notes: notes.trim(),
+    tags: normalizeTags(tags),
+    lastSeen: existing ? existing.lastSeen : {},
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  storeEntries([...entries.filter(other => other.base64 !== base64), entry]);
+  return entry;
+}
+
+/**
+ * Remove a namespace from the address book
+ * @param {string} base64 - Base64 encoded namespace
+ */
+export function removeAddressBookEntry(base64) {
+  storeEntries(loadEntries().filter(entry => entry.base64 !== base64));
+}
+
+/**
+ * Record that a saved namespace had a blob at a height of the active network. Namespaces that aren't
+ * saved are ignored.
+ * @param {string} base64 - Base64 encoded namespace
+ * @param {number|string} height - Block height
+ */
+export function recordNamespaceSeen(base64, height) {
+  const heightValue = parseInt(height, 10);
+  if (isNaN(heightValue)) return;
+
+  const entries = loadEntries();
+  const entry = entries.find(other => other.base64 === base64);
+  const lastSeenHeight = entry ? getLastSeenHeight(entry) : null;
+  if (!entry || (lastSeenHeight !== null && lastSeenHeight >= heightValue)) return;
+
+  entry.lastSeen = { ...entry.lastSeen, [getActiveNetwork().id]: heightValue };
+  storeEntries(entries);
+}
+
+/**
+ * Get the last height a blob was seen in a saved namespace on the active network
+ * @param {Object} entry - Address book entry
+ * @returns {number|null} - Block height, or null if no blob was seen on this network
+ */
+export function getLastSeenHeight(entry) {
+  const height = entry.lastSeen[getActiveNetwork().id];
+  return height !== undefined ? height : null;
+}
+
+/**
+ * Listen for the address book changing
+ * @param {Function} listener - Called after an entry is saved, removed, seen or imported
+ * @returns {Function} - Function that removes the listener
+ */
+export function onAddressBookChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Check whether an entry matches a filter
+ * @param {Object} entry - Address book entry
+ * @param {string} filter - Text to look for in the label, namespace, notes or tags
+ * @returns {boolean} - True if the entry matches, or the filter is empty
+ */
+export function addressBookEntryMatches(entry, filter) {
+  const query = filter.trim().toLowerCase();
+  if (!query) return true;
+
+  return [entry.label, entry.hex, entry.idHex, entry.base64, entry.notes, ...entry.tags]
+    .some(value => value && value.toLowerCase().includes(query));
+}
+
+/**
+ * Get the form of a saved namespace that hex fields take: the user ID of version 0 namespaces,
+ * which is what explorers show, or the full namespace
+ * @param {Object} entry - Address book entry
+ * @returns {string} - Hex namespace
+ */
+export function getEntryHexInput(entry) {
+  return entry.idHex.length === NAMESPACE_VERSION_ZERO_ID_SIZE * 2 ? entry.idHex : entry.hex;
+}
+
+/**
+ * Export the address book as JSON
+ * @returns {string} - Pretty printed JSON with version, exportedAt and namespaces properties
+ */
+export function exportAddressBook() {
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), namespaces: getAddressBook() }, null, 2);
+}
+
+/**
+ * Merge an exported address book into this one. Imported labels, notes and tags replace those of
+ * namespaces already saved, and the later of the two last-seen heights of each network is kept.
+ * @param {string} json - JSON from exportAddressBook, or a bare array of entries
+ * @returns {Object} - Object with added, updated and skipped (entries without a valid namespace) counts
+ */
+export function importAddressBook(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const imported = Array.isArray(parsed) ? parsed : parsed && parsed.namespaces;
+  if (!Array.isArray(imported)) {
+    throw new Error('The file has no namespaces list');
+  }
+
+  const entries = new Map(loadEntries().map(entry => [entry.base64, entry]));
+  const result = { added: 0, updated: 0, skipped: 0 };
+  const now = new Date().toISOString();
+
+  imported.forEach(item => {
+    let base64;
+    try {
+      base64 = namespaceInputToBase64(String(item.base64 || item.hex || item.namespace || ''));
+      if (!validateNamespace(base64).valid) throw new Error('Invalid namespace');
+    } catch (error) {
+      result.skipped++;
+      return;
+    }
+
+    const existing = entries.get(base64);
+    const lastSeen = { ...(existing ? existing.lastSeen : {}) };
+    Object.entries(normalizeLastSeen(item.lastSeen)).forEach(([networkId, height]) => {
+      lastSeen[networkId] = Math.max(height, lastSeen[networkId] || 0);
+    });
+
+    const forms = describeNamespace(base64);
+    entries.set(base64, {
+      ...forms,
+      label: String(item.label || (existing && existing.label) || forms.idHex).trim(),
+      notes: String(item.notes || (existing && existing.notes) || '').trim(),
+      tags: normalizeTags(item.tags || (existing && existing.tags) || []),
+      lastSeen,
+      createdAt: (existing && existing.createdAt) || item.createdAt || now,
+      updatedAt: now
+    });
+    result[existing ? 'updated' : 'added']++;
+  });
+
+  storeEntries(Array.from(entries.values()));
+  return result;
+}
+
+/**
+ * Get the forms of a namespace the address book keeps
+ * @param {string} base64 - Base64 encoded namespace
+ * @returns {Object} - Object with base64, hex (full namespace) and idHex (the ID as explorers show it) properties
+ */
+function describeNamespace(base64) {
+  const namespace = namespaceFromBase64(base64);
+  return { base64, hex: namespaceToHex(namespace), idHex: namespaceIdToHex(namespace) };
+}
+
+/**
+ * Clean up tags entered as a list or comma separated text
+ * @param {Array<string>|string} tags - Tags
+ * @returns {Array<string>} - Trimmed, non-empty, unique tags
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+}
+
+/**
+ * Clean up a map of last-seen heights
+ * @param {Object} lastSeen - Height per network ID
+ * @returns {Object} - The valid heights, as numbers
+ */
+function normalizeLastSeen(lastSeen) {
+  const normalized = {};
+  if (lastSeen && typeof lastSeen === 'object') {
+    Object.entries(lastSeen).forEach(([networkId, height]) => {
+      const heightValue = parseInt(height, 10);
+      if (!isNaN(heightValue)) {
+        normalized[networkId] = heightValue;
+      }
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Load the stored entries
+ * @returns {Array<Object>} - Entries in storage order
+ */
+function loadEntries() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ADDRESS_BOOK_KEY));
+    if (Array.isArray(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('Error loading address book:', error);
+  }
+  return [];
+}
+
+/**
+ * Persist the entries and notify the listeners
+ * @param {Array<Object>} entries - Every entry
+ */
+function storeEntries(entries) {
+  localStorage.setItem(ADDRESS_BOOK_KEY, JSON.stringify(entries));
+  listeners.forEach(listener => listener());
+}
@@ -0,0 +1,340 @@
+/**
+ * Blob submission and retrieval through the node's blob module
+ */
+import { sendRpcRequest, getConnectionStatus } from './websocket.js';
+import { getActiveNetwork } from './networks.js';
+import { RpcError } from './errors.js';
+import { validateNamespace, namespaceFromBase64, namespaceFromHex, namespaceToBase64, namespaceIdToHex } from '../utils/namespace.js';
+import { isValidBase64, base64ByteLength, bytesToBase64, base64ToBytes, hexToBytes } from '../utils/codec.js';
+import { createCommitment } from '../utils/commitment.js';
+import { showToast, formatBytes } from '../utils/common.js';
+
+// Share commitments are SHA-256 sized Merkle roots
+const COMMITMENT_SIZE = 32;
+
+/**
+ * Submit a blob to the network
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} data - Base64 encoded data
+ * @param {Object} options - Submit options, e.g. gas_price
+ * @returns {Promise<Object>} - Object with height, txHash, namespaceHex and namespaceBase64 properties
+ */
+export async function submitBlob(namespace, data, options = {}) {
+  try {
+    validateBlob(namespace, data);
+
+    const { height, txHash } = await payForBlobs([{ namespace, data }], options);
+
+    // Convert namespace to hex for display
+    const namespaceHex = namespaceIdToHex(namespaceFromBase64(namespace));
+
+    // Return the height, transaction and namespace information
+    return {
+      height,
+      txHash,
+      namespaceHex: namespaceHex,
+      namespaceBase64: namespace
+    };
+  } catch (error) {
+    console.error('Error submitting blob:', error);
+    throw error;
+  }
+}
+
+/**
+ * Submit several blobs in one PayForBlobs transaction, so they are included together or not at all
+ * @param {Array<Object>} blobs - Blobs with base64 encoded namespace and data properties
+ * @param {Object} options - Submit options, e.g. gas_price
+ * @returns {Promise<Object>} - Object with the shared height and txHash, and a blobs array of namespaceHex, namespaceBase64, size and commitment
+ */
+export async function submitBlobs(blobs, options = {}) {
+  try {
+    if (blobs.length === 0) {
+      throw new Error('Add at least one blob');
+    }
+
+    blobs.forEach(({ namespace, data }, index) => {
+      try {
+        validateBlob(namespace, data);
+      } catch (error) {
+        throw new Error(`Blob ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const { maxBlobSize } = getActiveNetwork();
+    const totalSize = blobs.reduce((total, { data }) => total + base64ByteLength(data), 0);
+    if (totalSize > maxBlobSize) {
+      throw new Error(`Blobs total ${formatBytes(totalSize)}, more than the ${formatBytes(maxBlobSize)} one transaction can hold`);
+    }
+
+    const { height, txHash } = await payForBlobs(blobs, options);
+
+    // The transaction response has no commitments. The blobs are in the block by now, so a failed lookup
+    // must not turn the submission into an error: the commitments are computed locally and the
+    // node's are preferred when the block can be read.
+    const includedBlobs = await getAllBlobsInNamespaces(height, Array.from(new Set(blobs.map(({ namespace }) => namespace))))
+      .catch(error => {
+        console.error(`Error looking up the submitted blobs at height ${height}:`, error);
+        return [];
+      });
+
+    const results = [];
+    for (const { namespace, data } of blobs) {
+      const included = includedBlobs.find(blob => blob.namespace === namespace && blob.data === data);
+      results.push({
+        namespaceHex: namespaceIdToHex(namespaceFromBase64(namespace)),
+        namespaceBase64: namespace,
+        size: base64ByteLength(data),
+        commitment: included ? included.commitment : await computeCommitment(namespace, data)
+      });
+    }
+
+    return { height, txHash, blobs: results };
+  } catch (error) {
+    console.error('Error submitting blobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pay for blobs in one transaction and wait for it to be included
+ * @param {Array<Object>} blobs - Blobs with base64 encoded namespace and data properties
+ * @param {Object} options - Submit options, e.g. gas_price
+ * @returns {Promise<Object>} - Object with the height the transaction was included at and its txHash
+ */
+async function payForBlobs(blobs, options) {
+  // Unlike blob.Submit, which only returns the height, this returns the whole transaction response
+  const response = await sendRpcRequest('state.SubmitPayForBlob', [
+    blobs.map(({ namespace, data }) => ({ namespace, data, share_version: 0 })),
+    options
+  ]);
+
+  const txResponse = response.result || {};
+  if (txResponse.code) {
+    throw new Error(`Transaction failed with code ${txResponse.code}: ${txResponse.raw_log || 'no log'}`);
+  }
+
+  return { height: parseInt(txResponse.height, 10), txHash: txResponse.txhash || null };
+}
+
+/**
+ * Check a blob's namespace and data before submitting it
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} data - Base64 encoded data
+ */
+function validateBlob(namespace, data) {
+  if (!isValidBase64(namespace)) {
+    throw new Error('Invalid namespace format. Must be base64 encoded.');
+  }
+
+  const namespaceValidation = validateNamespace(namespace);
+  if (!namespaceValidation.valid) {
+    throw new Error(`Invalid namespace: ${namespaceValidation.error}`);
+  }
+
+  if (!isValidBase64(data)) {
+    throw new Error('Invalid data format. Must be base64 encoded.');
+  }
+
+  const { maxBlobSize } = getActiveNetwork();
+  const dataSize = base64ByteLength(data);
+  if (dataSize > maxBlobSize) {
+    throw new Error(`Data is ${formatBytes(dataSize)}, more than the max blob size of ${formatBytes(maxBlobSize)}`);
+  }
+}
+
+/**
+ * Retrieve the first blob in a namespace at a height
+ * @param {number|string} height - Block height
+ * @param {string} namespaceHex - Hex of the namespace's 10 user-specified bytes, or of the full namespace
+ * @returns {Promise<Object|null>} - The blob, or null if none was found
+ */
+export async function retrieveBlob(height, namespaceHex) {
+  try {
+    const blobs = await retrieveBlobs(height, namespaceHex);
+    
+    if (blobs.length > 0) {
+      console.log(`Found ${blobs.length} blob(s)`);
+      return blobs[0]; // Return the first blob directly instead of wrapping in object
+    } else {
+      console.error('No blobs found in response');
+      return null;
+    }
+  } catch (error) {
+    console.error('Error retrieving blob:', error.message);
+    showToast(`Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Retrieve every blob in a namespace at a height
+ * @param {number|string} height - Block height
+ * @param {string} namespaceHex - Hex of the namespace's 10 user-specified bytes, or of the full namespace
+ * @returns {Promise<Array>} - The blobs in the order the node returns them, empty if there are none
+ */
+export async function retrieveBlobs(height, namespaceHex) {
+  const { heightValue, namespaceBase64 } = prepareRetrieval(height, namespaceHex);
+  
+  // Simplified logging
+  console.log(`Retrieving blobs from height ${heightValue} with namespace ${namespaceBase64}`);
+  
+  return getAllBlobs(heightValue, namespaceBase64);
+}
+
+/**
+ * Retrieve a single blob by its commitment
+ * @param {number|string} height - Block height
+ * @param {string} namespaceHex - Hex of the namespace's 10 user-specified bytes, or of the full namespace
+ * @param {string} commitment - Share commitment in hex, as the CLI shows it, or in base64, as the API returns it
+ * @returns {Promise<Object>} - The blob
+ */
+export async function retrieveBlobByCommitment(height, namespaceHex, commitment) {
+  const { heightValue, namespaceBase64 } = prepareRetrieval(height, namespaceHex);
+  const commitmentBase64 = normalizeCommitment(commitment);
+  
+  console.log(`Retrieving blob ${commitmentBase64} from height ${heightValue} with namespace ${namespaceBase64}`);
+  
+  return getBlob(heightValue, namespaceBase64, commitmentBase64);
+}
+
+/**
+ * Check the connection and inputs of a retrieval
+ * @param {number|string} height - Block height
+ * @param {string} namespaceHex - Hex of the namespace's 10 user-specified bytes, or of the full namespace
+ * @returns {Object} - Object with heightValue and namespaceBase64 properties
+ */
+function prepareRetrieval(height, namespaceHex) {
+  // Check if connected to Celestia node
+  if (!getConnectionStatus()) {
+    throw new Error(`Connection timeout: Unable to connect to Celestia node. Please start your node with:\n${getActiveNetwork().startCommand}`);
+  }
+  
+  // Validate the height
+  const heightValue = parseInt(height, 10);
+  if (isNaN(heightValue) || heightValue <= 0) {
+    throw new Error('Invalid height. Must be a positive integer.');
+  }
+  
+  // The API takes the full namespace in base64
+  return { heightValue, namespaceBase64: namespaceToBase64(namespaceFromHex(namespaceHex)) };
+}
+
+/**
+ * Convert a commitment to the base64 the API takes
+ * @param {string} commitment - 32-byte commitment in hex (optionally 0x-prefixed) or base64
+ * @returns {string} - Base64 encoded commitment
+ */
+function normalizeCommitment(commitment) {
+  const value = commitment.trim();
+  const hex = value.replace(/^0x/i, '');
+  
+  if (hex.length === COMMITMENT_SIZE * 2 && /^[0-9a-fA-F]+$/.test(hex)) {
+    return bytesToBase64(hexToBytes(hex));
+  }
+  
+  if (isValidBase64(value) && base64ByteLength(value) === COMMITMENT_SIZE) {
+    return value;
+  }
+  
+  throw new Error(`Invalid commitment. Must be ${COMMITMENT_SIZE} bytes in hex or base64.`);
+}
+
+/**
+ * Get every blob in a namespace at a height
+ * @param {number|string} height - Block height
+ * @param {string} namespaceBase64 - Base64 encoded namespace
+ * @param {Object} options - Request options, e.g. signal
+ * @returns {Promise<Array>} - The blobs, empty if there are none
+ */
+export async function getAllBlobs(height, namespaceBase64, options = {}) {
+  return getAllBlobsInNamespaces(height, [namespaceBase64], options);
+}
+
+/**
+ * Get every blob in several namespaces at a height with a single request
+ * @param {number|string} height - Block height
+ * @param {Array<string>} namespacesBase64 - Base64 encoded namespaces
+ * @param {Object} options - Request options, e.g. signal
+ * @returns {Promise<Array>} - The blobs of all the namespaces, empty if there are none
+ */
+export async function getAllBlobsInNamespaces(height, namespacesBase64, options = {}) {
+  const response = await sendRpcRequest('blob.GetAll', [parseInt(height, 10), namespacesBase64], options);
+  return toBlobList(response.result);
+}
+
+/**
+ * Check whether an error is the node saying a height has no blobs. Some node versions answer an
+ * empty namespace with an error instead of an empty list.
+ * @param {Error} error - Error thrown by a blob request
+ * @returns {boolean} - True if the error only means there are no blobs
+ */
+export function isBlobNotFoundError(error) {
+  return error instanceof RpcError && /not found/i.test(error.message);
+}
+
+/**
+ * Get a single blob by its commitment
+ * @param {number|string} height - Block height
+ * @param {string} namespaceBase64 - Base64 encoded namespace
+ * @param {string} commitment - Base64 encoded share commitment
+ * @returns {Promise<Object>} - The blob
+ */
+export async function getBlob(height, namespaceBase64, commitment) {
+  const response = await sendRpcRequest('blob.Get', [parseInt(height, 10), namespaceBase64, commitment]);
+  return response.result;
+}
+
+/**
+ * Find the commitment of a submitted blob, which the transaction response doesn't carry
+ * @param {number} height - Height the blob was included at
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} data - Base64 encoded blob data
+ * @returns {Promise<string>} - Base64 encoded commitment
+ */
+export async function findCommitment(height, namespace, data) {
+  const blobs = await getAllBlobs(height, namespace);
+  const blob = blobs.find(candidate => candidate.data === data);
+  if (!blob) {
+    throw new Error(`Submitted blob not found at height ${height}`);
+  }
+  return blob.commitment;
+}
+
+/**
+ * Compute a blob's share commitment locally
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} data - Base64 encoded blob data
+ * @returns {Promise<string|null>} - Base64 encoded commitment, or null if it couldn't be computed
+ */
+async function computeCommitment(namespace, data) {
+  try {
+    const { commitment } = await createCommitment(namespaceFromBase64(namespace), base64ToBytes(data));
+    return bytesToBase64(commitment);
+  } catch (error) {
+    console.error('Error computing blob commitment:', error);
+    return null;
+  }
+}
+
+/**
+ * Pull the list of blobs out of a blob.GetAll result
+ * @param {Array|Object|null} result - The RPC result
+ * @returns {Array} - The blobs
+ */
+function toBlobList(result) {
+  if (!result) return [];
+  if (Array.isArray(result)) return result;
+  if (Array.isArray(result.blobs)) return result.blobs;
+
+  // Try to adapt to whatever structure we received
+  if (typeof result === 'object') {
+    for (const key in result) {
+      if (Array.isArray(result[key])) {
+        return result[key];
+      }
+    }
+  }
+
+  return [];
+}
@@ -0,0 +1,166 @@
+/**
+ * Payloads larger than a blob, split across several blobs and tied together by a manifest blob
+ *
+ * The manifest is a JSON blob in the same namespace that lists the height, commitment and size
+ * of every chunk in order, plus the SHA-256 of the whole payload to verify the reassembled data.
+ */
+import { getActiveNetwork } from './networks.js';
+import { submitBlob, getBlob } from './blob.js';
+import { bytesToBase64, base64ToBytes, textToBase64, textToBytes, base64ToText } from '../utils/codec.js';
+import { namespaceFromBase64 } from '../utils/namespace.js';
+import { sha256Hex } from '../utils/hash.js';
+import { createCommitment } from '../utils/commitment.js';
+
+export const MANIFEST_TYPE = 'celestia-blob-manifest';
+export const MANIFEST_VERSION = 1;
+
+// Largest payload a manifest may describe, since it is reassembled in memory
+const MAX_PAYLOAD_SIZE = 256 * 1024 * 1024;
+
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Check if data has to be split to fit in blobs on the active network
+ * @param {number} size - Data size in bytes
+ * @returns {boolean} - True if the data is larger than the network's chunk size
+ */
+export function needsChunking(size) {
+  return size > getActiveNetwork().chunkSize;
+}
+
+/**
+ * Get the number of chunks data is split into on the active network
+ * @param {number} size - Data size in bytes
+ * @returns {number} - Number of chunks, not counting the manifest
+ */
+export function getChunkCount(size) {
+  return Math.ceil(size / getActiveNetwork().chunkSize);
+}
+
+/**
+ * Submit data as size-compliant chunks followed by a manifest blob
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {Uint8Array} bytes - Data to submit
+ * @param {Object} options - Submit options, e.g. gas_price
+ * @param {Object} details - Object with optional name, mimeType and onProgress properties; onProgress gets the number of blobs submitted and the total
+ * @returns {Promise<Object>} - Submission result of the manifest blob, with manifest and commitment (of the manifest blob) properties
+ */
+export async function submitChunkedBlob(namespace, bytes, options = {}, { name = '', mimeType = '', onProgress } = {}) {
+  const { chunkSize } = getActiveNetwork();
+  const chunkCount = Math.ceil(bytes.length / chunkSize);
+  const chunks = [];
+
+  for (let index = 0; index < chunkCount; index++) {
+    if (onProgress) onProgress(index, chunkCount + 1);
+
+    // The commitment is computed before paying for the chunk, so a chunk is never posted without it
+    const chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+    const commitment = await computeCommitment(namespace, chunk);
+    const { height } = await submitBlob(namespace, bytesToBase64(chunk), options);
+
+    chunks.push({ height, commitment, size: chunk.length });
+  }
+
+  const manifest = {
+    type: MANIFEST_TYPE,
+    version: MANIFEST_VERSION,
+    name,
+    mimeType,
+    size: bytes.length,
+    sha256: await sha256Hex(bytes),
+    chunks
+  };
+
+  if (onProgress) onProgress(chunkCount, chunkCount + 1);
+  const manifestText = JSON.stringify(manifest);
+  const commitment = await computeCommitment(namespace, textToBytes(manifestText));
+  const result = await submitBlob(namespace, textToBase64(manifestText), options);
+
+  return { ...result, manifest, commitment };
+}
+
+/**
+ * Compute the share commitment of a blob's data
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {Uint8Array} data - Blob data
+ * @returns {Promise<string>} - Base64 encoded commitment
+ */
+async function computeCommitment(namespace, data) {
+  const { commitment } = await createCommitment(namespaceFromBase64(namespace), data);
+  return bytesToBase64(commitment);
+}
+
+/**
+ * Read a manifest from blob data. Manifests are untrusted on-chain data, so every field used to
+ * fetch and reassemble the chunks is checked.
+ * @param {string} data - Base64 encoded blob data
+ * @returns {Object|null} - The manifest, or null if the data isn't a valid one
+ */
+export function parseManifest(data) {
+  try {
+    const manifest = JSON.parse(base64ToText(data, { fatal: true }));
+    if (!manifest || manifest.type !== MANIFEST_TYPE || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.chunks)) {
+      return null;
+    }
+
+    const { size, sha256, chunks } = manifest;
+    if (!Number.isInteger(size) || size < 0 || size > MAX_PAYLOAD_SIZE) {
+      return null;
+    }
+    if (typeof sha256 !== 'string' || !SHA256_HEX_PATTERN.test(sha256)) {
+      return null;
+    }
+
+    const validChunks = chunks.every(chunk => chunk
+      && Number.isInteger(chunk.height) && chunk.height > 0
+      && typeof chunk.commitment === 'string' && chunk.commitment !== ''
+      && Number.isInteger(chunk.size) && chunk.size > 0);
+    if (!validChunks || chunks.reduce((total, chunk) => total + chunk.size, 0) !== size) {
+      return null;
+    }
+
+    return manifest;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch the chunks listed in a manifest and reassemble the original data
+ * @param {Object} manifest - Manifest read with parseManifest
+ * @param {string} namespace - Base64 encoded namespace of the chunks
+ * @param {Function} onProgress - Optional callback with the number of chunks fetched and the total
+ * @returns {Promise<Uint8Array>} - The original data, verified against the manifest hash
+ */
+export async function reassembleChunkedBlob(manifest, namespace, onProgress) {
+  const bytes = new Uint8Array(manifest.size);
+  let offset = 0;
+
+  for (let index = 0; index < manifest.chunks.length; index++) {
+    if (onProgress) onProgress(index, manifest.chunks.length);
+
+    const { height, commitment, size } = manifest.chunks[index];
+    const blob = await getBlob(height, namespace, commitment);
+    if (!blob || !blob.data) {
+      throw new Error(`Chunk ${index + 1} not found at height ${height}`);
+    }
+
+    const chunk = base64ToBytes(blob.data);
+    if (chunk.length !== size || offset + size > bytes.length) {
+      throw new Error(`Chunk ${index + 1} is ${chunk.length} bytes, but the manifest lists ${size}`);
+    }
+
+    bytes.set(chunk, offset);
+    offset += size;
+  }
+
+  if (offset !== manifest.size) {
+    throw new Error(`Reassembled ${offset} bytes, but the manifest lists ${manifest.size}`);
+  }
+
+  if (await sha256Hex(bytes) !== manifest.sha256) {
+    throw new Error('Reassembled data does not match the manifest hash');
+  }
+
+  return bytes;
+}
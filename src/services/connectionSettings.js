@@ -0,0 +1,145 @@
+/**
+ * Connection settings for the Celestia node, persisted per profile
+ */
+import { bytesToText, base64UrlToBytes } from '../utils/codec.js';
+
+// LocalStorage key
+const CONNECTION_SETTINGS_KEY = 'celestia_connection_settings';
+
+// Defaults match a local light node started with --rpc.skip-auth
+export const DEFAULT_PROFILE = 'default';
+export const DEFAULT_NODE_URL = 'ws://localhost:26658';
+
+// The app was built for Mammoth, so profiles saved before networks existed stay on it
+export const DEFAULT_NETWORK = 'mammoth';
+
+/**
+ * Load the stored settings for all profiles
+ * @returns {Object} - Object with activeProfile and profiles properties
+ */
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONNECTION_SETTINGS_KEY));
+    if (stored && stored.profiles) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('Error loading connection settings:', error);
+  }
+
+  return {
+    activeProfile: DEFAULT_PROFILE,
+    profiles: {
+      [DEFAULT_PROFILE]: { url: DEFAULT_NODE_URL, token: '', network: DEFAULT_NETWORK }
+    }
+  };
+}
+
+/**
+ * Persist the settings for all profiles
+ * @param {Object} settings - Object with activeProfile and profiles properties
+ */
+function storeSettings(settings) {
+  localStorage.setItem(CONNECTION_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Get the names of all saved profiles
+ * @returns {Array<string>} - Profile names
+ */
+export function getProfileNames() {
+  return Object.keys(loadSettings().profiles);
+}
+
+/**
+ * Get the name of the active profile
+ * @returns {string} - Active profile name
+ */
+export function getActiveProfileName() {
+  return loadSettings().activeProfile;
+}
+
+/**
+ * Get the connection settings of a profile
+ * @param {string} profile - Profile name (defaults to the active profile)
+ * @returns {Object} - Object with url, token, network and custom properties
+ */
+export function getConnectionSettings(profile) {
+  const settings = loadSettings();
+  const stored = settings.profiles[profile || settings.activeProfile] || {};
+
+  return {
+    url: stored.url || DEFAULT_NODE_URL,
+    token: stored.token || '',
+    network: stored.network || DEFAULT_NETWORK,
+    custom: stored.custom || null
+  };
+}
+
+/**
+ * Save the connection settings of a profile and make it the active one
+ * @param {string} profile - Profile name
+ * @param {Object} connection - Object with url, token, network and (for custom networks) custom properties
+ */
+export function saveConnectionSettings(profile, { url, token, network = DEFAULT_NETWORK, custom = null }) {
+  const name = profile.trim();
+  if (!name) {
+    throw new Error('Profile name is required');
+  }
+
+  if (!/^(ws|wss|http|https):\/\//.test(url)) {
+    throw new Error('Node URL must start with ws://, wss://, http:// or https://');
+  }
+
+  const settings = loadSettings();
+  settings.profiles[name] = { url: url.trim(), token: token.trim(), network, custom };
+  settings.activeProfile = name;
+  storeSettings(settings);
+}
+
+/**
+ * Delete a saved profile (the default profile cannot be deleted)
+ * @param {string} profile - Profile name
+ */
+export function deleteConnectionProfile(profile) {
+  if (profile === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be deleted');
+  }
+
+  const settings = loadSettings();
+  delete settings.profiles[profile];
+  if (settings.activeProfile === profile) {
+    settings.activeProfile = DEFAULT_PROFILE;
+  }
+  storeSettings(settings);
+}
+
+/**
+ * Build the WebSocket URL for the given settings.
+ * Browsers cannot set headers on the WebSocket handshake, so the JWT is sent as
+ * the `token` query parameter, which the node's auth handler accepts in place of
+ * an Authorization header.
+ * @param {Object} connection - Object with url and token properties
+ * @returns {string} - WebSocket URL
+ */
+export function buildWebSocketUrl({ url, token }) {
+  const wsUrl = new URL(url.replace(/^http/, 'ws'));
+  if (token) {
+    wsUrl.searchParams.set('token', token);
+  }
+  return wsUrl.toString();
+}
+
+/**
+ * Read the permissions granted by a node JWT
+ * @param {string} token - JWT created with `celestia <node-type> auth <permission>`
+ * @returns {Array<string>} - Granted permissions, empty if the token can't be decoded
+ */
+export function getTokenPermissions(token) {
+  try {
+    const claims = JSON.parse(bytesToText(base64UrlToBytes(token.split('.')[1])));
+    return Array.isArray(claims.Allow) ? claims.Allow : [];
+  } catch (error) {
+    return [];
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Connection state of the node transport, shared with any tab that wants to react to it
+ */
+
+// Connection states
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed',
+  AUTH_ERROR: 'authError'
+};
+
+// Current state
+let connectionState = {
+  status: CONNECTION_STATES.CONNECTING,
+  transport: null, // Name of the transport carrying requests while open
+  latency: null, // Round trip of the last request in milliseconds
+  attempt: 0, // Reconnect attempt while reconnecting
+  retryAt: null, // Timestamp of the next reconnect attempt while reconnecting
+  error: null // Message explaining a failed or authError state
+};
+
+const listeners = new Set();
+
+// Number of times the connection opened, to tell a reconnect from the first connect
+let openCount = 0;
+
+/**
+ * Get the current connection state
+ * @returns {Object} - Object with status, transport, latency, attempt, retryAt and error properties
+ */
+export function getConnectionState() {
+  return connectionState;
+}
+
+/**
+ * Listen for connection state changes. The listener is called right away with the current state.
+ * @param {Function} listener - Called with the new and the previous state
+ * @returns {Function} - Function that removes the listener
+ */
+export function onConnectionStateChange(listener) {
+  listeners.add(listener);
+  listener(connectionState, connectionState);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Listen for the connection coming back after it was lost, e.g. to refresh a tab's data
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} - Function that removes the listener
+ */
+export function onReconnect(listener) {
+  return onConnectionStateChange((state, previousState) => {
+    if (state.status === CONNECTION_STATES.OPEN && previousState.status !== CONNECTION_STATES.OPEN && openCount > 1) {
+      listener(state);
+    }
+  });
+}
+
+/**
+ * Listen for the connection being lost, e.g. to show a tab's error states
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} - Function that removes the listener
+ */
+export function onDisconnect(listener) {
+  return onConnectionStateChange((state, previousState) => {
+    if (previousState.status === CONNECTION_STATES.OPEN && state.status !== CONNECTION_STATES.OPEN) {
+      listener(state);
+    }
+  });
+}
+
+/**
+ * Move to a new connection state and notify the listeners
+ * @param {string} status - One of CONNECTION_STATES
+ * @param {Object} details - Object with optional transport, attempt, retryAt and error properties
+ */
+export function setConnectionState(status, { transport = null, attempt = 0, retryAt = null, error = null } = {}) {
+  // Keep the last latency until a request on the new connection measures it
+  updateConnectionState({ status, transport, attempt, retryAt, error });
+}
+
+/**
+ * Record the round trip of a request
+ * @param {number} latency - Round trip in milliseconds
+ */
+export function recordLatency(latency) {
+  updateConnectionState({ latency: Math.round(latency) });
+}
+
+/**
+ * Merge changes into the state and notify the listeners
+ * @param {Object} changes - Changed state properties
+ */
+function updateConnectionState(changes) {
+  const previousState = connectionState;
+  connectionState = { ...connectionState, ...changes };
+
+  if (connectionState.status === CONNECTION_STATES.OPEN && previousState.status !== CONNECTION_STATES.OPEN) {
+    openCount++;
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener(connectionState, previousState);
+    } catch (error) {
+      console.error('Error in connection state listener:', error);
+    }
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * Errors raised by the RPC transport, so callers can tell failures apart
+ */
+
+/**
+ * The node answered the request with a JSON-RPC error
+ */
+export class RpcError extends Error {
+  /**
+   * @param {Object} error - JSON-RPC error object with code, message and data properties
+   */
+  constructor({ code, message, data } = {}) {
+    super(message || 'Unknown error');
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * The connection closed before the node answered the request
+ */
+export class ConnectionClosedError extends Error {
+  /**
+   * @param {string} method - The RPC method that was in flight
+   */
+  constructor(method) {
+    super(`Connection to Celestia node closed before ${method} completed`);
+    this.name = 'ConnectionClosedError';
+    this.method = method;
+  }
+}
+
+/**
+ * The node didn't answer the request in time
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {string} method - The RPC method that timed out
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(method, timeout) {
+    super(`${method} timed out after ${timeout / 1000}s`);
+    this.name = 'RequestTimeoutError';
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The caller aborted the request through its AbortSignal
+ */
+export class RequestAbortedError extends Error {
+  /**
+   * @param {string} method - The RPC method that was aborted
+   */
+  constructor(method) {
+    super(`${method} was cancelled`);
+    this.name = 'RequestAbortedError';
+    this.method = method;
+  }
+}
+
+/**
+ * The node couldn't be reached over any transport
+ */
+export class NodeUnreachableError extends Error {
+  /**
+   * @param {string} message - Error message, including how to start the node
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'NodeUnreachableError';
+  }
+}
+
+/**
+ * The node rejected the auth token
+ */
+export class AuthError extends Error {
+  constructor() {
+    super('Unauthorized: check the auth token in Connection Settings');
+    this.name = 'AuthError';
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Submission history: a ledger of submitted blobs kept in IndexedDB
+ */
+import { getActiveNetwork } from './networks.js';
+import { STORES, runRequest } from './indexedDb.js';
+import { recordNamespaceSeen } from './addressBook.js';
+import { base64ToBytes, base64ByteLength } from '../utils/codec.js';
+import { sha256Hex } from '../utils/hash.js';
+
+// Data up to this size is kept with its entry so it can be re-submitted
+export const MAX_STORED_DATA_SIZE = 2 * 1024 * 1024;
+
+// Columns of the CSV export, in order
+const CSV_FIELDS = [
+  'id', 'timestamp', 'network', 'height', 'namespaceHex', 'namespaceBase64', 'txHash',
+  'commitment', 'size', 'fee', 'denom', 'gasPrice', 'fingerprint', 'kind'
+];
+
+const listeners = new Set();
+
+/**
+ * Record a submitted blob
+ * @param {Object} submission - Object with height, namespaceHex, namespaceBase64, commitment, data (base64), fee and gasPrice properties, and optionally txHash and kind ('blob', 'manifest' or 'composed')
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function addSubmission(submission) {
+  const size = base64ByteLength(submission.data);
+  const network = getActiveNetwork();
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    network: network.id,
+    height: submission.height,
+    namespaceHex: submission.namespaceHex,
+    namespaceBase64: submission.namespaceBase64,
+    txHash: submission.txHash || null,
+    commitment: submission.commitment || null,
+    size,
+    fee: submission.fee,
+    denom: network.denom,
+    gasPrice: submission.gasPrice,
+    fingerprint: await sha256Hex(base64ToBytes(submission.data)),
+    kind: submission.kind || 'blob',
+    data: size <= MAX_STORED_DATA_SIZE ? submission.data : null
+  };
+
+  entry.id = await runRequest(STORES.SUBMISSIONS, 'readwrite', store => store.add(entry));
+  notifyListeners();
+  recordNamespaceSeen(entry.namespaceBase64, entry.height);
+  return entry;
+}
+
+/**
+ * Record a submitted blob without failing the submission if the history can't be written
+ * @param {Object} submission - Same as for addSubmission
+ */
+export function recordSubmission(submission) {
+  addSubmission(submission).catch(error => {
+    console.error('Error recording submission:', error);
+  });
+}
+
+/**
+ * Get every recorded submission
+ * @returns {Promise<Array<Object>>} - Entries, newest first
+ */
+export async function getSubmissions() {
+  const entries = await runRequest(STORES.SUBMISSIONS, 'readonly', store => store.index('timestamp').getAll());
+  return entries.reverse();
+}
+
+/**
+ * Delete every recorded submission
+ */
+export async function clearSubmissions() {
+  await runRequest(STORES.SUBMISSIONS, 'readwrite', store => store.clear());
+  notifyListeners();
+}
+
+/**
+ * Listen for the history changing
+ * @param {Function} listener - Called after an entry is added or the history is cleared
+ * @returns {Function} - Function that removes the listener
+ */
+export function onHistoryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Call every history listener
+ */
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Check whether an entry matches a filter
+ * @param {Object} entry - History entry
+ * @param {string} filter - Text to look for in the height, namespace, commitment, fingerprint, tx hash or network
+ * @returns {boolean} - True if the entry matches, or the filter is empty
+ */
+export function submissionMatches(entry, filter) {
+  const query = filter.trim().toLowerCase();
+  if (!query) return true;
+
+  return [entry.height, entry.namespaceHex, entry.namespaceBase64, entry.commitment, entry.fingerprint, entry.txHash, entry.network]
+    .some(value => value !== null && value !== undefined && String(value).toLowerCase().includes(query));
+}
+
+/**
+ * Export entries as JSON, without the stored data
+ * @param {Array<Object>} entries - History entries
+ * @returns {string} - Pretty printed JSON array
+ */
+export function submissionsToJson(entries) {
+  return JSON.stringify(entries.map(({ data, ...entry }) => entry), null, 2);
+}
+
+/**
+ * Export entries as CSV, without the stored data
+ * @param {Array<Object>} entries - History entries
+ * @returns {string} - CSV with a header row
+ */
+export function submissionsToCsv(entries) {
+  const rows = entries.map(entry => CSV_FIELDS.map(field => escapeCsvValue(entry[field])).join(','));
+  return [CSV_FIELDS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Quote a CSV value if it needs it
+ * @param {*} value - Value to write
+ * @returns {string} - CSV field
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
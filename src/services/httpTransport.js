@@ -0,0 +1,62 @@
+import axios from 'axios';
+import { getConnectionSettings } from './connectionSettings.js';
+import { getActiveNetwork } from './networks.js';
+import { RpcError, RequestTimeoutError, RequestAbortedError, NodeUnreachableError, AuthError } from './errors.js';
+
+/**
+ * Build the HTTP JSON-RPC URL for the given settings
+ * @param {Object} connection - Object with url property
+ * @returns {string} - HTTP URL
+ */
+export function buildHttpUrl({ url }) {
+  return url.replace(/^ws/, 'http');
+}
+
+/**
+ * Send an RPC request as an HTTP POST, the same way `curl` talks to the node.
+ * Used when the WebSocket can't be established, e.g. behind proxies that strip upgrades.
+ * @param {number} id - Request id
+ * @param {string} method - The RPC method to call
+ * @param {Array} params - The parameters for the RPC method
+ * @param {Object} options - Object with timeout (in milliseconds) and optional signal (AbortSignal) properties
+ * @returns {Promise} - A promise that resolves with the response
+ */
+export async function sendHttpRequest(id, method, params, { timeout, signal } = {}) {
+  const settings = getConnectionSettings();
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.token) {
+    headers.Authorization = `Bearer ${settings.token}`;
+  }
+
+  let response;
+  try {
+    response = await axios.post(buildHttpUrl(settings), { jsonrpc: '2.0', id, method, params }, {
+      headers,
+      timeout,
+      signal
+    });
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new RequestAbortedError(method);
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      throw new RequestTimeoutError(method, timeout);
+    }
+    if (!error.response) {
+      throw new NodeUnreachableError(`Unable to reach Celestia node at ${buildHttpUrl(settings)}. Please start your node with:\n${getActiveNetwork().startCommand}`);
+    }
+    if (error.response.data && error.response.data.error) {
+      throw new RpcError(error.response.data.error);
+    }
+    if (error.response.status === 401) {
+      throw new AuthError();
+    }
+    throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+  }
+
+  if (response.data.error) {
+    throw new RpcError(response.data.error);
+  }
+
+  return response.data;
+}
@@ -0,0 +1,77 @@
+/**
+ * The app's IndexedDB database, shared by every service that keeps data in the browser
+ */
+
+const DB_NAME = 'celestia-node-web';
+const DB_VERSION = 2;
+
+// Object stores
+export const STORES = {
+  SUBMISSIONS: 'submissions',
+  NAMESPACE_SCANS: 'namespaceScans'
+};
+
+// Opened lazily and shared by every call
+let databasePromise = null;
+
+/**
+ * Create the stores added since the database's previous version
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade, 0 for a new database
+ */
+function upgradeDatabase(database, oldVersion) {
+  if (oldVersion < 1) {
+    const submissions = database.createObjectStore(STORES.SUBMISSIONS, { keyPath: 'id', autoIncrement: true });
+    submissions.createIndex('timestamp', 'timestamp');
+  }
+
+  if (oldVersion < 2) {
+    database.createObjectStore(STORES.NAMESPACE_SCANS, { keyPath: ['network', 'namespace', 'height'] });
+  }
+}
+
+/**
+ * Open the database, creating or upgrading its stores on first use
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run a request against a store
+ * @param {string} storeName - One of STORES
+ * @param {string} mode - Transaction mode, readonly or readwrite
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} - Result of the request once its transaction completes
+ */
+export async function runRequest(storeName, mode, makeRequest) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
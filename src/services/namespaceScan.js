@@ -0,0 +1,170 @@
+/**
+ * Namespace scans: collecting every blob in a namespace over a range of heights
+ *
+ * Heights are fetched with blob.GetAll by a small pool of workers. Each scanned height is cached in
+ * IndexedDB, including heights without blobs, so a later scan of an overlapping range only asks the
+ * node for heights it hasn't seen.
+ */
+import { sendRpcRequest } from './websocket.js';
+import { getAllBlobs, isBlobNotFoundError } from './blob.js';
+import { getActiveNetwork } from './networks.js';
+import { STORES, runRequest } from './indexedDb.js';
+import { recordNamespaceSeen } from './addressBook.js';
+import { RequestAbortedError } from './errors.js';
+import { base64ByteLength } from '../utils/codec.js';
+
+export const DEFAULT_SCAN_CONCURRENCY = 4;
+export const MAX_SCAN_CONCURRENCY = 16;
+
+// Largest number of heights one scan covers
+export const MAX_SCAN_RANGE = 10000;
+
+/**
+ * Get the height of the network head
+ * @returns {Promise<number>} - Height of the newest header the node knows of
+ */
+export async function getNetworkHeadHeight() {
+  const response = await sendRpcRequest('header.NetworkHead');
+  const height = parseInt(response.result && response.result.header && response.result.header.height, 10);
+  if (isNaN(height)) {
+    throw new Error('The node did not return the network head');
+  }
+  return height;
+}
+
+/**
+ * Collect every blob in a namespace from a range of heights
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {number} fromHeight - First height to scan
+ * @param {number} toHeight - Last height to scan
+ * @param {Object} options - Object with optional concurrency, useCache, signal (AbortSignal) and onProgress properties; onProgress gets an object with scanned, total and found counts
+ * @returns {Promise<Object>} - Object with heights (heights with blobs, in ascending order, each with height and blobs), failed (heights with their error), cached (heights read from the cache) and aborted properties
+ */
+export async function scanNamespace(namespace, fromHeight, toHeight, options = {}) {
+  const { useCache = true, signal, onProgress } = options;
+  const concurrency = Math.min(Math.max(parseInt(options.concurrency, 10) || DEFAULT_SCAN_CONCURRENCY, 1), MAX_SCAN_CONCURRENCY);
+
+  if (!Number.isInteger(fromHeight) || fromHeight <= 0 || !Number.isInteger(toHeight) || toHeight < fromHeight) {
+    throw new Error('Invalid range. Heights must be positive integers, with the start at most the end.');
+  }
+  if (toHeight - fromHeight + 1 > MAX_SCAN_RANGE) {
+    throw new Error(`A scan covers at most ${MAX_SCAN_RANGE.toLocaleString()} heights`);
+  }
+
+  const network = getActiveNetwork().id;
+  const results = useCache ? await getCachedHeights(network, namespace, fromHeight, toHeight) : new Map();
+  const cached = results.size;
+
+  const pending = [];
+  for (let height = fromHeight; height <= toHeight; height++) {
+    if (!results.has(height)) pending.push(height);
+  }
+
+  const total = toHeight - fromHeight + 1;
+  const failed = [];
+  let found = Array.from(results.values()).reduce((count, blobs) => count + blobs.length, 0);
+  let next = 0;
+
+  const reportProgress = () => {
+    if (onProgress) onProgress({ scanned: results.size + failed.length, total, found });
+  };
+  reportProgress();
+
+  // Each worker takes the next pending height until none are left or the scan is stopped
+  const worker = async () => {
+    while (next < pending.length && !(signal && signal.aborted)) {
+      const height = pending[next++];
+      try {
+        const blobs = await fetchHeight(namespace, height, signal);
+        results.set(height, blobs);
+        found += blobs.length;
+        await cacheHeight(network, namespace, height, blobs);
+      } catch (error) {
+        if (error instanceof RequestAbortedError) return;
+        console.error(`Error scanning height ${height}:`, error);
+        failed.push({ height, error: error.message });
+      }
+      reportProgress();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+  const heights = Array.from(results.entries())
+    .filter(([, blobs]) => blobs.length > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([height, blobs]) => ({ height, blobs }));
+  if (heights.length > 0) {
+    recordNamespaceSeen(namespace, heights[heights.length - 1].height);
+  }
+
+  return {
+    heights,
+    failed: failed.sort((a, b) => a.height - b.height),
+    cached,
+    aborted: Boolean(signal && signal.aborted)
+  };
+}
+
+/**
+ * Delete the cached scans of every namespace
+ */
+export async function clearScanCache() {
+  await runRequest(STORES.NAMESPACE_SCANS, 'readwrite', store => store.clear());
+}
+
+/**
+ * Fetch the blobs of a namespace at a height, keeping what a timeline shows of them
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {number} height - Block height
+ * @param {AbortSignal} signal - Signal that stops the scan
+ * @returns {Promise<Array<Object>>} - Blobs with index, commitment and size properties
+ */
+async function fetchHeight(namespace, height, signal) {
+  let blobs;
+  try {
+    blobs = await getAllBlobs(height, namespace, { signal });
+  } catch (error) {
+    if (isBlobNotFoundError(error)) return [];
+    throw error;
+  }
+
+  return blobs.map(blob => ({
+    index: blob.index,
+    commitment: blob.commitment,
+    size: blob.data ? base64ByteLength(blob.data) : 0
+  }));
+}
+
+/**
+ * Read the cached heights of a namespace in a range
+ * @param {string} network - Network id
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {number} fromHeight - First height
+ * @param {number} toHeight - Last height
+ * @returns {Promise<Map<number, Array>>} - Blobs per cached height, an empty map if the cache can't be read
+ */
+async function getCachedHeights(network, namespace, fromHeight, toHeight) {
+  try {
+    const range = IDBKeyRange.bound([network, namespace, fromHeight], [network, namespace, toHeight]);
+    const entries = await runRequest(STORES.NAMESPACE_SCANS, 'readonly', store => store.getAll(range));
+    return new Map(entries.map(entry => [entry.height, entry.blobs]));
+  } catch (error) {
+    console.error('Error reading the scan cache:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Cache the blobs found at a height, without failing the scan if the cache can't be written
+ * @param {string} network - Network id
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {number} height - Block height
+ * @param {Array<Object>} blobs - Blobs found at the height
+ */
+async function cacheHeight(network, namespace, height, blobs) {
+  try {
+    await runRequest(STORES.NAMESPACE_SCANS, 'readwrite', store => store.put({ network, namespace, height, blobs, scannedAt: Date.now() }));
+  } catch (error) {
+    console.error('Error writing the scan cache:', error);
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Namespace watching: new blobs in a list of namespaces as the node syncs new headers
+ *
+ * Every header from header.Subscribe triggers one blob.GetAll for all the watched namespaces.
+ * Heights are checked in order, and heights missed while the connection was down are caught up
+ * when the next header arrives. The watch list and preferences are kept in localStorage.
+ */
+import { subscribeHeaders } from './websocket.js';
+import { getAllBlobsInNamespaces, isBlobNotFoundError } from './blob.js';
+import { recordNamespaceSeen } from './addressBook.js';
+import { validateNamespace, namespaceFromHex, namespaceToBase64, namespaceToHex } from '../utils/namespace.js';
+import { base64ByteLength } from '../utils/codec.js';
+
+// LocalStorage key
+const WATCH_SETTINGS_KEY = 'celestia_watch_settings';
+
+// Every watched namespace is sent in each blob.GetAll, so the list is kept short
+export const MAX_WATCHED_NAMESPACES = 10;
+
+// Heights checked at most when catching up after missed headers
+const MAX_CATCH_UP_HEIGHTS = 20;
+
+// Unsubscribes from header.Subscribe while watching
+let unsubscribe = null;
+
+// Last height checked, and the checks still to run, in order
+let lastHeight = null;
+let queue = Promise.resolve();
+
+/**
+ * Load the stored watch list and preferences
+ * @returns {Object} - Object with namespaces (each with hex and base64), watching and notify properties
+ */
+export function getWatchSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCH_SETTINGS_KEY));
+    if (stored && Array.isArray(stored.namespaces)) {
+      return { watching: false, notify: false, ...stored };
+    }
+  } catch (error) {
+    console.error('Error loading watch settings:', error);
+  }
+
+  return { namespaces: [], watching: false, notify: false };
+}
+
+/**
+ * Merge changes into the stored watch list and preferences
+ * @param {Object} changes - Changed settings
+ * @returns {Object} - The new settings
+ */
+export function updateWatchSettings(changes) {
+  const settings = { ...getWatchSettings(), ...changes };
+  localStorage.setItem(WATCH_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Add a namespace to the watch list
+ * @param {string} hex - 10-byte user ID or full 29-byte namespace in hex
+ * @returns {Object} - The watched namespace, with hex and base64 properties
+ */
+export function addWatchedNamespace(hex) {
+  if (!hex) {
+    throw new Error('Namespace is required');
+  }
+
+  const namespace = namespaceFromHex(hex);
+  const base64 = namespaceToBase64(namespace);
+  const validation = validateNamespace(base64);
+  if (!validation.valid) {
+    throw new Error(`Invalid namespace: ${validation.error}`);
+  }
+
+  const { namespaces } = getWatchSettings();
+  if (namespaces.some(watched => watched.base64 === base64)) {
+    throw new Error('This namespace is already watched');
+  }
+  if (namespaces.length >= MAX_WATCHED_NAMESPACES) {
+    throw new Error(`At most ${MAX_WATCHED_NAMESPACES} namespaces can be watched at once`);
+  }
+
+  const watched = { hex: namespaceToHex(namespace), base64 };
+  updateWatchSettings({ namespaces: [...namespaces, watched] });
+  return watched;
+}
+
+/**
+ * Remove a namespace from the watch list
+ * @param {string} base64 - Base64 encoded namespace
+ */
+export function removeWatchedNamespace(base64) {
+  const { namespaces } = getWatchSettings();
+  updateWatchSettings({ namespaces: namespaces.filter(watched => watched.base64 !== base64) });
+}
+
+/**
+ * Check whether new headers are being watched
+ * @returns {boolean} - True while watching
+ */
+export function isWatching() {
+  return unsubscribe !== null;
+}
+
+/**
+ * Start checking the watched namespaces at every new height
+ * @param {Object} handlers - Object with onBlobs (called with the height and the new blobs, each with namespaceHex, index, commitment and size), onHeight (called with every height checked) and onError (called with the height and the error) properties
+ */
+export async function startWatching({ onBlobs, onHeight, onError }) {
+  if (unsubscribe) return;
+
+  lastHeight = null;
+  unsubscribe = await subscribeHeaders(header => {
+    const height = parseInt(header && header.header && header.header.height, 10);
+    if (isNaN(height) || (lastHeight !== null && height <= lastHeight)) return;
+
+    const fromHeight = lastHeight === null ? height : Math.max(lastHeight + 1, height - MAX_CATCH_UP_HEIGHTS + 1);
+    lastHeight = height;
+
+    for (let nextHeight = fromHeight; nextHeight <= height; nextHeight++) {
+      queue = queue.then(() => checkHeight(nextHeight, { onBlobs, onHeight, onError }));
+    }
+  });
+}
+
+/**
+ * Stop watching. Checks already queued still finish.
+ */
+export function stopWatching() {
+  if (!unsubscribe) return;
+
+  unsubscribe();
+  unsubscribe = null;
+}
+
+/**
+ * Fetch the blobs of the watched namespaces at a height
+ * @param {number} height - Block height
+ * @param {Object} handlers - Same as for startWatching
+ */
+async function checkHeight(height, { onBlobs, onHeight, onError }) {
+  const { namespaces } = getWatchSettings();
+  if (!unsubscribe || namespaces.length === 0) return;
+
+  try {
+    let blobs;
+    try {
+      blobs = await getAllBlobsInNamespaces(height, namespaces.map(watched => watched.base64));
+    } catch (error) {
+      if (!isBlobNotFoundError(error)) throw error;
+      blobs = [];
+    }
+
+    onHeight(height);
+    blobs.forEach(blob => recordNamespaceSeen(blob.namespace, height));
+    if (blobs.length > 0) {
+      onBlobs(height, blobs.map(blob => ({
+        namespaceHex: findNamespaceHex(namespaces, blob.namespace),
+        index: blob.index,
+        commitment: blob.commitment,
+        size: blob.data ? base64ByteLength(blob.data) : 0
+      })));
+    }
+  } catch (error) {
+    console.error(`Error checking watched namespaces at height ${height}:`, error);
+    onError(height, error);
+  }
+}
+
+/**
+ * Find the hex form of a watched namespace
+ * @param {Array<Object>} namespaces - Watched namespaces
+ * @param {string} base64 - Base64 encoded namespace of a blob
+ * @returns {string} - Namespace in hex
+ */
+function findNamespaceHex(namespaces, base64) {
+  const watched = namespaces.find(namespace => namespace.base64 === base64);
+  return watched ? watched.hex : base64;
+}
@@ -0,0 +1,178 @@
+import { getConnectionSettings, DEFAULT_NETWORK } from './connectionSettings.js';
+
+/**
+ * Build Celenium-style explorer URL templates for an explorer base URL
+ * @param {string} baseUrl - Explorer base URL
+ * @returns {Object} - Templates with tx, namespace and block properties
+ */
+function celeniumTemplates(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+  return {
+    tx: `${base}/tx/{hash}`,
+    namespace: `${base}/namespace/{namespace}?tab=Blobs`,
+    block: `${base}/block/{height}`
+  };
+}
+
+// Largest blob a PayForBlobs transaction fits on the standard networks, in bytes
+const DEFAULT_MAX_BLOB_SIZE = 1973786;
+
+// Size payloads are split at when they need several blobs, kept below the largest blob the node accepts
+const DEFAULT_CHUNK_SIZE = 1900000;
+
+// Network profile registry
+export const NETWORKS = {
+  mainnet: {
+    id: 'mainnet',
+    name: 'Mainnet Beta',
+    chainId: 'celestia',
+    nodeUrl: 'ws://localhost:26658',
+    explorer: celeniumTemplates('https://celenium.io'),
+    gasPrice: 0.002,
+    maxBlobSize: DEFAULT_MAX_BLOB_SIZE,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    denom: 'utia',
+    displayDenom: 'TIA',
+    startCommand: 'celestia light start --core.ip rpc.celestia.pops.one --core.port 9090 --rpc.skip-auth'
+  },
+  mocha: {
+    id: 'mocha',
+    name: 'Mocha Testnet',
+    chainId: 'mocha-4',
+    nodeUrl: 'ws://localhost:26658',
+    explorer: celeniumTemplates('https://mocha.celenium.io'),
+    gasPrice: 0.002,
+    maxBlobSize: DEFAULT_MAX_BLOB_SIZE,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    denom: 'utia',
+    displayDenom: 'TIA',
+    startCommand: 'celestia light start --p2p.network mocha --core.ip rpc-mocha.pops.one --core.port 9090 --rpc.skip-auth'
+  },
+  arabica: {
+    id: 'arabica',
+    name: 'Arabica Devnet',
+    chainId: 'arabica-11',
+    nodeUrl: 'ws://localhost:26658',
+    explorer: celeniumTemplates('https://arabica.celenium.io'),
+    gasPrice: 0.002,
+    maxBlobSize: DEFAULT_MAX_BLOB_SIZE,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    denom: 'utia',
+    displayDenom: 'TIA',
+    startCommand: 'celestia light start --p2p.network arabica --core.ip validator-1.celestia-arabica-11.com --core.port 9090 --rpc.skip-auth'
+  },
+  mammoth: {
+    id: 'mammoth',
+    name: 'Mammoth',
+    chainId: 'mammoth',
+    nodeUrl: 'ws://localhost:26658',
+    explorer: celeniumTemplates('https://mammoth.celenium.io'),
+    gasPrice: 0.002,
+    // The network's 32 MiB cap is far above the largest blob the node accepts
+    maxBlobSize: DEFAULT_MAX_BLOB_SIZE,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    denom: 'utia',
+    displayDenom: 'TIA',
+    startCommand: 'celestia light start --p2p.network mammoth --core.ip global.grpc.mamochain.com --core.port 9090 --rpc.skip-auth'
+  },
+  custom: {
+    id: 'custom',
+    name: 'Custom',
+    chainId: '',
+    nodeUrl: 'ws://localhost:26658',
+    explorer: {},
+    gasPrice: 0.002,
+    maxBlobSize: DEFAULT_MAX_BLOB_SIZE,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    denom: 'utia',
+    displayDenom: 'TIA',
+    startCommand: 'celestia light start --p2p.network <network> --core.ip <consensus-node> --core.port 9090 --rpc.skip-auth'
+  }
+};
+
+/**
+ * Get the network of a connection profile, with any custom overrides applied
+ * @param {string} profile - Profile name (defaults to the active profile)
+ * @returns {Object} - Network profile
+ */
+export function getActiveNetwork(profile) {
+  const { network, custom } = getConnectionSettings(profile);
+  const preset = NETWORKS[network] || NETWORKS[DEFAULT_NETWORK];
+
+  if (preset.id !== 'custom' || !custom) {
+    return preset;
+  }
+
+  const chunkSize = parseInt(custom.chunkSize, 10);
+
+  return {
+    ...preset,
+    name: custom.name || preset.name,
+    explorer: custom.explorerUrl ? celeniumTemplates(custom.explorerUrl) : {},
+    gasPrice: custom.gasPrice !== undefined && custom.gasPrice !== '' ? parseFloat(custom.gasPrice) : preset.gasPrice,
+    chunkSize: chunkSize > 0 ? Math.min(chunkSize, preset.maxBlobSize) : preset.chunkSize,
+    denom: custom.denom || preset.denom,
+    displayDenom: custom.denom ? custom.denom.replace(/^u/, '').toUpperCase() : preset.displayDenom
+  };
+}
+
+/**
+ * Fill an explorer URL template of the active network
+ * @param {string} kind - Template name (tx, namespace or block)
+ * @param {Object} params - Values for the template placeholders
+ * @returns {string} - Explorer URL, or an empty string if the network has no explorer
+ */
+function buildExplorerUrl(kind, params) {
+  const template = getActiveNetwork().explorer[kind];
+  if (!template) {
+    return '';
+  }
+
+  return template.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(params[key]));
+}
+
+/**
+ * Get the explorer URL of a transaction
+ * @param {string} hash - Transaction hash
+ * @returns {string} - Explorer URL, or an empty string if the network has no explorer
+ */
+export function getTxExplorerUrl(hash) {
+  return buildExplorerUrl('tx', { hash });
+}
+
+/**
+ * Get the explorer URL of a namespace
+ * @param {string} namespaceHex - Full 29-byte namespace, 28-byte ID or user-specified ID suffix in hex
+ * @returns {string} - Explorer URL, or an empty string if the network has no explorer
+ */
+export function getNamespaceExplorerUrl(namespaceHex) {
+  // The explorer addresses namespaces by their 28-byte ID, left-padded with zeros
+  const id = namespaceHex.length === 58 ? namespaceHex.slice(2) : namespaceHex;
+  return buildExplorerUrl('namespace', { namespace: id.padStart(56, '0').toLowerCase() });
+}
+
+/**
+ * Get the explorer URL of a block
+ * @param {number} height - Block height
+ * @returns {string} - Explorer URL, or an empty string if the network has no explorer
+ */
+export function getBlockExplorerUrl(height) {
+  return buildExplorerUrl('block', { height });
+}
+
+/**
+ * Format an amount in the network's base denom for display
+ * @param {string|number} amount - Amount in the base denom (e.g. utia)
+ * @param {string} denom - Denom of the amount
+ * @returns {string} - Formatted amount
+ */
+export function formatAmount(amount, denom) {
+  const network = getActiveNetwork();
+
+  // Convert the base denom to the display denom (1 TIA = 1,000,000 utia)
+  if (denom === network.denom) {
+    return `${(parseFloat(amount) / 1000000).toFixed(6)} ${network.displayDenom}`;
+  }
+
+  return `${amount} ${denom}`;
+}
@@ -0,0 +1,174 @@
+/**
+ * Blob inclusion proofs: fetching a blob's namespace Merkle proof and checking it against the block header
+ */
+import { sendRpcRequest } from './websocket.js';
+import { getActiveNetwork } from './networks.js';
+import { getBlob } from './blob.js';
+import { base64ToBytes, bytesToBase64, bytesToHex } from '../utils/codec.js';
+import { NAMESPACE_SIZE, namespaceFromBase64, namespaceIdToHex } from '../utils/namespace.js';
+import { splitBlobIntoShares } from '../utils/shares.js';
+import { createCommitment } from '../utils/commitment.js';
+import { hashNmtLeaf, verifyNmtProof } from '../utils/nmt.js';
+
+// A namespaced Merkle tree node is the min and max namespace under it followed by a SHA-256 digest
+const NMT_DIGEST_SIZE = 32;
+const NMT_NODE_SIZE = NAMESPACE_SIZE * 2 + NMT_DIGEST_SIZE;
+
+/**
+ * Fetch a blob's inclusion proof and check it in the browser against the row roots of the header
+ * at the blob's height. The node's own blob.Included answer is reported next to it.
+ * @param {number|string} height - Block height
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {string} commitment - Base64 encoded share commitment
+ * @returns {Promise<Object>} - Proof report with a verified verdict, the checks behind it, the header and the proof
+ */
+export async function verifyBlobInclusion(height, namespace, commitment) {
+  const heightValue = parseInt(height, 10);
+
+  const [proofResponse, headerResponse, blob] = await Promise.all([
+    sendRpcRequest('blob.GetProof', [heightValue, namespace, commitment]),
+    sendRpcRequest('header.GetByHeight', [heightValue]),
+    getBlob(heightValue, namespace, commitment)
+  ]);
+  const proof = proofResponse.result;
+  const header = summarizeHeader(headerResponse.result);
+  const rowRoots = (headerResponse.result && headerResponse.result.dah && headerResponse.result.dah.row_roots) || [];
+  const proofPresent = Array.isArray(proof) && proof.length > 0;
+
+  // The node checks the proof against the data root of the header it has for that height
+  const includedResponse = await sendRpcRequest('blob.Included', [heightValue, namespace, proof, commitment]);
+
+  const checks = {
+    headerHeightMatches: header.height === heightValue,
+    headerHasDataRoot: Boolean(header.dataHash),
+    proofPresent,
+    commitmentMatches: await matchesCommitment(blob, commitment),
+    proofMatchesRowRoots: proofPresent && await verifyProofAgainstRows(proof, blob, rowRoots),
+    included: includedResponse.result === true
+  };
+
+  return {
+    verified: Object.values(checks).every(Boolean),
+    checks,
+    chainId: header.chainId || getActiveNetwork().chainId,
+    height: heightValue,
+    namespace,
+    namespaceHex: namespaceIdToHex(namespaceFromBase64(namespace)),
+    commitment,
+    header,
+    proof,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that the blob's data has the commitment it was fetched by, so the proven shares are that blob's
+ * @param {Object} blob - Blob from blob.Get
+ * @param {string} commitment - Base64 encoded share commitment
+ * @returns {Promise<boolean>} - True if the commitment computed from the data matches
+ */
+async function matchesCommitment(blob, commitment) {
+  try {
+    const computed = await createCommitment(namespaceFromBase64(blob.namespace), base64ToBytes(blob.data));
+    return bytesToBase64(computed.commitment) === commitment;
+  } catch (error) {
+    console.error('Error computing the commitment of the proven blob:', error);
+    return false;
+  }
+}
+
+/**
+ * Check each row proof against the row root it belongs to, with the blob's shares as the leaves
+ * @param {Array} proof - Proof returned by blob.GetProof, one namespace Merkle proof per row the blob spans
+ * @param {Object} blob - Blob from blob.Get, with its namespace, data and index (first share in the square)
+ * @param {Array<string>} rowRoots - Base64 encoded row roots of the extended square
+ * @returns {Promise<boolean>} - True if every row proof leads to its row root and together they cover every share
+ */
+async function verifyProofAgainstRows(proof, blob, rowRoots) {
+  // The extended square has twice as many rows as the original square is wide
+  const squareSize = rowRoots.length / 2;
+  const index = parseInt(blob.index, 10);
+  if (!Number.isInteger(squareSize) || squareSize === 0 || isNaN(index)) {
+    return false;
+  }
+
+  try {
+    const shares = splitBlobIntoShares(namespaceFromBase64(blob.namespace), base64ToBytes(blob.data));
+    const leafHashes = await Promise.all(shares.map(hashNmtLeaf));
+    const firstRow = Math.floor(index / squareSize);
+    let used = 0;
+
+    for (const [rowOffset, rowProof] of proof.entries()) {
+      const start = rowProof.start || 0;
+      const end = rowProof.end || 0;
+      const rowRoot = rowRoots[firstRow + rowOffset];
+
+      // The blob starts at its index and continues at the start of each following row
+      const expectedStart = rowOffset === 0 ? index % squareSize : 0;
+      if (!rowRoot || start !== expectedStart) {
+        return false;
+      }
+
+      const rowLeaves = leafHashes.slice(used, used + end - start);
+      const nodes = (rowProof.nodes || []).map(base64ToBytes);
+      if (!await verifyNmtProof({ start, end, nodes }, rowLeaves, base64ToBytes(rowRoot))) {
+        return false;
+      }
+      used += end - start;
+    }
+
+    return used === leafHashes.length;
+  } catch (error) {
+    console.error('Error checking the proof against the row roots:', error);
+    return false;
+  }
+}
+
+/**
+ * Describe the nodes of a proof for display
+ * @param {Array} proof - Proof returned by blob.GetProof, one namespace Merkle proof per row the blob spans
+ * @returns {Array<Object>} - Per row proof, with start, end and nodes holding minNamespace, maxNamespace and digest in hex
+ */
+export function describeProofPath(proof) {
+  return (proof || []).map(rowProof => ({
+    start: rowProof.start,
+    end: rowProof.end,
+    nodes: (rowProof.nodes || []).map(describeNode)
+  }));
+}
+
+/**
+ * Split a namespaced Merkle tree node into its parts
+ * @param {string} node - Base64 encoded node
+ * @returns {Object} - Object with minNamespace, maxNamespace and digest in hex, or just digest if the node doesn't have the expected size
+ */
+function describeNode(node) {
+  const bytes = base64ToBytes(node);
+  if (bytes.length !== NMT_NODE_SIZE) {
+    return { digest: bytesToHex(bytes) };
+  }
+
+  return {
+    minNamespace: bytesToHex(bytes.subarray(0, NAMESPACE_SIZE)),
+    maxNamespace: bytesToHex(bytes.subarray(NAMESPACE_SIZE, NAMESPACE_SIZE * 2)),
+    digest: bytesToHex(bytes.subarray(NAMESPACE_SIZE * 2))
+  };
+}
+
+/**
+ * Keep the parts of an extended header that a proof is checked against
+ * @param {Object} extendedHeader - Result of header.GetByHeight
+ * @returns {Object} - Object with chainId, height, time, dataHash and rowRoots properties
+ */
+function summarizeHeader(extendedHeader) {
+  const header = (extendedHeader && extendedHeader.header) || {};
+  const dah = (extendedHeader && extendedHeader.dah) || {};
+
+  return {
+    chainId: header.chain_id,
+    height: parseInt(header.height, 10),
+    time: header.time,
+    dataHash: header.data_hash,
+    rowRoots: dah.row_roots ? dah.row_roots.length : 0
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Share square layouts: where a namespace's shares sit in the extended data square of a height
+ *
+ * The extended square is twice the width of the original square, and everything outside the
+ * original quadrant is parity. The original quadrant is either classified share by share from
+ * share.GetEDS, or only the namespace's shares are placed, from share.GetNamespaceData and the
+ * namespace ranges of the header's row roots.
+ */
+import { sendRpcRequest } from './websocket.js';
+import { getAllBlobs } from './blob.js';
+import { base64ToBytes, bytesToHex } from '../utils/codec.js';
+import { NAMESPACE_SIZE, RESERVED_NAMESPACES, isReservedNamespace, namespaceFromBase64 } from '../utils/namespace.js';
+import { SHARE_SIZE, getSharesNeeded, getShareCapacity, isPaddingShare } from '../utils/shares.js';
+
+// What a share of the square holds
+export const SHARE_CATEGORIES = {
+  NAMESPACE: 'namespace',
+  NAMESPACE_PADDING: 'namespacePadding',
+  OTHER_BLOB: 'otherBlob',
+  RESERVED: 'reserved',
+  PRIMARY_PADDING: 'primaryPadding',
+  TAIL_PADDING: 'tailPadding',
+  PARITY: 'parity',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Lay out the extended data square of a height around a namespace
+ * @param {number|string} height - Block height
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {Object} options - Object with a full property, true to fetch every share with share.GetEDS
+ * @returns {Promise<Object>} - Layout with height, squareSize (original width), width (extended width), cells (category per share, row by row), namespaces (hex per original share, full layouts only), counts per category, blobs (share usage of the namespace's blobs) and full properties
+ */
+export async function getSquareLayout(height, namespace, { full = false } = {}) {
+  const heightValue = parseInt(height, 10);
+  const namespaceBytes = namespaceFromBase64(namespace);
+
+  const headerResponse = await sendRpcRequest('header.GetByHeight', [heightValue]);
+  const rowRoots = (headerResponse.result && headerResponse.result.dah && headerResponse.result.dah.row_roots) || [];
+  if (rowRoots.length === 0) {
+    throw new Error(`The header at height ${heightValue} has no row roots`);
+  }
+
+  const width = rowRoots.length;
+  const squareSize = width / 2;
+  const cells = new Array(width * width).fill(SHARE_CATEGORIES.UNKNOWN);
+  for (let row = 0; row < width; row++) {
+    for (let column = 0; column < width; column++) {
+      if (row >= squareSize || column >= squareSize) {
+        cells[row * width + column] = SHARE_CATEGORIES.PARITY;
+      }
+    }
+  }
+
+  let namespaces = null;
+  if (full) {
+    namespaces = await placeEveryShare(cells, heightValue, namespaceBytes, width);
+  } else {
+    await placeNamespaceShares(cells, heightValue, namespace, namespaceBytes, rowRoots.slice(0, squareSize), width);
+  }
+
+  const counts = {};
+  cells.forEach(category => {
+    counts[category] = (counts[category] || 0) + 1;
+  });
+
+  const blobs = (await getAllBlobs(heightValue, namespace)).map(blob => describeShareUsage(blob));
+
+  return { height: heightValue, squareSize, width, cells, namespaces, counts, blobs, full };
+}
+
+/**
+ * Classify every share of the original square from share.GetEDS
+ * @param {Array<string>} cells - Categories to fill in
+ * @param {number} height - Block height
+ * @param {Uint8Array} namespaceBytes - The namespace
+ * @param {number} width - Width of the extended square
+ * @returns {Promise<Array<string>>} - Namespace of each share in hex, row by row, null for parity shares
+ */
+async function placeEveryShare(cells, height, namespaceBytes, width) {
+  const response = await sendRpcRequest('share.GetEDS', [height]);
+  const shares = (response.result && response.result.data_square) || [];
+  if (shares.length !== width * width) {
+    throw new Error(`share.GetEDS returned ${shares.length} shares for a ${width}x${width} square`);
+  }
+
+  const namespaceHex = bytesToHex(namespaceBytes);
+  const namespaces = new Array(width * width).fill(null);
+
+  shares.forEach((share, index) => {
+    if (cells[index] === SHARE_CATEGORIES.PARITY) return;
+
+    const bytes = base64ToBytes(share);
+    namespaces[index] = bytesToHex(bytes.subarray(0, NAMESPACE_SIZE));
+    cells[index] = classifyShare(bytes, namespaces[index], namespaceHex);
+  });
+
+  return namespaces;
+}
+
+/**
+ * Place the namespace's shares from share.GetNamespaceData. The node returns one entry per
+ * original row whose root's namespace range covers the namespace, in row order.
+ * @param {Array<string>} cells - Categories to fill in
+ * @param {number} height - Block height
+ * @param {string} namespace - Base64 encoded namespace
+ * @param {Uint8Array} namespaceBytes - The namespace
+ * @param {Array<string>} rowRoots - Base64 encoded row roots of the original square
+ * @param {number} width - Width of the extended square
+ */
+async function placeNamespaceShares(cells, height, namespace, namespaceBytes, rowRoots, width) {
+  const response = await sendRpcRequest('share.GetNamespaceData', [height, namespace]);
+  const rowsData = response.result || [];
+
+  const rows = rowRoots
+    .map((root, row) => ({ root: base64ToBytes(root), row }))
+    .filter(({ root }) => compareBytes(root.subarray(0, NAMESPACE_SIZE), namespaceBytes) <= 0
+      && compareBytes(root.subarray(NAMESPACE_SIZE, NAMESPACE_SIZE * 2), namespaceBytes) >= 0)
+    .map(({ row }) => row);
+
+  if (rowsData.length !== rows.length) {
+    throw new Error(`share.GetNamespaceData returned ${rowsData.length} rows, but ${rows.length} row roots cover the namespace`);
+  }
+
+  rowsData.forEach((rowData, position) => {
+    const start = (rowData.proof && rowData.proof.start) || 0;
+    (rowData.shares || []).forEach((share, offset) => {
+      const bytes = base64ToBytes(share);
+      cells[rows[position] * width + start + offset] = isPaddingShare(bytes)
+        ? SHARE_CATEGORIES.NAMESPACE_PADDING
+        : SHARE_CATEGORIES.NAMESPACE;
+    });
+  });
+}
+
+/**
+ * Classify a share of the original square by its namespace
+ * @param {Uint8Array} share - 512-byte share
+ * @param {string} shareNamespaceHex - The share's namespace in hex
+ * @param {string} namespaceHex - The namespace being looked at, in hex
+ * @returns {string} - One of SHARE_CATEGORIES
+ */
+function classifyShare(share, shareNamespaceHex, namespaceHex) {
+  if (shareNamespaceHex === namespaceHex) {
+    return isPaddingShare(share) ? SHARE_CATEGORIES.NAMESPACE_PADDING : SHARE_CATEGORIES.NAMESPACE;
+  }
+  if (shareNamespaceHex === RESERVED_NAMESPACES.TAIL_PADDING_NAMESPACE) {
+    return SHARE_CATEGORIES.TAIL_PADDING;
+  }
+  if (shareNamespaceHex === RESERVED_NAMESPACES.PRIMARY_RESERVED_PADDING_NAMESPACE) {
+    return SHARE_CATEGORIES.PRIMARY_PADDING;
+  }
+
+  try {
+    return isReservedNamespace(share.subarray(0, NAMESPACE_SIZE)) ? SHARE_CATEGORIES.RESERVED : SHARE_CATEGORIES.OTHER_BLOB;
+  } catch (error) {
+    // Namespace versions this app doesn't parse can only hold blobs
+    return SHARE_CATEGORIES.OTHER_BLOB;
+  }
+}
+
+/**
+ * Describe how a blob's data fills its shares
+ * @param {Object} blob - Blob returned by blob.GetAll
+ * @returns {Object} - Object with index, commitment, size, shares, capacity (bytes the shares hold), spare (bytes that would still fit) and utilization (data bytes over share bytes) properties
+ */
+function describeShareUsage(blob) {
+  const size = blob.data ? base64ToBytes(blob.data).length : 0;
+  const shares = getSharesNeeded(size);
+  const capacity = getShareCapacity(shares);
+
+  return {
+    index: blob.index,
+    commitment: blob.commitment,
+    size,
+    shares,
+    capacity,
+    spare: capacity - size,
+    utilization: size / (shares * SHARE_SIZE)
+  };
+}
+
+/**
+ * Compare byte arrays lexicographically
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {number} - Negative, zero or positive as a sorts before, with or after b
+ */
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
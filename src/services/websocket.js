@@ -1,8 +1,8 @@
-import { updateAllNodeInfo } from '../components/nodeInfo/nodeInfo.js';
-
-// Configuration for the Celestia node
-const CELESTIA_NODE_URL = 'ws://localhost:26658';
-const CELESTIA_NODE_AUTH = ''; // No auth as specified in the command (--rpc.skip-auth)
+import { getConnectionSettings, buildWebSocketUrl } from './connectionSettings.js';
+import { getActiveNetwork } from './networks.js';
+import { sendHttpRequest } from './httpTransport.js';
+import { setConnectionState, recordLatency, CONNECTION_STATES } from './connectionState.js';
+import { RpcError, ConnectionClosedError, RequestTimeoutError, RequestAbortedError, NodeUnreachableError, AuthError } from './errors.js';
 
 // WebSocket connection state
 let ws = null;
@@ -10,7 +10,30 @@ let requestId = 1;
 let pendingRequests = {};
 let isConnected = false;
 let reconnectAttempts = 0;
-const maxReconnectAttempts = 5;
+let reconnectTimer = null;
+
+// Reconnect backoff doubles per attempt up to the cap. Jitter keeps many open tabs
+// from hammering a restarting node in lockstep.
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Request timeouts. Submissions wait for the transaction to be included in a block.
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+const SUBMIT_REQUEST_TIMEOUT = 120000;
+const SUBMIT_METHODS = ['blob.Submit', 'state.Transfer', 'state.SubmitPayForBlob'];
+
+// Transports carry requests to the node. All share the send(id, method, params, options) signature.
+const transports = {
+  websocket: { name: 'WebSocket', send: dispatchRequest },
+  http: { name: 'HTTP', send: sendHttpRequest }
+};
+let activeTransport = transports.websocket;
+let isHttpReachable = false;
+
+// Active subscriptions, keyed by subscription id. The node streams each
+// subscription over a channel that only lives as long as the connection.
+let subscriptionId = 1;
+const subscriptions = new Map();
 
 /**
  * Connect to the Celestia node WebSocket
@@ -20,28 +43,33 @@ export function connectWebSocket() {
     return; // Already connected or connecting
   }
   
+  // Connecting now supersedes any scheduled attempt
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  
+  // Reconnect attempts keep reporting the reconnecting state
+  if (reconnectAttempts === 0) {
+    setConnectionState(CONNECTION_STATES.CONNECTING);
+  }
+  
   try {
-    // Using the browser's native WebSocket API
-    ws = new WebSocket(CELESTIA_NODE_URL);
+    // Using the browser's native WebSocket API, authenticated with the active profile's token
+    ws = new WebSocket(buildWebSocketUrl(getConnectionSettings()));
     
     ws.onopen = () => {
       console.log('WebSocket connection established');
       isConnected = true;
       reconnectAttempts = 0;
       
-      // Notify UI that connection is established
-      const connectionStatus = document.getElementById('connectionStatus');
-      if (connectionStatus) {
-        connectionStatus.classList.remove('text-danger', 'text-warning');
-        connectionStatus.classList.add('text-success');
-        connectionStatus.textContent = 'Connected to Celestia node via WebSocket';
-      }
+      // Prefer the socket again if we had fallen back to HTTP
+      activeTransport = transports.websocket;
+      setConnectionState(CONNECTION_STATES.OPEN, { transport: activeTransport.name });
       
-      // Hide the connection alert since we're connected
-      const nodeConnectionAlert = document.getElementById('nodeConnectionAlert');
-      if (nodeConnectionAlert) {
-        nodeConnectionAlert.style.display = 'none';
-      }
+      // Channels don't survive a reconnect, so open them again
+      subscriptions.forEach(subscription => {
+        subscription.channelId = null;
+        openSubscriptionChannel(subscription).catch(() => {}); // Already logged
+      });
     };
     
     ws.onmessage = (event) => {
@@ -50,16 +78,18 @@ export function connectWebSocket() {
         
         // If this is a response to a pending request
         if (response.id && pendingRequests[response.id]) {
-          const { resolve, reject } = pendingRequests[response.id];
+          const { resolve, reject, cleanup } = pendingRequests[response.id];
+          
+          // Clean up the pending request
+          cleanup();
           
           if (response.error) {
-            reject(new Error(response.error.message || 'Unknown error'));
+            reject(new RpcError(response.error));
           } else {
             resolve(response);
           }
-          
-          // Clean up the pending request
-          delete pendingRequests[response.id];
+        } else if (response.method) {
+          handleNotification(response);
         } else {
           // Handle subscription messages or other unexpected messages
           console.log('Received message:', response);
@@ -79,33 +109,22 @@ export function connectWebSocket() {
       isConnected = false;
       ws = null;
       
-      // Attempt to reconnect
-      if (reconnectAttempts < maxReconnectAttempts) {
-        reconnectAttempts++;
-        const delay = Math.min(1000 * reconnectAttempts, 5000);
-        console.log(`Attempting to reconnect in ${delay}ms...`);
-        
-        setTimeout(connectWebSocket, delay);
-      } else {
-        console.error('Failed to reconnect after multiple attempts');
-        
-        // Update UI to show disconnected state
-        const connectionStatus = document.getElementById('connectionStatus');
-        if (connectionStatus) {
-          connectionStatus.classList.remove('text-success');
-          connectionStatus.classList.add('text-danger');
-          connectionStatus.innerHTML = 'Disconnected from Celestia node';
-        }
-        
-        // Show the connection alert
-        const nodeConnectionAlert = document.getElementById('nodeConnectionAlert');
-        if (nodeConnectionAlert) {
-          nodeConnectionAlert.style.display = 'block';
-        }
-        
-        // Update all node information to show error states
-        updateAllNodeInfo();
+      // The node can no longer answer requests sent on this connection
+      rejectPendingRequests();
+      
+      // Keep trying until the node is back, e.g. after a restart for an upgrade
+      reconnectAttempts++;
+      const delay = getReconnectDelay(reconnectAttempts);
+      console.log(`Attempting to reconnect in ${delay}ms...`);
+      
+      // Requests carried over HTTP meanwhile keep the connection open
+      if (activeTransport !== transports.http || !isHttpReachable) {
+        setConnectionState(CONNECTION_STATES.RECONNECTING, {
+          attempt: reconnectAttempts,
+          retryAt: Date.now() + delay
+        });
       }
+      reconnectTimer = setTimeout(connectWebSocket, delay);
     };
   } catch (error) {
     console.error('Error connecting to WebSocket:', error);
@@ -114,68 +133,328 @@ export function connectWebSocket() {
 }
 
 /**
- * Send an RPC request over the WebSocket connection
+ * Close the current connection and reconnect with the latest connection settings
+ */
+export function reconnectWebSocket() {
+  if (ws !== null) {
+    // Detach the close handler so the old socket doesn't schedule its own reconnect
+    ws.onclose = null;
+    ws.close();
+    ws = null;
+  }
+  
+  rejectPendingRequests();
+  
+  isConnected = false;
+  reconnectAttempts = 0;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  
+  // The new settings may point at a node the socket can reach
+  activeTransport = transports.websocket;
+  isHttpReachable = false;
+  connectWebSocket();
+}
+
+/**
+ * Get the delay before a reconnect attempt
+ * @param {number} attempt - Reconnect attempt, starting at 1
+ * @returns {number} - Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Send an RPC request over the WebSocket connection, or over HTTP if the socket can't be established
  * @param {string} method - The RPC method to call
  * @param {Array} params - The parameters for the RPC method
+ * @param {Object} options - Object with optional timeout (in milliseconds) and signal (AbortSignal) properties
  * @returns {Promise} - A promise that resolves with the response
  */
-export async function sendRpcRequest(method, params = []) {
-  if (!isConnected) {
-    let connectionTimeout = false;
-    
-    // Set a 1-second timeout for connection attempts
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        connectionTimeout = true;
-        reject(new Error('Connection timeout: Unable to connect to Celestia node. Please start your node with:\ncelestia light start --p2p.network mammoth --core.ip global.grpc.mamochain.com --core.port 9090 --rpc.skip-auth'));
-      }, 1000);
-    });
-    
-    const connectionPromise = new Promise((resolve) => {
-      const checkConnection = () => {
-        if (connectionTimeout) return; // Stop checking if timeout occurred
-        
-        if (isConnected) {
-          resolve();
-        } else {
-          connectWebSocket();
-          setTimeout(checkConnection, 500);
-        }
-      };
-      checkConnection();
-    });
+export async function sendRpcRequest(method, params = [], options = {}) {
+  const requestOptions = { ...options, timeout: options.timeout || getRequestTimeout(method) };
+  
+  if (activeTransport === transports.websocket) {
+    try {
+      await waitForConnection();
+    } catch (error) {
+      // Proxies that strip WebSocket upgrades still let plain POSTs through
+      console.warn('WebSocket unavailable, falling back to HTTP:', error.message);
+      activeTransport = transports.http;
+    }
+  }
+  
+  const transport = activeTransport;
+  const startTime = performance.now();
+  try {
+    const response = await transport.send(requestId++, method, params, requestOptions);
     
-    // Race between connection and timeout
-    await Promise.race([connectionPromise, timeoutPromise]);
+    if (transport === transports.http && !isHttpReachable) {
+      isHttpReachable = true;
+      setConnectionState(CONNECTION_STATES.OPEN, { transport: transport.name });
+    }
+    recordLatency(performance.now() - startTime);
+    return response;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      isHttpReachable = false;
+      activeTransport = transports.websocket;
+      setConnectionState(CONNECTION_STATES.AUTH_ERROR, { error: error.message });
+    } else if (transport === transports.http && error instanceof NodeUnreachableError) {
+      // Neither transport works, so try the socket again on the next request
+      isHttpReachable = false;
+      activeTransport = transports.websocket;
+      setConnectionState(CONNECTION_STATES.FAILED, { error: error.message });
+    }
+    throw error;
   }
+}
+
+/**
+ * Get the timeout of a request
+ * @param {string} method - The RPC method to call
+ * @returns {number} - Timeout in milliseconds
+ */
+function getRequestTimeout(method) {
+  return SUBMIT_METHODS.includes(method) ? SUBMIT_REQUEST_TIMEOUT : DEFAULT_REQUEST_TIMEOUT;
+}
+
+/**
+ * Reject every in-flight request after the connection closed
+ */
+function rejectPendingRequests() {
+  Object.keys(pendingRequests).forEach(id => {
+    const { method, reject, cleanup } = pendingRequests[id];
+    cleanup();
+    reject(new ConnectionClosedError(method));
+  });
+}
+
+/**
+ * Wait for the WebSocket to connect, starting the connection if needed
+ * @returns {Promise} - A promise that resolves once connected
+ */
+async function waitForConnection() {
+  if (isConnected) return;
   
-  const id = requestId++;
-  const payload = {
-    jsonrpc: '2.0',
-    id,
-    method,
-    params
-  };
+  let connectionTimeout = false;
+  
+  // Set a 1-second timeout for connection attempts
+  const timeoutPromise = new Promise((_, reject) => {
+    setTimeout(() => {
+      connectionTimeout = true;
+      reject(new NodeUnreachableError(`Connection timeout: Unable to connect to Celestia node. Please start your node with:\n${getActiveNetwork().startCommand}`));
+    }, 1000);
+  });
+  
+  const connectionPromise = new Promise((resolve) => {
+    const checkConnection = () => {
+      if (connectionTimeout) return; // Stop checking if timeout occurred
+      
+      if (isConnected) {
+        resolve();
+      } else {
+        connectWebSocket();
+        setTimeout(checkConnection, 500);
+      }
+    };
+    checkConnection();
+  });
+  
+  // Race between connection and timeout
+  await Promise.race([connectionPromise, timeoutPromise]);
+}
+
+/**
+ * Route a channel notification from the node to its subscription handler
+ * @param {Object} notification - JSON-RPC notification without an id
+ */
+function handleNotification({ method, params = [] }) {
+  const [channelId, value] = params;
+  const subscription = findSubscriptionByChannel(channelId);
+  
+  if (method === 'xrpc.ch.val') {
+    if (subscription) {
+      try {
+        subscription.handler(value);
+      } catch (error) {
+        console.error(`Error in ${subscription.method} handler:`, error);
+      }
+    }
+  } else if (method === 'xrpc.ch.close') {
+    // The node closed the channel; it is reopened on the next reconnect
+    if (subscription) {
+      console.log(`Subscription ${subscription.method} closed by the node`);
+      subscription.channelId = null;
+      subscription.requestId = null;
+    }
+  } else {
+    console.log('Received message:', { method, params });
+  }
+}
+
+/**
+ * Find the subscription streaming over a channel
+ * @param {number} channelId - Channel id returned by the subscribe call
+ * @returns {Object|undefined} - Subscription, if any
+ */
+function findSubscriptionByChannel(channelId) {
+  for (const subscription of subscriptions.values()) {
+    if (subscription.channelId !== null && subscription.channelId === channelId) {
+      return subscription;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Send a request on the open connection without waiting for it to connect
+ * @param {number} id - Request id
+ * @param {string} method - The RPC method to call
+ * @param {Array} params - The parameters for the RPC method
+ * @param {Object} options - Object with optional timeout (in milliseconds) and signal (AbortSignal) properties
+ * @returns {Promise} - A promise that resolves with the response
+ */
+function dispatchRequest(id, method, params, { timeout, signal } = {}) {
+  const requestTimeout = timeout || getRequestTimeout(method);
   
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new RequestAbortedError(method));
+      return;
+    }
+    
+    // Give up on the request, and tell the node to stop working on it
+    const abandon = (error) => {
+      cleanup();
+      cancelRequest(id);
+      reject(error);
+    };
+    
+    const timer = setTimeout(() => abandon(new RequestTimeoutError(method, requestTimeout)), requestTimeout);
+    const onAbort = () => abandon(new RequestAbortedError(method));
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      delete pendingRequests[id];
+    };
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    
     try {
       if (!isConnected) {
         throw new Error('Not connected to Celestia node');
       }
       
-      pendingRequests[id] = { resolve, reject };
-      ws.send(JSON.stringify(payload));
+      pendingRequests[id] = { method, resolve, reject, cleanup };
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
     } catch (error) {
-      delete pendingRequests[id];
+      cleanup();
       reject(error);
     }
   });
 }
 
 /**
- * Check if the WebSocket is connected
+ * Call a subscription method and remember which channel it streams over
+ * @param {Object} subscription - Subscription to open
+ * @returns {Promise} - A promise that resolves once the channel is open
+ */
+async function openSubscriptionChannel(subscription) {
+  const id = requestId++;
+  subscription.requestId = id;
+  
+  try {
+    const response = await dispatchRequest(id, subscription.method, subscription.params);
+    
+    // The subscription may have been cancelled while the call was in flight
+    if (!subscriptions.has(subscription.id)) {
+      cancelRequest(id);
+      return;
+    }
+    subscription.channelId = response.result;
+  } catch (error) {
+    console.error(`Error subscribing to ${subscription.method}:`, error);
+    subscription.requestId = null;
+    throw error;
+  }
+}
+
+/**
+ * Cancel a request that is still running on the node, closing its channel
+ * @param {number} id - Request id
+ */
+function cancelRequest(id) {
+  if (isConnected && id !== null) {
+    ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'xrpc.cancel', params: [id] }));
+  }
+}
+
+/**
+ * Subscribe to a streaming RPC method such as header.Subscribe or blob.Subscribe.
+ * The subscription is re-opened automatically after a reconnect.
+ * @param {string} method - The subscription method to call
+ * @param {Array} params - The parameters for the subscription method
+ * @param {Function} handler - Called with every value the node sends
+ * @returns {Promise<Function>} - A promise that resolves with an unsubscribe function
+ */
+export async function subscribe(method, params, handler) {
+  // Wait for the connection the same way a regular request does
+  await waitForConnection();
+  
+  const subscription = {
+    id: subscriptionId++,
+    method,
+    params,
+    handler,
+    requestId: null,
+    channelId: null
+  };
+  subscriptions.set(subscription.id, subscription);
+  
+  try {
+    await openSubscriptionChannel(subscription);
+  } catch (error) {
+    subscriptions.delete(subscription.id);
+    throw error;
+  }
+  
+  return () => {
+    if (!subscriptions.delete(subscription.id)) return;
+    cancelRequest(subscription.requestId);
+  };
+}
+
+/**
+ * Subscribe to new headers as the node syncs them
+ * @param {Function} handler - Called with every new extended header
+ * @returns {Promise<Function>} - A promise that resolves with an unsubscribe function
+ */
+export function subscribeHeaders(handler) {
+  return subscribe('header.Subscribe', [], handler);
+}
+
+/**
+ * Subscribe to new blobs in a namespace
+ * @param {string} namespace - Base64-encoded namespace
+ * @param {Function} handler - Called with an object with Blobs and Height properties for every new block
+ * @returns {Promise<Function>} - A promise that resolves with an unsubscribe function
+ */
+export function subscribeBlobs(namespace, handler) {
+  return subscribe('blob.Subscribe', [namespace], handler);
+}
+
+/**
+ * Check if the node is reachable over the WebSocket or the HTTP fallback
  * @returns {boolean} - True if connected, false otherwise
  */
 export function getConnectionStatus() {
-  return isConnected;
+  return isConnected || (activeTransport === transports.http && isHttpReachable);
 }
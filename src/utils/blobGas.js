@@ -0,0 +1,62 @@
+/**
+ * Gas estimates for PayForBlobs transactions, following celestia-app's DefaultEstimateGas
+ */
+import { SHARE_SIZE, getSharesNeeded } from './shares.js';
+
+// celestia-app defaults
+const GAS_PER_BLOB_BYTE = 8;
+const TX_SIZE_COST_PER_BYTE = 10;
+const BYTES_PER_BLOB_INFO = 70;
+const PFB_GAS_FIXED_COST = 75000;
+
+/**
+ * Estimate the gas of a PayForBlobs transaction
+ * @param {Array<number>} blobSizes - Data size of each blob in bytes
+ * @returns {number} - Estimated gas
+ */
+export function estimateBlobGas(blobSizes) {
+  const shareGas = blobSizes.reduce((total, size) => total + getSharesNeeded(size) * SHARE_SIZE * GAS_PER_BLOB_BYTE, 0);
+  return shareGas + TX_SIZE_COST_PER_BYTE * BYTES_PER_BLOB_INFO * blobSizes.length + PFB_GAS_FIXED_COST;
+}
+
+// Gas price presets as multiples of the network's minimum gas price
+export const GAS_PRICE_PRESETS = {
+  low: 1,
+  medium: 1.5,
+  high: 3
+};
+
+/**
+ * Get the gas price of each preset
+ * @param {number} minGasPrice - Minimum gas price of the network, in the base denom
+ * @returns {Object} - Gas price per preset name
+ */
+export function getGasPricePresets(minGasPrice) {
+  const presets = {};
+  Object.entries(GAS_PRICE_PRESETS).forEach(([name, multiplier]) => {
+    // Round away floating point noise like 0.0030000000000000005
+    presets[name] = parseFloat((minGasPrice * multiplier).toPrecision(6));
+  });
+  return presets;
+}
+
+/**
+ * Estimate the shares, gas and fee of submitting blobs, one transaction per group
+ * @param {Array<Array<number>>} transactions - Blob sizes in bytes, grouped by transaction
+ * @param {number} gasPrice - Gas price in the base denom
+ * @returns {Object} - Object with shares, gas and fee (in the base denom, rounded up) properties
+ */
+export function estimateBlobFee(transactions, gasPrice) {
+  let shares = 0;
+  let gas = 0;
+  let fee = 0;
+
+  transactions.forEach(blobSizes => {
+    const transactionGas = estimateBlobGas(blobSizes);
+    shares += blobSizes.reduce((total, size) => total + getSharesNeeded(size), 0);
+    gas += transactionGas;
+    fee += Math.ceil(transactionGas * gasPrice);
+  });
+
+  return { shares, gas, fee };
+}
@@ -0,0 +1,172 @@
+/**
+ * Conversions between bytes and their text encodings
+ *
+ * Everything goes through Uint8Array, so any binary data and any Unicode text round-trip.
+ */
+
+// Canonical base64 with padding, and base64url with optional padding
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const BASE64URL_PATTERN = /^(?:[A-Za-z0-9_-]{4})*(?:[A-Za-z0-9_-]{2}(?:==)?|[A-Za-z0-9_-]{3}=?)?$/;
+const HEX_PATTERN = /^(?:[0-9a-fA-F]{2})*$/;
+
+// Bytes converted per String.fromCharCode call, below the engines' argument limits
+const CHUNK_SIZE = 0x8000;
+
+const HEX_DIGITS = Array.from({ length: 256 }, (_, byte) => byte.toString(16).padStart(2, '0'));
+
+/**
+ * Encode text as UTF-8
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+export function textToBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes to text
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @param {Object} options - Object with a fatal property to throw on invalid UTF-8 instead of inserting replacement characters
+ * @returns {string} - Decoded text
+ */
+export function bytesToText(bytes, { fatal = false } = {}) {
+  return new TextDecoder('utf-8', { fatal }).decode(bytes);
+}
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Hex string
+ */
+export function bytesToHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += HEX_DIGITS[bytes[i]];
+  }
+  return hex;
+}
+
+/**
+ * Decode hex to bytes
+ * @param {string} hex - Hex string with an even number of digits
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function hexToBytes(hex) {
+  if (!HEX_PATTERN.test(hex)) {
+    throw new Error('Invalid hex: must be an even number of hex characters');
+  }
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string with padding
+ */
+export function bytesToBase64(bytes) {
+  // btoa is binary-safe as long as every character is a single byte
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string with padding
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64ToBytes(base64) {
+  if (!BASE64_PATTERN.test(base64)) {
+    throw new Error('Invalid base64');
+  }
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64url, as used in JWTs and URLs
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64url string without padding
+ */
+export function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} base64Url - Base64url string, with or without padding
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64UrlToBytes(base64Url) {
+  if (!BASE64URL_PATTERN.test(base64Url)) {
+    throw new Error('Invalid base64url');
+  }
+
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  return base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+}
+
+/**
+ * Check if a string is valid base64
+ * @param {string} str - String to check
+ * @returns {boolean} - True if valid base64, false otherwise
+ */
+export function isValidBase64(str) {
+  return typeof str === 'string' && BASE64_PATTERN.test(str);
+}
+
+/**
+ * Get the number of bytes base64 decodes to, without decoding it
+ * @param {string} base64 - Base64 string with padding
+ * @returns {number} - Decoded size in bytes
+ */
+export function base64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return (base64.length / 4) * 3 - padding;
+}
+
+/**
+ * Encode text as base64 of its UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {string} - Base64 string
+ */
+export function textToBase64(text) {
+  return bytesToBase64(textToBytes(text));
+}
+
+/**
+ * Decode base64 of UTF-8 bytes to text
+ * @param {string} base64 - Base64 string
+ * @param {Object} options - Object with a fatal property to throw on invalid UTF-8
+ * @returns {string} - Decoded text
+ */
+export function base64ToText(base64, options) {
+  return bytesToText(base64ToBytes(base64), options);
+}
+
+/**
+ * Join byte arrays
+ * @param {...(Uint8Array|Array<number>)} parts - Byte arrays to join
+ * @returns {Uint8Array} - Joined bytes
+ */
+export function concatBytes(...parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
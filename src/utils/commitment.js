@@ -0,0 +1,150 @@
+/**
+ * Blob share commitments, computed the way celestia-app's inclusion.CreateCommitment does
+ *
+ * The blob's shares are split into a Merkle mountain range of subtrees whose width depends on
+ * the share count. Each subtree gets a namespaced Merkle tree root, and the commitment is the
+ * RFC 6962 Merkle root of those subtree roots.
+ */
+import { splitBlobIntoShares } from './shares.js';
+import { NAMESPACE_SIZE } from './namespace.js';
+import { sha256 } from './hash.js';
+import { concatBytes } from './codec.js';
+import { hashNmtLeaf } from './nmt.js';
+
+// Subtree roots a blob is split into at most, before subtrees get wider (appconsts.SubtreeRootThreshold)
+export const SUBTREE_ROOT_THRESHOLD = 64;
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+/**
+ * Compute the share commitment of a blob
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @param {Uint8Array} data - Blob data
+ * @param {number} subtreeRootThreshold - Subtree root threshold of the network
+ * @returns {Promise<Object>} - Object with the commitment bytes and the shareCount
+ */
+export async function createCommitment(namespace, data, subtreeRootThreshold = SUBTREE_ROOT_THRESHOLD) {
+  const shares = splitBlobIntoShares(namespace, data);
+  const subtreeWidth = getSubtreeWidth(shares.length, subtreeRootThreshold);
+
+  const subtreeRoots = [];
+  let cursor = 0;
+  for (const treeSize of getMerkleMountainRangeSizes(shares.length, subtreeWidth)) {
+    subtreeRoots.push(await computeNmtRoot(shares.slice(cursor, cursor + treeSize)));
+    cursor += treeSize;
+  }
+
+  return {
+    commitment: await computeMerkleRoot(subtreeRoots),
+    shareCount: shares.length
+  };
+}
+
+/**
+ * Get the width of the subtrees a blob's shares are grouped into
+ * @param {number} shareCount - Number of shares of the blob
+ * @param {number} subtreeRootThreshold - Subtree root threshold of the network
+ * @returns {number} - Subtree width, a power of two
+ */
+function getSubtreeWidth(shareCount, subtreeRootThreshold) {
+  const width = roundUpPowerOfTwo(Math.ceil(shareCount / subtreeRootThreshold));
+
+  // A subtree is never wider than the smallest square the blob fits in
+  const minSquareSize = roundUpPowerOfTwo(Math.ceil(Math.sqrt(shareCount)));
+  return Math.min(width, minSquareSize);
+}
+
+/**
+ * Split a number of leaves into the tree sizes of a Merkle mountain range
+ * @param {number} totalSize - Number of leaves
+ * @param {number} maxTreeSize - Largest tree size
+ * @returns {Array<number>} - Tree sizes, largest first
+ */
+function getMerkleMountainRangeSizes(totalSize, maxTreeSize) {
+  const treeSizes = [];
+  let remaining = totalSize;
+
+  while (remaining > 0) {
+    const treeSize = remaining >= maxTreeSize ? maxTreeSize : roundDownPowerOfTwo(remaining);
+    treeSizes.push(treeSize);
+    remaining -= treeSize;
+  }
+
+  return treeSizes;
+}
+
+/**
+ * Compute the root of a namespaced Merkle tree over shares of one namespace
+ * @param {Array<Uint8Array>} shares - Shares, each starting with its namespace
+ * @returns {Promise<Uint8Array>} - Root: min namespace, max namespace and SHA-256 digest
+ */
+async function computeNmtRoot(shares) {
+  const leaves = await Promise.all(shares.map(hashNmtLeaf));
+
+  return hashTree(leaves, async (left, right) => {
+    // All shares of a blob share a namespace, so the range is the left child's min and the right child's max
+    const minNamespace = left.subarray(0, NAMESPACE_SIZE);
+    const maxNamespace = right.subarray(NAMESPACE_SIZE, NAMESPACE_SIZE * 2);
+    return concatBytes(minNamespace, maxNamespace, await sha256(concatBytes([NODE_PREFIX], left, right)));
+  });
+}
+
+/**
+ * Compute an RFC 6962 Merkle root, as Tendermint's merkle.HashFromByteSlices does
+ * @param {Array<Uint8Array>} items - Leaf data
+ * @returns {Promise<Uint8Array>} - 32-byte root
+ */
+async function computeMerkleRoot(items) {
+  if (items.length === 0) {
+    return sha256(new Uint8Array(0));
+  }
+
+  const leaves = await Promise.all(items.map(item => sha256(concatBytes([LEAF_PREFIX], item))));
+  return hashTree(leaves, (left, right) => sha256(concatBytes([NODE_PREFIX], left, right)));
+}
+
+/**
+ * Hash leaf hashes up to a root, splitting at the largest power of two below the leaf count
+ * @param {Array<Uint8Array>} hashes - Leaf hashes
+ * @param {Function} hashNode - Async function combining a left and right hash
+ * @returns {Promise<Uint8Array>} - Root hash
+ */
+async function hashTree(hashes, hashNode) {
+  if (hashes.length === 1) {
+    return hashes[0];
+  }
+
+  const split = roundDownPowerOfTwo(hashes.length - 1);
+  const [left, right] = await Promise.all([
+    hashTree(hashes.slice(0, split), hashNode),
+    hashTree(hashes.slice(split), hashNode)
+  ]);
+  return hashNode(left, right);
+}
+
+/**
+ * Round up to a power of two
+ * @param {number} value - Positive integer
+ * @returns {number} - Smallest power of two at least value
+ */
+function roundUpPowerOfTwo(value) {
+  let result = 1;
+  while (result < value) {
+    result *= 2;
+  }
+  return result;
+}
+
+/**
+ * Round down to a power of two
+ * @param {number} value - Positive integer
+ * @returns {number} - Largest power of two at most value
+ */
+function roundDownPowerOfTwo(value) {
+  let result = 1;
+  while (result * 2 <= value) {
+    result *= 2;
+  }
+  return result;
+}
@@ -0,0 +1,343 @@
+/**
+ * File type detection for blob data, from magic bytes first and from the structure of the data otherwise
+ *
+ * Protobuf, CBOR and MessagePack have no magic bytes. They are reported when the whole blob parses
+ * as one, which is a strong hint for larger blobs but can match short binary data by chance.
+ */
+import { bytesToText } from './codec.js';
+
+// Detected types: MIME type, file extension, label and the category that picks the preview
+export const FILE_TYPES = {
+  png: { mimeType: 'image/png', extension: 'png', label: 'PNG image', category: 'image' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPEG image', category: 'image' },
+  gif: { mimeType: 'image/gif', extension: 'gif', label: 'GIF image', category: 'image' },
+  webp: { mimeType: 'image/webp', extension: 'webp', label: 'WebP image', category: 'image' },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg', label: 'SVG image', category: 'image' },
+  html: { mimeType: 'text/html', extension: 'html', label: 'HTML document', category: 'html' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', label: 'PDF document', category: 'binary' },
+  gzip: { mimeType: 'application/gzip', extension: 'gz', label: 'gzip archive', category: 'binary' },
+  zip: { mimeType: 'application/zip', extension: 'zip', label: 'ZIP archive', category: 'binary' },
+  json: { mimeType: 'application/json', extension: 'json', label: 'JSON', category: 'json' },
+  text: { mimeType: 'text/plain', extension: 'txt', label: 'UTF-8 text', category: 'text' },
+  cbor: { mimeType: 'application/cbor', extension: 'cbor', label: 'CBOR', category: 'binary' },
+  msgpack: { mimeType: 'application/msgpack', extension: 'msgpack', label: 'MessagePack', category: 'binary' },
+  protobuf: { mimeType: 'application/x-protobuf', extension: 'pb', label: 'Protobuf', category: 'binary' },
+  binary: { mimeType: 'application/octet-stream', extension: 'bin', label: 'Binary data', category: 'binary' }
+};
+
+// Magic bytes at the start of the data, null matching any byte
+const SIGNATURES = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { type: 'gzip', bytes: [0x1F, 0x8B, 0x08] },
+  { type: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+  // CBOR self-described tag 55799
+  { type: 'cbor', bytes: [0xD9, 0xD9, 0xF7] }
+];
+
+// Text that starts like an SVG or HTML document, after any XML declaration, doctype and comments
+const SVG_PATTERN = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i;
+const HTML_PATTERN = /^\s*(<!--[\s\S]*?-->\s*)*(<!doctype html[^>]*>|<html[\s>]|<head[\s>]|<body[\s>])/i;
+
+// Deepest nesting the structural checks follow
+const MAX_DEPTH = 64;
+
+/**
+ * Detect the type of blob data
+ * @param {Uint8Array} bytes - Blob data
+ * @returns {Object} - Entry of FILE_TYPES with a type property added, and likely set for structural matches
+ */
+export function detectFileType(bytes) {
+  const signature = SIGNATURES.find(candidate =>
+    bytes.length >= candidate.bytes.length && candidate.bytes.every((byte, i) => byte === null || bytes[i] === byte)
+  );
+  if (signature) {
+    return { ...FILE_TYPES[signature.type], type: signature.type };
+  }
+
+  const text = decodeText(bytes);
+  if (text !== null) {
+    const type = detectTextType(text);
+    return { ...FILE_TYPES[type], type };
+  }
+
+  const structuralChecks = [['cbor', isCbor], ['msgpack', isMessagePack], ['protobuf', isProtobuf]];
+  const match = structuralChecks.find(([, check]) => check(bytes));
+  if (match) {
+    return { ...FILE_TYPES[match[0]], type: match[0], likely: true };
+  }
+
+  return { ...FILE_TYPES.binary, type: 'binary' };
+}
+
+/**
+ * Decode data as UTF-8 text if it is valid and has no control characters besides whitespace
+ * @param {Uint8Array} bytes - Data to decode
+ * @returns {string|null} - The text, or null if the data isn't text
+ */
+function decodeText(bytes) {
+  if (bytes.length === 0) return null;
+
+  try {
+    const text = bytesToText(bytes, { fatal: true });
+    return /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/.test(text) ? null : text;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Tell JSON, SVG and HTML apart from plain text
+ * @param {string} text - Decoded text
+ * @returns {string} - json, svg, html or text
+ */
+function detectTextType(text) {
+  if (isJson(text)) return 'json';
+
+  // Only the start of the text decides, so large text isn't scanned
+  const start = text.slice(0, 4096);
+  if (SVG_PATTERN.test(start)) return 'svg';
+  if (HTML_PATTERN.test(start)) return 'html';
+  return 'text';
+}
+
+/**
+ * Check whether text is a JSON object or array
+ * @param {string} text - Text to check
+ * @returns {boolean} - True if the text parses as JSON
+ */
+function isJson(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return false;
+
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether data is exactly one CBOR array, map or tagged item
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {boolean} - True if the data parses as CBOR
+ */
+function isCbor(bytes) {
+  const majorType = bytes[0] >> 5;
+  if (bytes.length < 2 || ![4, 5, 6].includes(majorType)) return false;
+
+  try {
+    return skipCborItem(bytes, 0, 0) === bytes.length;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Skip over one CBOR data item
+ * @param {Uint8Array} bytes - CBOR data
+ * @param {number} offset - Offset of the item
+ * @param {number} depth - Nesting depth of the item
+ * @returns {number} - Offset after the item
+ */
+function skipCborItem(bytes, offset, depth) {
+  if (depth > MAX_DEPTH || offset >= bytes.length) throw new Error('Invalid CBOR');
+
+  const initial = bytes[offset];
+  const majorType = initial >> 5;
+  const info = initial & 0x1F;
+  let position = offset + 1;
+
+  if (info === 31) {
+    // Indefinite length strings, arrays and maps end with a break byte
+    if (![2, 3, 4, 5].includes(majorType)) throw new Error('Invalid CBOR');
+    while (bytes[position] !== 0xFF) {
+      position = skipCborItem(bytes, position, depth + 1);
+      if (majorType === 5) position = skipCborItem(bytes, position, depth + 1);
+    }
+    return position + 1;
+  }
+
+  if (info >= 28) throw new Error('Invalid CBOR');
+  const argumentSize = info < 24 ? 0 : 2 ** (info - 24);
+  const argument = info < 24 ? info : readUnsigned(bytes, position, argumentSize);
+  position += argumentSize;
+
+  switch (majorType) {
+    case 2:
+    case 3:
+      return checkBounds(bytes, position + argument);
+    case 4:
+      for (let i = 0; i < argument; i++) position = skipCborItem(bytes, position, depth + 1);
+      return position;
+    case 5:
+      for (let i = 0; i < argument * 2; i++) position = skipCborItem(bytes, position, depth + 1);
+      return position;
+    case 6:
+      return skipCborItem(bytes, position, depth + 1);
+    default:
+      return checkBounds(bytes, position);
+  }
+}
+
+/**
+ * Check whether data is exactly one MessagePack array or map
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {boolean} - True if the data parses as MessagePack
+ */
+function isMessagePack(bytes) {
+  const first = bytes[0];
+  const isContainer = (first >= 0x80 && first <= 0x9F) || (first >= 0xDC && first <= 0xDF);
+  if (bytes.length < 2 || !isContainer) return false;
+
+  try {
+    return skipMessagePackItem(bytes, 0, 0) === bytes.length;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Skip over one MessagePack object
+ * @param {Uint8Array} bytes - MessagePack data
+ * @param {number} offset - Offset of the object
+ * @param {number} depth - Nesting depth of the object
+ * @returns {number} - Offset after the object
+ */
+function skipMessagePackItem(bytes, offset, depth) {
+  if (depth > MAX_DEPTH || offset >= bytes.length) throw new Error('Invalid MessagePack');
+
+  const first = bytes[offset];
+  const position = offset + 1;
+
+  const skipItems = (count, start) => {
+    let next = start;
+    for (let i = 0; i < count; i++) next = skipMessagePackItem(bytes, next, depth + 1);
+    return next;
+  };
+
+  if (first <= 0x7F || first >= 0xE0) return position;
+  if (first <= 0x8F) return skipItems((first & 0x0F) * 2, position);
+  if (first <= 0x9F) return skipItems(first & 0x0F, position);
+  if (first <= 0xBF) return checkBounds(bytes, position + (first & 0x1F));
+
+  switch (first) {
+    case 0xC0: case 0xC2: case 0xC3:
+      return position;
+    case 0xC4: case 0xC5: case 0xC6: case 0xD9: case 0xDA: case 0xDB: {
+      // bin and str with a 1, 2 or 4 byte length
+      const lengthSize = first <= 0xC6 ? 2 ** (first - 0xC4) : 2 ** (first - 0xD9);
+      return checkBounds(bytes, position + lengthSize + readUnsigned(bytes, position, lengthSize));
+    }
+    case 0xC7: case 0xC8: case 0xC9: {
+      // ext with a 1, 2 or 4 byte length, followed by the type byte
+      const lengthSize = 2 ** (first - 0xC7);
+      return checkBounds(bytes, position + lengthSize + 1 + readUnsigned(bytes, position, lengthSize));
+    }
+    case 0xCA: return checkBounds(bytes, position + 4);
+    case 0xCB: return checkBounds(bytes, position + 8);
+    case 0xCC: case 0xCD: case 0xCE: case 0xCF:
+      return checkBounds(bytes, position + 2 ** (first - 0xCC));
+    case 0xD0: case 0xD1: case 0xD2: case 0xD3:
+      return checkBounds(bytes, position + 2 ** (first - 0xD0));
+    case 0xD4: case 0xD5: case 0xD6: case 0xD7: case 0xD8:
+      return checkBounds(bytes, position + 1 + 2 ** (first - 0xD4));
+    case 0xDC: case 0xDD: {
+      const lengthSize = first === 0xDC ? 2 : 4;
+      return skipItems(readUnsigned(bytes, position, lengthSize), position + lengthSize);
+    }
+    case 0xDE: case 0xDF: {
+      const lengthSize = first === 0xDE ? 2 : 4;
+      return skipItems(readUnsigned(bytes, position, lengthSize) * 2, position + lengthSize);
+    }
+    default:
+      throw new Error('Invalid MessagePack');
+  }
+}
+
+/**
+ * Check whether data parses as a protobuf message
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {boolean} - True if the data is a sequence of valid protobuf fields
+ */
+function isProtobuf(bytes) {
+  if (bytes.length < 2) return false;
+
+  try {
+    let position = 0;
+    while (position < bytes.length) {
+      const [key, keyEnd] = readVarint(bytes, position);
+      const fieldNumber = Math.floor(key / 8);
+      const wireType = key % 8;
+      if (fieldNumber === 0) return false;
+
+      position = keyEnd;
+      if (wireType === 0) {
+        position = readVarint(bytes, position)[1];
+      } else if (wireType === 1) {
+        position = checkBounds(bytes, position + 8);
+      } else if (wireType === 2) {
+        const [length, lengthEnd] = readVarint(bytes, position);
+        position = checkBounds(bytes, lengthEnd + length);
+      } else if (wireType === 5) {
+        position = checkBounds(bytes, position + 4);
+      } else {
+        // Groups are deprecated and other wire types don't exist
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a protobuf varint
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the varint
+ * @returns {Array<number>} - The value and the offset after the varint
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 10; i++) {
+    if (offset + i >= bytes.length) throw new Error('Truncated varint');
+    const byte = bytes[offset + i];
+    value += (byte & 0x7F) * 2 ** (7 * i);
+    if ((byte & 0x80) === 0) return [value, offset + i + 1];
+  }
+  throw new Error('Varint too long');
+}
+
+/**
+ * Read a big-endian unsigned integer
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the integer
+ * @param {number} size - Size of the integer in bytes
+ * @returns {number} - The value
+ */
+function readUnsigned(bytes, offset, size) {
+  checkBounds(bytes, offset + size);
+
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+/**
+ * Check that an offset is within the data
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset just after what was read
+ * @returns {number} - The offset
+ */
+function checkBounds(bytes, offset) {
+  if (offset > bytes.length) throw new Error('Unexpected end of data');
+  return offset;
+}
@@ -0,0 +1,22 @@
+/**
+ * Hashing through the Web Crypto API
+ */
+import { bytesToHex } from './codec.js';
+
+/**
+ * Hash bytes with SHA-256
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Promise<Uint8Array>} - 32-byte digest
+ */
+export async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Hash bytes with SHA-256 and encode the digest as hex
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Promise<string>} - Hex encoded digest
+ */
+export async function sha256Hex(bytes) {
+  return bytesToHex(await sha256(bytes));
+}
@@ -0,0 +1,293 @@
+/**
+ * Celestia namespace construction, parsing and validation
+ *
+ * A namespace is 29 bytes: a 1-byte version followed by a 28-byte ID.
+ * Version 0 IDs start with 18 zero bytes, which leaves 10 bytes for the user.
+ * Version 255 is reserved for the secondary reserved namespaces of the protocol.
+ */
+import { textToBytes, bytesToText, bytesToHex, hexToBytes, bytesToBase64, base64ToBytes } from './codec.js';
+
+export const NAMESPACE_VERSION_SIZE = 1;
+export const NAMESPACE_ID_SIZE = 28;
+export const NAMESPACE_SIZE = NAMESPACE_VERSION_SIZE + NAMESPACE_ID_SIZE;
+export const NAMESPACE_VERSION_ZERO = 0;
+export const NAMESPACE_VERSION_MAX = 255;
+
+// Leading zero bytes of a version 0 ID, and the user-specified bytes after them
+export const NAMESPACE_VERSION_ZERO_PREFIX_SIZE = 18;
+export const NAMESPACE_VERSION_ZERO_ID_SIZE = NAMESPACE_ID_SIZE - NAMESPACE_VERSION_ZERO_PREFIX_SIZE;
+
+// Hex namespaces are either a 10-byte user ID or a full 29-byte namespace
+const HEX_NAMESPACE_PATTERN = /^(?:0x)?(?:[0-9a-fA-F]{20}|[0-9a-fA-F]{58})$/;
+
+// Random word lists for generating readable namespaces
+const adjectives = [
+  'red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'black', 'white', 'gray',
+  'tiny', 'small', 'big', 'huge', 'giant', 'fast', 'slow', 'bright', 'dark', 'shiny',
+  'happy', 'sad', 'angry', 'calm', 'quiet', 'loud', 'brave', 'shy', 'clever', 'silly'
+];
+
+const nouns = [
+  'cat', 'dog', 'bird', 'fish', 'tiger', 'lion', 'bear', 'wolf', 'fox', 'rabbit',
+  'tree', 'flower', 'river', 'mountain', 'ocean', 'desert', 'forest', 'cloud', 'star', 'moon',
+  'book', 'pen', 'phone', 'computer', 'house', 'car', 'bike', 'boat', 'plane', 'rocket'
+];
+
+// Reserved namespaces that should not be used, in hex
+export const RESERVED_NAMESPACES = {
+  // Primary reserved namespaces (version 0)
+  TRANSACTION_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_ZERO, 0x00, 0x01),
+  INTERMEDIATE_STATE_ROOT_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_ZERO, 0x00, 0x02),
+  PAY_FOR_BLOB_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_ZERO, 0x00, 0x04),
+  PRIMARY_RESERVED_PADDING_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_ZERO, 0x00, 0xFF),
+
+  // Secondary reserved namespaces (version 255)
+  TAIL_PADDING_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_MAX, 0xFF, 0xFE),
+  PARITY_SHARE_NAMESPACE: reservedNamespaceHex(NAMESPACE_VERSION_MAX, 0xFF, 0xFF)
+};
+
+/**
+ * Build the hex of a reserved namespace, whose ID is a fill byte followed by one distinguishing byte
+ * @param {number} version - Namespace version
+ * @param {number} fill - Byte repeated through the ID
+ * @param {number} lastByte - Last byte of the ID
+ * @returns {string} - Hex encoded namespace
+ */
+function reservedNamespaceHex(version, fill, lastByte) {
+  const namespace = new Uint8Array(NAMESPACE_SIZE).fill(fill);
+  namespace[0] = version;
+  namespace[NAMESPACE_SIZE - 1] = lastByte;
+  return bytesToHex(namespace);
+}
+
+/**
+ * Create a namespace from a version and a 28-byte ID
+ * @param {number} version - Namespace version, 0 or 255
+ * @param {Uint8Array} id - 28-byte namespace ID
+ * @returns {Uint8Array} - 29-byte namespace
+ */
+export function createNamespace(version, id) {
+  if (id.length !== NAMESPACE_ID_SIZE) {
+    throw new Error(`Namespace ID must be exactly ${NAMESPACE_ID_SIZE} bytes (got ${id.length})`);
+  }
+
+  const namespace = new Uint8Array(NAMESPACE_SIZE);
+  namespace[0] = version;
+  namespace.set(id, NAMESPACE_VERSION_SIZE);
+
+  // Reject anything that wouldn't parse back
+  parseNamespace(namespace);
+
+  return namespace;
+}
+
+/**
+ * Create a version 0 namespace from the user-specified part of its ID
+ * @param {Uint8Array|string} userId - Up to 10 bytes, or text whose UTF-8 encoding is up to 10 bytes
+ * @param {Object} options - Object with a truncate property to cut longer IDs to 10 bytes instead of rejecting them
+ * @returns {Uint8Array} - 29-byte namespace
+ */
+export function createVersionZeroNamespace(userId, { truncate = false } = {}) {
+  let idBytes = typeof userId === 'string' ? textToBytes(userId) : userId;
+
+  if (idBytes.length > NAMESPACE_VERSION_ZERO_ID_SIZE) {
+    if (!truncate) {
+      throw new Error(`Namespace ID must be ${NAMESPACE_VERSION_ZERO_ID_SIZE} bytes or less (got ${idBytes.length})`);
+    }
+    idBytes = idBytes.slice(0, NAMESPACE_VERSION_ZERO_ID_SIZE);
+  }
+
+  // Shorter IDs are left-padded with zeros, like the node does
+  const id = new Uint8Array(NAMESPACE_ID_SIZE);
+  id.set(idBytes, NAMESPACE_ID_SIZE - idBytes.length);
+
+  return createNamespace(NAMESPACE_VERSION_ZERO, id);
+}
+
+/**
+ * Split a namespace into its parts, checking its structure
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @returns {Object} - Object with version, id and, for version 0, userId properties
+ */
+export function parseNamespace(namespace) {
+  if (namespace.length !== NAMESPACE_SIZE) {
+    throw new Error(`Namespace must be exactly ${NAMESPACE_SIZE} bytes (got ${namespace.length})`);
+  }
+
+  const version = namespace[0];
+  const id = namespace.slice(NAMESPACE_VERSION_SIZE);
+
+  if (version === NAMESPACE_VERSION_ZERO) {
+    if (id.slice(0, NAMESPACE_VERSION_ZERO_PREFIX_SIZE).some(byte => byte !== 0)) {
+      throw new Error(`Version 0 namespace must have ${NAMESPACE_VERSION_ZERO_PREFIX_SIZE} leading zero bytes in the ID`);
+    }
+    return { version, id, userId: id.slice(NAMESPACE_VERSION_ZERO_PREFIX_SIZE) };
+  }
+
+  if (version === NAMESPACE_VERSION_MAX) {
+    return { version, id, userId: null };
+  }
+
+  throw new Error('Only namespace versions 0 and 255 are supported');
+}
+
+/**
+ * Check if a namespace is reserved by the protocol
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @returns {boolean} - True if reserved, false otherwise
+ */
+export function isReservedNamespace(namespace) {
+  const { version, id } = parseNamespace(namespace);
+
+  // Version 255 only holds the secondary reserved namespaces
+  if (version === NAMESPACE_VERSION_MAX) {
+    return true;
+  }
+
+  // Version 0 namespaces up to the primary reserved padding namespace are reserved
+  return id.slice(0, NAMESPACE_ID_SIZE - 1).every(byte => byte === 0);
+}
+
+/**
+ * Validate a namespace according to Celestia specifications
+ * @param {string} base64Namespace - Base64 encoded namespace
+ * @returns {Object} - Validation result with valid and error properties
+ */
+export function validateNamespace(base64Namespace) {
+  try {
+    const namespace = namespaceFromBase64(base64Namespace);
+    parseNamespace(namespace);
+
+    if (isReservedNamespace(namespace)) {
+      return {
+        valid: false,
+        error: 'This is a reserved namespace and cannot be used for user data'
+      };
+    }
+
+    return { valid: true };
+  } catch (error) {
+    return {
+      valid: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Decode a base64 namespace
+ * @param {string} base64 - Base64 encoded namespace
+ * @returns {Uint8Array} - Namespace bytes
+ */
+export function namespaceFromBase64(base64) {
+  try {
+    return base64ToBytes(base64);
+  } catch (error) {
+    throw new Error('Invalid namespace format. Must be base64 encoded.');
+  }
+}
+
+/**
+ * Decode a hex namespace
+ * @param {string} hex - Either the 10-byte user ID of a version 0 namespace or a full 29-byte namespace, optionally 0x-prefixed
+ * @returns {Uint8Array} - 29-byte namespace
+ */
+export function namespaceFromHex(hex) {
+  const normalizedHex = hex.trim().replace(/^0x/i, '');
+
+  let bytes;
+  try {
+    bytes = hexToBytes(normalizedHex);
+  } catch (error) {
+    throw new Error('Namespace must be an even number of hex characters');
+  }
+
+  // A full namespace already carries its version byte
+  if (bytes.length === NAMESPACE_SIZE) {
+    return bytes;
+  }
+
+  // A user ID goes into the last 10 bytes of a version 0 namespace
+  if (bytes.length === NAMESPACE_VERSION_ZERO_ID_SIZE) {
+    return createVersionZeroNamespace(bytes);
+  }
+
+  throw new Error(`Hex namespace must be ${NAMESPACE_VERSION_ZERO_ID_SIZE} bytes (user ID) or ${NAMESPACE_SIZE} bytes (full namespace), got ${bytes.length}`);
+}
+
+/**
+ * Encode a namespace as base64, the format the node API uses
+ * @param {Uint8Array} namespace - Namespace bytes
+ * @returns {string} - Base64 encoded namespace
+ */
+export function namespaceToBase64(namespace) {
+  return bytesToBase64(namespace);
+}
+
+/**
+ * Read a namespace entered in either form fields accept: hex (user ID or full namespace) or base64
+ * @param {string} value - Namespace as entered
+ * @returns {string} - Base64 encoded namespace, not validated
+ */
+export function namespaceInputToBase64(value) {
+  const trimmed = value.trim();
+  return HEX_NAMESPACE_PATTERN.test(trimmed) ? namespaceToBase64(namespaceFromHex(trimmed)) : trimmed;
+}
+
+/**
+ * Encode a full namespace as hex
+ * @param {Uint8Array} namespace - Namespace bytes
+ * @returns {string} - Hex encoded namespace
+ */
+export function namespaceToHex(namespace) {
+  return bytesToHex(namespace);
+}
+
+/**
+ * Encode the ID of a namespace as hex, the form explorers and the CLI show
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @returns {string} - Hex of the 10-byte user ID for version 0, of the 28-byte ID otherwise
+ */
+export function namespaceIdToHex(namespace) {
+  const { id, userId } = parseNamespace(namespace);
+  return bytesToHex(userId || id);
+}
+
+/**
+ * Decode the user ID of a version 0 namespace as text
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @returns {string|null} - The text, or null if the ID isn't UTF-8 text
+ */
+export function namespaceToPlaintext(namespace) {
+  const { userId } = parseNamespace(namespace);
+  if (!userId) return null;
+
+  // Drop the zero padding in front of IDs shorter than 10 bytes
+  const start = userId.findIndex(byte => byte !== 0);
+  if (start === -1) return null;
+
+  try {
+    return bytesToText(userId.slice(start), { fatal: true });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate a random readable namespace
+ * @returns {Object} - Object with plaintext, base64 and hex properties
+ */
+export function generateRandomNamespace() {
+  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+  const noun = nouns[Math.floor(Math.random() * nouns.length)];
+  const randomNum = Math.floor(Math.random() * 1000);
+
+  // Longer names are cut to the 10 bytes that fit, so the plaintext is what the namespace holds
+  const namespace = createVersionZeroNamespace(`${adjective}-${noun}-${randomNum}`, { truncate: true });
+
+  return {
+    plaintext: namespaceToPlaintext(namespace),
+    base64: namespaceToBase64(namespace),
+    hex: namespaceIdToHex(namespace)
+  };
+}
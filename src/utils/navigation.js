@@ -3,53 +3,45 @@
  */
 
 /**
- * Set up tab navigation functionality
+ * Set up tab navigation functionality, opening the tab named in the URL hash
  */
 export function setupTabNavigation() {
-  // Get all tabs
-  const tabs = document.querySelectorAll('#mainTabs .nav-link');
-  
-  // Set up click event for each tab
-  tabs.forEach(tab => {
-    tab.addEventListener('click', (event) => {
+  const tabButtons = document.querySelectorAll('.nav-link');
+  const tabContents = document.querySelectorAll('.tab-pane');
+
+  tabButtons.forEach(button => {
+    button.addEventListener('click', (event) => {
+      // Prevent default anchor click behavior
       event.preventDefault();
-      
-      // Get the target tab ID
-      const targetTabId = tab.getAttribute('href');
-      
+
       // Deactivate all tabs
-      tabs.forEach(t => {
-        t.classList.remove('active');
-        t.setAttribute('aria-selected', 'false');
+      tabButtons.forEach(btn => {
+        btn.classList.remove('active');
+        btn.setAttribute('aria-selected', 'false');
       });
-      
-      // Activate the clicked tab
-      tab.classList.add('active');
-      tab.setAttribute('aria-selected', 'true');
-      
-      // Hide all tab panes
-      const tabPanes = document.querySelectorAll('.tab-pane');
-      tabPanes.forEach(pane => {
-        pane.classList.remove('show', 'active');
+
+      tabContents.forEach(content => {
+        content.classList.remove('show', 'active');
       });
-      
-      // Show the target tab pane
-      const targetPane = document.querySelector(targetTabId);
-      if (targetPane) {
-        targetPane.classList.add('show', 'active');
+
+      // Activate the clicked tab
+      button.classList.add('active');
+      button.setAttribute('aria-selected', 'true');
+
+      // Show the tab pane named by the data-bs-target attribute
+      const target = button.getAttribute('data-bs-target');
+      const targetContent = document.querySelector(target);
+      if (targetContent) {
+        targetContent.classList.add('show', 'active');
       }
-      
-      // Save the active tab to localStorage
-      localStorage.setItem('activeTab', targetTabId);
     });
   });
-  
-  // Restore active tab from localStorage if available
-  const savedTab = localStorage.getItem('activeTab');
-  if (savedTab) {
-    const tabToActivate = document.querySelector(`a[href="${savedTab}"]`);
-    if (tabToActivate) {
-      tabToActivate.click();
+
+  // Open the tab named in the URL hash
+  if (window.location.hash) {
+    const tabToShow = document.querySelector(`[data-bs-target="${window.location.hash}"]`);
+    if (tabToShow) {
+      tabToShow.click();
     }
   }
 }
@@ -0,0 +1,107 @@
+/**
+ * Namespaced Merkle tree proofs, checked the way celestia's nmt package does for the rows of a square
+ *
+ * A row root covers the row's original shares followed by its parity shares. Parity shares carry
+ * the maximum namespace, which the row trees leave out of their parents' namespace range.
+ */
+import { NAMESPACE_SIZE } from './namespace.js';
+import { sha256 } from './hash.js';
+import { concatBytes } from './codec.js';
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+// Namespace of parity shares
+const PARITY_NAMESPACE = new Uint8Array(NAMESPACE_SIZE).fill(0xff);
+
+/**
+ * Hash a share as a leaf of a row tree
+ * @param {Uint8Array} share - Share, starting with its namespace
+ * @returns {Promise<Uint8Array>} - Leaf hash: namespace, namespace and SHA-256 digest
+ */
+export async function hashNmtLeaf(share) {
+  // The namespace is prepended again even though the share starts with it, like the node's NMT wrapper does
+  const namespace = share.subarray(0, NAMESPACE_SIZE);
+  return concatBytes(namespace, namespace, await sha256(concatBytes([LEAF_PREFIX], namespace, share)));
+}
+
+/**
+ * Check that consecutive leaves of a row tree lead to its root
+ * @param {Object} proof - Proof with start, end (exclusive) and nodes (Uint8Array siblings, in the order the node returns them)
+ * @param {Array<Uint8Array>} leafHashes - Hashes of the leaves from start to end
+ * @param {Uint8Array} root - Row root from the block header
+ * @returns {Promise<boolean>} - True if the proof leads to the root
+ */
+export async function verifyNmtProof({ start, end, nodes }, leafHashes, root) {
+  if (end - start !== leafHashes.length || leafHashes.length === 0) {
+    return false;
+  }
+
+  const remainingNodes = [...nodes];
+  const remainingLeaves = [...leafHashes];
+
+  // Rebuild the smallest subtree holding the proven range, taking proof nodes for the subtrees beside it
+  const computeRoot = async (from, to) => {
+    if (to <= start || from >= end) {
+      return remainingNodes.length > 0 ? remainingNodes.shift() : null;
+    }
+    if (to - from === 1) {
+      return remainingLeaves.shift();
+    }
+
+    const split = from + getSplitPoint(to - from);
+    const left = await computeRoot(from, split);
+    const right = await computeRoot(split, to);
+    return right ? hashNmtNode(left, right) : left;
+  };
+
+  let rootHash = await computeRoot(0, Math.max(getSplitPoint(end) * 2, 1));
+
+  // The nodes left over are the roots of the subtrees to the right, up to the full row
+  for (const node of remainingNodes) {
+    rootHash = await hashNmtNode(rootHash, node);
+  }
+
+  return remainingLeaves.length === 0 && equalBytes(rootHash, root);
+}
+
+/**
+ * Hash two child nodes of a row tree
+ * @param {Uint8Array} left - Left child
+ * @param {Uint8Array} right - Right child
+ * @returns {Promise<Uint8Array>} - Parent: min namespace, max namespace and SHA-256 digest
+ */
+async function hashNmtNode(left, right) {
+  const minNamespace = left.subarray(0, NAMESPACE_SIZE);
+  const rightMinNamespace = right.subarray(0, NAMESPACE_SIZE);
+
+  // Parity shares on the right don't widen the range
+  const maxNamespace = equalBytes(rightMinNamespace, PARITY_NAMESPACE)
+    ? left.subarray(NAMESPACE_SIZE, NAMESPACE_SIZE * 2)
+    : right.subarray(NAMESPACE_SIZE, NAMESPACE_SIZE * 2);
+
+  return concatBytes(minNamespace, maxNamespace, await sha256(concatBytes([NODE_PREFIX], left, right)));
+}
+
+/**
+ * Get where a tree of a given size is split into its left and right subtrees
+ * @param {number} size - Number of leaves, at least 1
+ * @returns {number} - Largest power of two below size, 0 for a single leaf
+ */
+function getSplitPoint(size) {
+  let split = 1;
+  while (split * 2 < size) {
+    split *= 2;
+  }
+  return split < size ? split : 0;
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Second bytes
+ * @returns {boolean} - True if they are equal
+ */
+function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
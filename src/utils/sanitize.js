@@ -0,0 +1,69 @@
+/**
+ * Safe rendering of untrusted data: blob contents, database records and strings from the node
+ *
+ * Anyone can post to any namespace, so nothing read from the chain or the node is put into the page
+ * as markup. Text is set with textContent or escaped with the html template tag, and SVG and HTML
+ * previews render where their scripts can't run. None of it needs inline scripts or eval, so it works
+ * under the page's Content-Security-Policy.
+ */
+
+// Policy of HTML previews: no scripts, no network access, only inline styles and data: images
+const PREVIEW_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape, null and undefined become an empty string
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Template tag that escapes every interpolated value, for markup assigned to innerHTML
+ * @param {Array<string>} strings - Literal parts of the template, trusted markup
+ * @param {...*} values - Interpolated values, escaped
+ * @returns {string} - Markup with the values escaped
+ */
+export function html(strings, ...values) {
+  return strings.reduce((markup, string, index) => markup + escapeHtml(values[index - 1]) + string);
+}
+
+/**
+ * Create an image element for untrusted image data. SVG loaded as an image can't run scripts or load other resources.
+ * @param {Uint8Array} bytes - Image data
+ * @param {string} mimeType - MIME type of the image
+ * @returns {Object} - Object with the img element and the object url to revoke once it is removed
+ */
+export function createImagePreview(bytes, mimeType) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+
+  const img = document.createElement('img');
+  img.src = url;
+  img.alt = 'Blob image';
+  return { element: img, url };
+}
+
+/**
+ * Create a sandboxed frame for untrusted HTML. The frame has an opaque origin, can't run scripts or
+ * submit forms, and its policy blocks every request, so it can't reach the page or phone home.
+ * @param {string} markup - HTML to show
+ * @returns {HTMLIFrameElement} - The frame
+ */
+export function createHtmlPreview(markup) {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', '');
+  iframe.setAttribute('referrerpolicy', 'no-referrer');
+  iframe.title = 'Blob HTML preview';
+  iframe.srcdoc = `<meta http-equiv="Content-Security-Policy" content="${PREVIEW_CONTENT_SECURITY_POLICY}">${markup}`;
+  return iframe;
+}
@@ -0,0 +1,86 @@
+/**
+ * Splitting blob data into shares, the 512-byte units of the Celestia data square
+ *
+ * A share starts with the 29-byte namespace and an info byte holding the share version and
+ * whether the share starts a sequence. The first share of a blob also holds the data length
+ * as a 4-byte big-endian integer. Data fills the rest and the last share is zero-padded.
+ */
+import { NAMESPACE_SIZE } from './namespace.js';
+
+export const SHARE_SIZE = 512;
+export const SHARE_VERSION_ZERO = 0;
+
+const SHARE_INFO_BYTES = 1;
+const SEQUENCE_LEN_BYTES = 4;
+export const FIRST_SHARE_CAPACITY = SHARE_SIZE - NAMESPACE_SIZE - SHARE_INFO_BYTES - SEQUENCE_LEN_BYTES;
+export const CONTINUATION_SHARE_CAPACITY = SHARE_SIZE - NAMESPACE_SIZE - SHARE_INFO_BYTES;
+
+/**
+ * Get the number of shares a blob takes up
+ * @param {number} size - Blob data size in bytes
+ * @returns {number} - Number of shares
+ */
+export function getSharesNeeded(size) {
+  if (size <= FIRST_SHARE_CAPACITY) {
+    return 1;
+  }
+  return 1 + Math.ceil((size - FIRST_SHARE_CAPACITY) / CONTINUATION_SHARE_CAPACITY);
+}
+
+/**
+ * Get the most data a number of shares holds
+ * @param {number} shareCount - Number of shares
+ * @returns {number} - Capacity in bytes
+ */
+export function getShareCapacity(shareCount) {
+  return shareCount > 0 ? FIRST_SHARE_CAPACITY + CONTINUATION_SHARE_CAPACITY * (shareCount - 1) : 0;
+}
+
+/**
+ * Check whether a share is padding: a sequence start with a length of zero
+ * @param {Uint8Array} share - 512-byte share
+ * @returns {boolean} - True if the share is a padding share
+ */
+export function isPaddingShare(share) {
+  const isSequenceStart = (share[NAMESPACE_SIZE] & 1) === 1;
+  return isSequenceStart && new DataView(share.buffer, share.byteOffset).getUint32(NAMESPACE_SIZE + SHARE_INFO_BYTES) === 0;
+}
+
+/**
+ * Split blob data into shares
+ * @param {Uint8Array} namespace - 29-byte namespace
+ * @param {Uint8Array} data - Blob data
+ * @param {number} shareVersion - Share version, only 0 is supported
+ * @returns {Array<Uint8Array>} - 512-byte shares
+ */
+export function splitBlobIntoShares(namespace, data, shareVersion = SHARE_VERSION_ZERO) {
+  if (shareVersion !== SHARE_VERSION_ZERO) {
+    throw new Error(`Share version ${shareVersion} is not supported`);
+  }
+
+  const shareCount = getSharesNeeded(data.length);
+  const shares = [];
+  let offset = 0;
+
+  for (let index = 0; index < shareCount; index++) {
+    const share = new Uint8Array(SHARE_SIZE);
+    const isSequenceStart = index === 0;
+
+    share.set(namespace, 0);
+    let position = NAMESPACE_SIZE;
+    share[position++] = (shareVersion << 1) | (isSequenceStart ? 1 : 0);
+
+    if (isSequenceStart) {
+      new DataView(share.buffer).setUint32(position, data.length);
+      position += SEQUENCE_LEN_BYTES;
+    }
+
+    const chunk = data.subarray(offset, offset + SHARE_SIZE - position);
+    share.set(chunk, position);
+    offset += chunk.length;
+
+    shares.push(share);
+  }
+
+  return shares;
+}
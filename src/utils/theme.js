@@ -12,7 +12,7 @@ export function getPreferredTheme() {
   if (savedTheme) {
     return savedTheme;
   }
-  
+
   // Otherwise, check OS preference
   return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
 }
@@ -23,19 +23,17 @@ export function getPreferredTheme() {
  */
 export function applyTheme(theme) {
   document.documentElement.setAttribute('data-theme', theme);
-  localStorage.setItem('theme', theme);
-  
-  // Update icons visibility
+
+  // Show the icon of the active theme
   const lightIcon = document.getElementById('lightIcon');
   const darkIcon = document.getElementById('darkIcon');
-  
+
   if (lightIcon && darkIcon) {
-    lightIcon.style.display = theme === 'light' ? 'none' : 'inline-block';
-    darkIcon.style.display = theme === 'dark' ? 'none' : 'inline-block';
+    lightIcon.style.display = theme === 'dark' ? 'none' : 'block';
+    darkIcon.style.display = theme === 'dark' ? 'block' : 'none';
   }
-  
-  // Update Bootstrap elements for dark mode
-  updateBootstrapForDarkMode(theme === 'dark');
+
+  localStorage.setItem('theme', theme);
 }
 
 /**
@@ -43,33 +41,27 @@ export function applyTheme(theme) {
  * @param {boolean} isDark - Whether dark mode is active
  */
 function updateBootstrapForDarkMode(isDark) {
-  // Update form controls
+  const cards = document.querySelectorAll('.card');
   const formControls = document.querySelectorAll('.form-control, .form-select');
-  formControls.forEach(control => {
+  const btnOutlines = document.querySelectorAll('.btn-outline-primary, .btn-outline-secondary, .btn-outline-info');
+
+  // Cards and form controls
+  [...cards, ...formControls].forEach(element => {
     if (isDark) {
-      control.classList.add('form-control-dark');
-      control.style.backgroundColor = '#333';
-      control.style.borderColor = '#444';
-      control.style.color = '#e6e6e6';
+      element.classList.add('bg-dark', 'text-light', 'border-secondary');
     } else {
-      control.classList.remove('form-control-dark');
-      control.style.backgroundColor = '';
-      control.style.borderColor = '';
-      control.style.color = '';
+      element.classList.remove('bg-dark', 'text-light', 'border-secondary');
     }
   });
-  
-  // Update input groups
-  const inputGroups = document.querySelectorAll('.input-group-text');
-  inputGroups.forEach(group => {
+
+  // Buttons with outlines
+  btnOutlines.forEach(btn => {
     if (isDark) {
-      group.style.backgroundColor = '#444';
-      group.style.borderColor = '#555';
-      group.style.color = '#e6e6e6';
+      btn.style.color = 'var(--primary-color)';
+      btn.style.borderColor = 'var(--primary-color)';
     } else {
-      group.style.backgroundColor = '';
-      group.style.borderColor = '';
-      group.style.color = '';
+      btn.style.color = '';
+      btn.style.borderColor = '';
     }
   });
 }
@@ -79,36 +71,35 @@ function updateBootstrapForDarkMode(isDark) {
  */
 export function initTheme() {
   // Apply initial theme
-  const theme = getPreferredTheme();
-  applyTheme(theme);
-  
+  applyTheme(getPreferredTheme());
+
   // Set up theme toggle
   const themeToggle = document.getElementById('themeToggle');
   if (themeToggle) {
     themeToggle.addEventListener('click', () => {
       const currentTheme = document.documentElement.getAttribute('data-theme');
-      const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-      applyTheme(newTheme);
+      applyTheme(currentTheme === 'dark' ? 'light' : 'dark');
     });
   }
-  
-  // Add observer to watch for dark mode changes
+
+  // Listen for OS theme changes
+  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+    // Only auto-switch if user hasn't manually set a preference
+    if (!localStorage.getItem('theme')) {
+      applyTheme(e.matches ? 'dark' : 'light');
+    }
+  });
+
+  // Keep Bootstrap elements in sync with the theme
   const observer = new MutationObserver((mutations) => {
     mutations.forEach((mutation) => {
       if (mutation.attributeName === 'data-theme') {
-        const theme = document.documentElement.getAttribute('data-theme');
-        updateBootstrapForDarkMode(theme === 'dark');
+        updateBootstrapForDarkMode(document.documentElement.getAttribute('data-theme') === 'dark');
       }
     });
   });
-  
+
   observer.observe(document.documentElement, { attributes: true });
-  
-  // Listen for OS theme changes
-  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-    if (!localStorage.getItem('theme')) {
-      // Only auto-switch if user hasn't manually set a preference
-      applyTheme(e.matches ? 'dark' : 'light');
-    }
-  });
+
+  updateBootstrapForDarkMode(document.documentElement.getAttribute('data-theme') === 'dark');
 }